@@ -0,0 +1,242 @@
+// Profile clients for the CLI: the Graph API directly, or a deployed worker's /api routes
+// Both expose the same methods, so commands don't care which one they talk to:
+//   profile()  update(body)  plan(docText, opts)  apply(docText, opts)  photo({ bytes | url, normalize })  numbers(wabaId)
+// opts.allowOtherNumber lets a document exported from another phone number through.
+// Validation, diffing and uploads are the worker's own lib modules; nothing here re-implements them.
+// Failures become CliError with an exit code (EXIT) and a JSON-friendly `details` object.
+
+import { createGraphClient, GraphError } from "../lib/graph.js";
+import { validateProfileUpdate, hasErrors } from "../lib/validation.js";
+import { fetchProfile, updateProfile } from "../lib/profile.js";
+import { readDocument, planProfileDocument, otherPhoneId } from "../lib/profile-doc.js";
+import { checkPhoto, normalizePhoto, ImageError } from "../lib/image.js";
+import { uploadResumable, UploadError } from "../lib/upload.js";
+import { safeFetch, SafeFetchError } from "../lib/safe-fetch.js";
+import { listPhoneNumbers, isWabaId } from "../lib/numbers.js";
+import { sandboxEnv, graphOptions, SANDBOX_HEADER } from "../lib/sandbox.js";
+
+export const EXIT = {
+  OK: 0,
+  FAILURE: 1, // unexpected error, network failure
+  USAGE: 2, // bad command line or missing credentials
+  INVALID: 3, // validation failed, unreadable document, photo rejected
+  API: 4, // Graph or the worker refused the request
+  AUTH: 5, // token invalid or expired, not signed in
+  CHANGES: 6, // diff: the live profile differs from the document
+};
+
+// Graph codes for an unusable token: 190 invalid/expired, 102 session, 10 / 200 permission
+const AUTH_CODES = [190, 102, 10, 200];
+
+export class CliError extends Error {
+  constructor(exitCode, message, details = {}) {
+    super(message);
+    this.name = "CliError";
+    this.exitCode = exitCode;
+    this.details = details;
+  }
+}
+
+// Any thrown error → CliError
+export function toCliError(e) {
+  if (e instanceof CliError) return e;
+  if (e instanceof GraphError) return new CliError(graphExit(e.status, e.code), e.message, { status: e.status, error: e.toJSON() });
+  if (e instanceof UploadError) {
+    const code = e.data && typeof e.data === "object" ? e.data.code : null;
+    return new CliError(graphExit(e.status, code), e.message, { step: e.step, status: e.status, error: e.data, upload_id: e.uploadId, file_offset: e.offset });
+  }
+  if (e instanceof ImageError) return new CliError(EXIT.INVALID, e.message, { code: e.code });
+  if (e instanceof SafeFetchError) return new CliError(e.status < 500 ? EXIT.INVALID : EXIT.FAILURE, e.message, { code: e.code });
+  return new CliError(EXIT.FAILURE, (e && e.message) || String(e));
+}
+
+function graphExit(status, code) {
+  if (status === 401 || status === 403 || AUTH_CODES.includes(Number(code))) return EXIT.AUTH;
+  if (status === 409 || status === 413 || status === 415 || status === 422) return EXIT.INVALID;
+  return status >= 500 && code === "network_error" ? EXIT.FAILURE : EXIT.API;
+}
+
+// ---------- Graph API directly ----------
+// opts: { token, phoneId, appId, graphVersion, sandbox }
+export function createGraphTarget(opts) {
+  let env = { GRAPH_VERSION: opts.graphVersion || "" };
+  if (opts.sandbox) env = sandboxEnv(env);
+  const graph = createGraphClient(env, graphOptions(env));
+  const appId = opts.appId || (opts.sandbox ? env.APP_ID : "");
+  const creds = () => {
+    need(opts.token, "--token (or WA_ACCESS_TOKEN)");
+    need(opts.phoneId, "--phone-id (or WA_PHONE_NUMBER_ID)");
+    return { token: opts.token, phoneId: opts.phoneId };
+  };
+
+  async function send(c, body) {
+    const { payload, errors } = validateProfileUpdate(body);
+    if (hasErrors(errors)) throw new CliError(EXIT.INVALID, "Validation failed", { errors });
+    const r = await updateProfile(graph, c, payload);
+    return { status: r.status, data: r.data };
+  }
+
+  async function plan(text, { allowOtherNumber = false } = {}) {
+    const c = creds();
+    const read = readDocument(text);
+    if (read.error) throw new CliError(EXIT.INVALID, read.error);
+    const other = otherPhoneId(read.doc, c.phoneId);
+    if (other && !allowOtherNumber) {
+      throw new CliError(EXIT.INVALID, `This document belongs to phone number ${other}, not ${c.phoneId} (--allow-other-number to use it anyway)`, {
+        code: "phone_number_mismatch", document_phone_number_id: other, phone_number_id: c.phoneId,
+      });
+    }
+    const current = (await fetchProfile(graph, c)).data;
+    const p = planProfileDocument(current, read.profile);
+    if (p.errors) throw new CliError(EXIT.INVALID, "Validation failed", { errors: p.errors, changes: p.changes });
+    return { creds: c, ...p };
+  }
+
+  // Steps 1–2 of the worker's photo flow: check (and optionally normalize), then upload in chunks → { handle, photo }
+  async function upload(c, bytes, normalize) {
+    need(appId, "--app-id (or APP_ID) for photo uploads");
+    const info = checkPhoto(bytes);
+    const photo = normalize ? await normalizePhoto(bytes, info) : { bytes, mime: info.mime, width: info.width, height: info.height };
+    const up = await uploadResumable({ graph, token: c.token, appId, bytes: photo.bytes, mime: photo.mime });
+    return {
+      handle: up.handle,
+      photo: { mime: photo.mime, width: photo.width, height: photo.height, bytes: photo.bytes.length, normalized: !!normalize },
+    };
+  }
+
+  return {
+    kind: "graph",
+    async profile() {
+      return (await fetchProfile(graph, creds())).data;
+    },
+    update(body) {
+      return send(creds(), body);
+    },
+    async plan(text, opts) {
+      const { changes, body } = await plan(text, opts);
+      return { changes, body };
+    },
+    async apply(text, opts) {
+      const p = await plan(text, opts);
+      if (!p.changes.length) return { applied: false, changes: [] };
+      const update = { ...p.body };
+      if (p.photo) update.profile_picture_handle = (await upload(p.creds, (await safeFetch(p.photo.new)).bytes, false)).handle;
+      const r = await send(p.creds, update); // one update, as the worker's /api/profile/apply does
+      return { applied: true, changes: p.changes, status: r.status };
+    },
+    async photo({ bytes, url, normalize }) {
+      const c = creds();
+      const up = await upload(c, bytes || (await safeFetch(url)).bytes, normalize);
+      const r = await send(c, { profile_picture_handle: up.handle });
+      return { status: r.status, ...up };
+    },
+    async numbers(wabaId) {
+      need(opts.token, "--token (or WA_ACCESS_TOKEN)");
+      if (!isWabaId(String(wabaId || ""))) throw new CliError(EXIT.USAGE, "--waba-id (or WA_WABA_ID) must be a WhatsApp Business Account ID");
+      return { waba_id: wabaId, data: await listPhoneNumbers(graph, { token: opts.token, wabaId }) };
+    },
+  };
+}
+
+// ---------- a deployed worker ----------
+// opts: { url, token, phoneId, password, sandbox }
+// With a token the worker runs in browser-credentials mode; with a password it signs in to server-held mode.
+export function createWorkerTarget(opts) {
+  const base = new URL(opts.url);
+  const csrf = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, "0")).join("");
+  let session = null;
+
+  async function login() {
+    const r = await request("POST", "/api/login", { json: { password: opts.password }, signIn: false });
+    const cookie = (r.headers.getSetCookie ? r.headers.getSetCookie() : [r.headers.get("set-cookie") || ""])
+      .map((c) => c.split(";")[0])
+      .find((c) => c.startsWith("wa_session="));
+    if (!cookie) throw new CliError(EXIT.AUTH, "The worker did not return a session cookie");
+    session = cookie;
+  }
+
+  async function headers(signIn) {
+    const h = { "x-csrf-token": csrf };
+    const cookies = [`wa_csrf=${csrf}`];
+    if (opts.password && signIn) {
+      if (!session) await login();
+      cookies.push(session);
+    } else if (opts.token) {
+      h["x-wa-access-token"] = opts.token;
+      if (opts.phoneId) h["x-wa-phone-number-id"] = opts.phoneId;
+    }
+    if (opts.sandbox) h[SANDBOX_HEADER] = "1";
+    h.Cookie = cookies.join("; ");
+    return h;
+  }
+
+  // Returns { status, data, headers }; a non-2xx answer throws CliError
+  async function request(method, path, { json, body, type, signIn = true } = {}) {
+    const h = await headers(signIn);
+    let payload = body;
+    if (json !== undefined) { h["Content-Type"] = "application/json"; payload = JSON.stringify(json); }
+    else if (type) h["Content-Type"] = type;
+    let resp;
+    try {
+      resp = await fetch(new URL(path, base), { method, headers: h, body: payload });
+    } catch (e) {
+      throw new CliError(EXIT.FAILURE, `Worker unreachable: ${e.message}`, { url: base.origin });
+    }
+    let data = {};
+    try { data = await resp.json(); } catch {}
+    if (!resp.ok) {
+      const err = data && data.error;
+      const message = typeof err === "string" ? err : (err && err.message) || `Worker answered HTTP ${resp.status}`;
+      throw new CliError(graphExit(resp.status, err && err.code), message, { status: resp.status, ...data });
+    }
+    return { status: resp.status, data, headers: resp.headers };
+  }
+
+  const docType = (text) => (text.trim().startsWith("{") ? "application/json" : "application/yaml");
+  const docPath = (path, opts) => (opts && opts.allowOtherNumber ? `${path}?allow_other_number=1` : path);
+
+  return {
+    kind: "worker",
+    async profile() {
+      return (await request("GET", "/api/profile")).data.data || {};
+    },
+    async update(body) {
+      const { errors } = validateProfileUpdate(body); // fail before the round trip; the worker checks again
+      if (hasErrors(errors)) throw new CliError(EXIT.INVALID, "Validation failed", { errors });
+      const { data } = await request("POST", "/api/profile", { json: body });
+      return { status: data.status, data: data.data };
+    },
+    async plan(text, opts) {
+      const read = readDocument(text);
+      if (read.error) throw new CliError(EXIT.INVALID, read.error);
+      return (await request("POST", docPath("/api/profile/plan", opts), { body: text, type: docType(text) })).data;
+    },
+    async apply(text, opts) {
+      const read = readDocument(text);
+      if (read.error) throw new CliError(EXIT.INVALID, read.error);
+      const { data } = await request("POST", docPath("/api/profile/apply", opts), { body: text, type: docType(text) });
+      return { applied: !!data.applied, changes: data.changes || [], status: data.status };
+    },
+    async photo({ bytes, url, normalize }) {
+      let r;
+      if (bytes) {
+        checkPhoto(bytes); // same checks as the worker, before uploading 5 MB for nothing
+        const form = new FormData();
+        form.append("file", new Blob([bytes]), "photo");
+        if (normalize) form.append("normalize", "1");
+        r = await request("POST", "/api/photo", { body: form });
+      } else {
+        r = await request("POST", "/api/photo", { json: { image_url: url, normalize: !!normalize } });
+      }
+      return { status: r.data.status, handle: r.data.handle, photo: r.data.photo };
+    },
+    async numbers(wabaId) {
+      const q = wabaId ? `?waba_id=${encodeURIComponent(wabaId)}` : "";
+      return (await request("GET", `/api/phone-numbers${q}`)).data;
+    },
+  };
+}
+
+function need(value, what) {
+  if (!value) throw new CliError(EXIT.USAGE, `Missing ${what}`);
+}
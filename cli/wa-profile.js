@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+// Command-line client for WhatsApp Business profiles, built on the same lib/ modules as worker.js
+// - talks to the Graph API directly, or to a deployed worker with --worker (its validation, history and audit log apply)
+// - prints one JSON document on stdout; failures print { error, exit_code, details } on stderr
+// - exit codes are EXIT in cli/client.js (0 ok, 2 usage, 3 invalid, 4 API, 5 auth, 6 diff found changes)
+
+import { parseArgs } from "node:util";
+import { readFile } from "node:fs/promises";
+import { normalizeProfile, planProfile, DIFF_FIELDS } from "../lib/profile.js";
+import { validateProfileUpdate, hasErrors } from "../lib/validation.js";
+import { exportDocument } from "../lib/profile-doc.js";
+import { EXIT, CliError, toCliError, createGraphTarget, createWorkerTarget } from "./client.js";
+
+const USAGE = `Usage: wa-profile <command> [options]
+
+Commands:
+  get [--document]            print the profile (--document: as a profile document for diff/apply)
+  set [field flags] [--dry-run]
+                              change fields; only the ones that differ are sent
+  photo <file|url> [--normalize]
+                              upload a JPG/PNG and make it the profile photo (--normalize: 640×640 JPEG)
+  diff <document|->           compare a profile document (JSON or YAML) with the live profile
+  apply <document|-> [--dry-run]
+                              apply a profile document
+                              (diff/apply refuse a document exported from another number
+                              unless --allow-other-number is given)
+  numbers [--waba-id <id>]    list a WhatsApp Business Account's phone numbers
+
+Field flags (set):
+  --about <text>  --description <text>  --address <text>  --email <text>  --vertical <VERTICAL>
+  --website <url> (up to twice)  --clear <field> (repeatable: description, address, email, websites)
+
+Target and credentials (flags override environment variables):
+  --worker <url>        use a deployed worker instead of graph.facebook.com      WA_WORKER_URL
+  --token <token>       access token                                               WA_ACCESS_TOKEN
+  --phone-id <id>       phone number ID                                            WA_PHONE_NUMBER_ID
+  --waba-id <id>        WhatsApp Business Account ID (numbers)                     WA_WABA_ID
+  --app-id <id>         Meta app ID, for photo uploads straight to Graph           APP_ID
+  --sandbox             use the built-in fake Graph API (with --worker: the worker's sandbox)
+  WA_ADMIN_PASSWORD (environment only) signs in to a worker with server-held credentials.
+  GRAPH_VERSION selects the Graph API version when talking to Graph directly.
+
+Exit codes: 0 ok, 1 failure, 2 usage, 3 invalid input, 4 API error, 5 auth error, 6 diff found changes
+`;
+
+const OPTIONS = {
+  worker: { type: "string" },
+  token: { type: "string" },
+  "phone-id": { type: "string" },
+  "waba-id": { type: "string" },
+  "app-id": { type: "string" },
+  sandbox: { type: "boolean" },
+  about: { type: "string" },
+  description: { type: "string" },
+  address: { type: "string" },
+  email: { type: "string" },
+  vertical: { type: "string" },
+  website: { type: "string", multiple: true },
+  clear: { type: "string", multiple: true },
+  normalize: { type: "boolean" },
+  document: { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  "allow-other-number": { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+const COMMANDS = {
+  async get(target, { values, phoneId }) {
+    const data = await target.profile();
+    if (values.document) return exportDocument(data, { phoneId });
+    return { phone_number_id: phoneId || null, profile: normalizeProfile(data) };
+  },
+
+  async set(target, { values }) {
+    const partial = fieldFlags(values);
+    const { errors } = validateProfileUpdate(partial);
+    if (hasErrors(errors)) throw new CliError(EXIT.INVALID, "Validation failed", { errors });
+    const { changes, body } = planProfile(await target.profile(), partial);
+    if (!changes.length || values["dry-run"]) return { applied: false, changes, body };
+    const r = await target.update(body);
+    return { applied: true, changes, status: r.status };
+  },
+
+  async photo(target, { values, arg }) {
+    if (!arg) throw new CliError(EXIT.USAGE, "photo needs a file path or an https:// URL");
+    const isUrl = /^[a-z][a-z0-9+.-]*:\/\//i.test(arg);
+    // the worker and safeFetch only download https: refuse anything else before any request is made
+    if (isUrl && !/^https:\/\/[^/\s]+/i.test(arg)) throw new CliError(EXIT.USAGE, `photo URLs must be https://: ${arg}`);
+    const input = isUrl ? { url: arg } : { bytes: await readInput(arg) };
+    return { applied: true, ...(await target.photo({ ...input, normalize: !!values.normalize })) };
+  },
+
+  async diff(target, { values, arg }) {
+    const plan = await target.plan(await readDocumentArg(arg), docOptions(values));
+    const result = { in_sync: !plan.changes.length, changes: plan.changes, body: plan.body };
+    return plan.changes.length ? { result, exitCode: EXIT.CHANGES } : result;
+  },
+
+  async apply(target, { values, arg }) {
+    const text = await readDocumentArg(arg);
+    if (values["dry-run"]) return { applied: false, ...(await target.plan(text, docOptions(values))) };
+    return target.apply(text, docOptions(values));
+  },
+
+  async numbers(target, { values }) {
+    return target.numbers(values["waba-id"] || process.env.WA_WABA_ID || "");
+  },
+};
+
+// --about/--description/... and --clear → a POST /api/profile body (null clears)
+function fieldFlags(values) {
+  const partial = {};
+  for (const k of ["about", "description", "address", "email", "vertical"]) if (values[k] !== undefined) partial[k] = values[k];
+  if (values.website) partial.websites = values.website;
+  for (const k of values.clear || []) {
+    if (!DIFF_FIELDS.includes(k)) throw new CliError(EXIT.USAGE, `--clear: unknown field ${k} (one of ${DIFF_FIELDS.join(", ")})`);
+    if (partial[k] !== undefined) throw new CliError(EXIT.USAGE, `${k} is both set and cleared`);
+    partial[k] = null;
+  }
+  if (!Object.keys(partial).length) throw new CliError(EXIT.USAGE, "set needs at least one field flag or --clear");
+  return partial;
+}
+
+function docOptions(values) {
+  return { allowOtherNumber: !!values["allow-other-number"] };
+}
+
+async function readDocumentArg(arg) {
+  if (!arg) throw new CliError(EXIT.USAGE, "Give a profile document path, or - for stdin");
+  return new TextDecoder().decode(await readInput(arg));
+}
+
+async function readInput(arg) {
+  if (arg === "-") {
+    const chunks = [];
+    for await (const c of process.stdin) chunks.push(c);
+    return Buffer.concat(chunks);
+  }
+  try {
+    return await readFile(arg);
+  } catch (e) {
+    throw new CliError(EXIT.USAGE, `Cannot read ${arg}: ${e.code || e.message}`);
+  }
+}
+
+function createTarget(values) {
+  const env = process.env;
+  const url = values.worker || env.WA_WORKER_URL;
+  const common = {
+    token: values.token || env.WA_ACCESS_TOKEN || "",
+    phoneId: values["phone-id"] || env.WA_PHONE_NUMBER_ID || "",
+    sandbox: !!values.sandbox,
+  };
+  if (!url) return createGraphTarget({ ...common, appId: values["app-id"] || env.APP_ID || "", graphVersion: env.GRAPH_VERSION });
+  if (!URL.canParse(url) || !/^https?:$/.test(new URL(url).protocol)) throw new CliError(EXIT.USAGE, `--worker must be an http(s) URL: ${url}`);
+  const password = env.WA_ADMIN_PASSWORD || "";
+  if (!password && !common.token) throw new CliError(EXIT.USAGE, "Missing --token (or WA_ACCESS_TOKEN), or WA_ADMIN_PASSWORD for a worker with server-held credentials");
+  return createWorkerTarget({ ...common, url, password });
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (e) {
+    throw new CliError(EXIT.USAGE, e.message);
+  }
+  const { values, positionals } = parsed;
+  const [command, arg, ...extra] = positionals;
+  if (values.help) {
+    process.stdout.write(USAGE);
+    return EXIT.OK;
+  }
+  if (!command || !Object.hasOwn(COMMANDS, command)) {
+    throw new CliError(EXIT.USAGE, `${command ? `Unknown command: ${command}` : "No command given"} (see wa-profile --help)`);
+  }
+  if (extra.length) throw new CliError(EXIT.USAGE, `Unexpected argument: ${extra[0]}`);
+
+  const target = createTarget(values);
+  const phoneId = values["phone-id"] || process.env.WA_PHONE_NUMBER_ID || "";
+  const out = await COMMANDS[command](target, { values, arg, phoneId });
+  const { result, exitCode } = out && "exitCode" in out ? out : { result: out, exitCode: EXIT.OK };
+  process.stdout.write(JSON.stringify(result, null, 2) + "\n");
+  return exitCode;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (e) => {
+    const err = toCliError(e);
+    process.stderr.write(JSON.stringify({ error: err.message, exit_code: err.exitCode, details: err.details }, null, 2) + "\n");
+    process.exitCode = err.exitCode;
+  }
+);
@@ -0,0 +1,145 @@
+// Audit log of profile and photo changes (successful or not) with pluggable stores
+// - D1AuditStore: D1 (env.AUDIT_DB), shared and durable; the table is created on first use
+// - MemoryAuditStore: per-isolate ring buffer; the default and the stand-in for tests
+// Store interface: add(event), query(filter, { limit, cursor }) → { events, cursor } (newest first)
+// Event: { id, at, action, phone_id, token_fp, ip, user_agent, changes: [{ field, old, new }],
+//          result: "ok" | "error", status, graph_status, error }
+// The token is never stored; token_fp is the first 8 bytes of its SHA-256 (same as the rate limiter keys).
+
+export const AUDIT_ACTIONS = ["profile.update", "profile.apply", "profile.bulk", "profile.restore", "profile.scheduled", "photo.update", "photo.upload"];
+export const AUDIT_PAGE_MAX = 200;
+export const AUDIT_CSV_MAX = 5000;
+const MEMORY_EVENTS = 1000;
+
+// Newest first in lexicographic order
+export function auditId(now = Date.now()) {
+  const rand = Array.from(crypto.getRandomValues(new Uint8Array(4)), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${String(9999999999999 - now).padStart(13, "0")}-${rand}`;
+}
+
+function isAuditId(id) {
+  return typeof id === "string" && /^\d{13}-[0-9a-f]{8}$/.test(id);
+}
+
+export function matchesFilter(e, f) {
+  if (f.phone_id && e.phone_id !== f.phone_id) return false;
+  if (f.action && e.action !== f.action) return false;
+  if (f.result && e.result !== f.result) return false;
+  if (f.token_fp && e.token_fp !== f.token_fp) return false;
+  if (f.since && e.at < f.since) return false;
+  if (f.until && e.at >= f.until) return false;
+  if (f.field && !(e.changes || []).some((c) => c.field === f.field)) return false;
+  return true;
+}
+
+export class MemoryAuditStore {
+  constructor(max = MEMORY_EVENTS) {
+    this.max = max;
+    this.events = []; // newest first
+  }
+
+  async add(e) {
+    this.events.unshift(e);
+    if (this.events.length > this.max) this.events.length = this.max;
+  }
+
+  async query(filter = {}, { limit = 50, cursor = null } = {}) {
+    const from = cursor ? this.events.filter((e) => e.id > cursor) : this.events;
+    const hits = from.filter((e) => matchesFilter(e, filter));
+    const events = hits.slice(0, limit);
+    return { events, cursor: hits.length > limit ? events[events.length - 1].id : null };
+  }
+}
+
+export class D1AuditStore {
+  constructor(db) {
+    this.db = db;
+    this.ready = null;
+  }
+
+  init() {
+    this.ready ||= this.db.batch([
+      this.db.prepare("CREATE TABLE IF NOT EXISTS audit_log (id TEXT PRIMARY KEY, at TEXT NOT NULL, action TEXT NOT NULL, phone_id TEXT, result TEXT NOT NULL, token_fp TEXT, fields TEXT NOT NULL, event TEXT NOT NULL)"),
+      this.db.prepare("CREATE INDEX IF NOT EXISTS audit_log_phone ON audit_log (phone_id, id)"),
+    ]);
+    return this.ready;
+  }
+
+  async add(e) {
+    await this.init();
+    const fields = `,${(e.changes || []).map((c) => c.field).join(",")},`;
+    await this.db
+      .prepare("INSERT INTO audit_log (id, at, action, phone_id, result, token_fp, fields, event) VALUES (?, ?, ?, ?, ?, ?, ?, ?)")
+      .bind(e.id, e.at, e.action, e.phone_id, e.result, e.token_fp, fields, JSON.stringify(e))
+      .run();
+  }
+
+  async query(filter = {}, { limit = 50, cursor = null } = {}) {
+    await this.init();
+    const where = [], args = [];
+    for (const k of ["phone_id", "action", "result", "token_fp"]) {
+      if (filter[k]) { where.push(`${k} = ?`); args.push(filter[k]); }
+    }
+    if (filter.since) { where.push("at >= ?"); args.push(filter.since); }
+    if (filter.until) { where.push("at < ?"); args.push(filter.until); }
+    if (filter.field) { where.push("fields LIKE ?"); args.push(`%,${filter.field},%`); }
+    if (cursor) { where.push("id > ?"); args.push(cursor); }
+    const sql = `SELECT event FROM audit_log ${where.length ? `WHERE ${where.join(" AND ")}` : ""} ORDER BY id LIMIT ?`;
+    const { results } = await this.db.prepare(sql).bind(...args, limit + 1).all();
+    const events = results.slice(0, limit).map((r) => JSON.parse(r.event));
+    return { events, cursor: results.length > limit ? events[events.length - 1].id : null };
+  }
+}
+
+const memoryStore = new MemoryAuditStore();
+
+export function getAuditStore(env) {
+  return env && env.AUDIT_DB ? new D1AuditStore(env.AUDIT_DB) : memoryStore;
+}
+
+// Query string → { filter, limit, cursor, format } or { error }
+// ?phone_id= &action= &result=ok|error &field= &token_fp= &since= &until= (ISO) &limit= &cursor= &format=json|csv
+export function parseAuditQuery(params) {
+  const filter = {};
+  for (const k of ["phone_id", "action", "result", "field", "token_fp"]) {
+    const v = (params.get(k) || "").trim();
+    if (v) filter[k] = v;
+  }
+  if (filter.action && !AUDIT_ACTIONS.includes(filter.action)) return { error: `action must be one of ${AUDIT_ACTIONS.join(", ")}` };
+  if (filter.result && !["ok", "error"].includes(filter.result)) return { error: "result must be ok or error" };
+  for (const k of ["since", "until"]) {
+    const v = params.get(k);
+    if (!v) continue;
+    const t = Date.parse(v);
+    if (Number.isNaN(t)) return { error: `${k} must be an ISO date-time` };
+    filter[k] = new Date(t).toISOString();
+  }
+  const format = params.get("format") === "csv" ? "csv" : "json";
+  const max = format === "csv" ? AUDIT_CSV_MAX : AUDIT_PAGE_MAX;
+  const n = parseInt(params.get("limit"), 10);
+  const limit = n > 0 ? Math.min(n, max) : format === "csv" ? AUDIT_CSV_MAX : 50;
+  const cursor = params.get("cursor") || null;
+  if (cursor && !isAuditId(cursor)) return { error: "Invalid cursor" };
+  return { filter, limit, cursor, format };
+}
+
+export const CSV_COLUMNS = ["at", "action", "phone_id", "result", "status", "graph_status", "field", "old", "new", "error", "token_fp", "ip", "user_agent"];
+
+// One row per changed field (events without changes get one row)
+export function toCsv(events) {
+  const rows = [CSV_COLUMNS.join(",")];
+  for (const e of events) {
+    const changes = e.changes && e.changes.length ? e.changes : [{ field: "", old: "", new: "" }];
+    for (const c of changes) {
+      const row = { ...e, field: c.field, old: c.old, new: c.new };
+      rows.push(CSV_COLUMNS.map((k) => csvCell(row[k])).join(","));
+    }
+  }
+  return rows.join("\r\n") + "\r\n";
+}
+
+function csvCell(v) {
+  let s = v == null ? "" : Array.isArray(v) ? v.join(" ") : String(v);
+  if (/^[=+\-@\t\r]/.test(s)) s = `'${s}`; // keep spreadsheets from evaluating profile text as a formula
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
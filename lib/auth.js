@@ -0,0 +1,151 @@
+// Server-held credentials mode + admin session
+// - Enabled when WA_PHONE_NUMBER_ID and WA_ACCESS_TOKEN are set in the worker env
+// - Admin login checks ADMIN_PASSWORD_HASH (PBKDF2) or ADMIN_SECRET (shared secret)
+// - Sessions are HMAC-signed with SESSION_SECRET and kept in an HttpOnly cookie
+// - Sessions are stateless: signing out clears the cookie, but a copied cookie stays valid until it expires.
+//   Each session carries SESSION_VERSION (default "1"); changing it (or SESSION_SECRET) ends every session at once.
+
+export const SESSION_COOKIE = "wa_session";
+const DEFAULT_SESSION_TTL = 8 * 60 * 60; // seconds
+
+const enc = new TextEncoder();
+
+export function isServerMode(env) {
+  return !!(env && str(env.WA_PHONE_NUMBER_ID) && str(env.WA_ACCESS_TOKEN));
+}
+
+// Resolve the token + phone number for an API call.
+// Returns { token, phoneId } or { error, status }. Account-wide calls pass { requirePhone: false }.
+export async function getCredentials(request, env, { requirePhone = true } = {}) {
+  if (isServerMode(env)) {
+    const session = await readSession(request, env);
+    if (!session) return { error: "Not signed in", status: 401 };
+    return { token: str(env.WA_ACCESS_TOKEN), phoneId: str(env.WA_PHONE_NUMBER_ID), session };
+  }
+  const token = request.headers.get("x-wa-access-token");
+  const phoneId = request.headers.get("x-wa-phone-number-id");
+  if (!token) return { error: "Missing x-wa-access-token", status: 400 };
+  if (!phoneId && requirePhone) return { error: "Missing x-wa-access-token or x-wa-phone-number-id", status: 400 };
+  return { token, phoneId };
+}
+
+// ---------- password check ----------
+// ADMIN_PASSWORD_HASH format: pbkdf2$sha256$<iterations>$<salt b64>$<hash b64>
+export async function verifyAdminPassword(password, env) {
+  if (typeof password !== "string" || !password) return false;
+  const hash = str(env.ADMIN_PASSWORD_HASH);
+  if (hash) {
+    const parts = hash.split("$");
+    if (parts.length !== 5 || parts[0] !== "pbkdf2" || parts[1] !== "sha256") return false;
+    const iterations = parseInt(parts[2], 10);
+    if (!(iterations > 0)) return false;
+    const salt = b64decode(parts[3]);
+    const expected = b64decode(parts[4]);
+    if (!salt.length || expected.length < 16) return false; // an empty hash would match every password
+    const got = await pbkdf2(password, salt, iterations, expected.length);
+    return timingSafeEqual(got, expected);
+  }
+  const secret = str(env.ADMIN_SECRET);
+  if (secret) {
+    // compare HMACs so both sides have equal length and the secret never leaks via timing
+    const key = await hmacKey(enc.encode("admin-secret-compare"));
+    const a = new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(password)));
+    const b = new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(secret)));
+    return timingSafeEqual(a, b);
+  }
+  return false;
+}
+
+export function isAdminConfigured(env) {
+  return !!(str(env.ADMIN_PASSWORD_HASH) || str(env.ADMIN_SECRET)) && !!str(env.SESSION_SECRET);
+}
+
+export async function hashAdminPassword(password, iterations = 100000) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(password, salt, iterations, 32);
+  return `pbkdf2$sha256$${iterations}$${b64encode(salt)}$${b64encode(hash)}`;
+}
+
+// ---------- session cookie ----------
+export async function createSessionCookie(env, now = Date.now()) {
+  const ttl = parseInt(env.SESSION_TTL_SECONDS, 10) || DEFAULT_SESSION_TTL;
+  const payload = { sub: "admin", ver: sessionVersion(env), iat: Math.floor(now / 1000), exp: Math.floor(now / 1000) + ttl };
+  const body = b64urlEncode(enc.encode(JSON.stringify(payload)));
+  const sig = await sign(body, env);
+  return `${SESSION_COOKIE}=${body}.${sig}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${ttl}`;
+}
+
+export function clearSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=0`;
+}
+
+export async function readSession(request, env, now = Date.now()) {
+  if (!str(env.SESSION_SECRET)) return null;
+  const raw = getCookie(request, SESSION_COOKIE);
+  if (!raw) return null;
+  const [body, sig] = raw.split(".");
+  if (!body || !sig) return null;
+  const expected = await sign(body, env);
+  if (!timingSafeEqual(enc.encode(sig), enc.encode(expected))) return null;
+  let payload;
+  try { payload = JSON.parse(new TextDecoder().decode(b64urlDecode(body))); } catch { return null; }
+  if (!payload || typeof payload.exp !== "number" || payload.exp * 1000 <= now) return null;
+  if (payload.ver !== sessionVersion(env)) return null;
+  return payload;
+}
+
+function sessionVersion(env) {
+  return str(env.SESSION_VERSION) || "1";
+}
+
+export function getCookie(request, name) {
+  const header = request.headers.get("cookie") || "";
+  for (const part of header.split(";")) {
+    const i = part.indexOf("=");
+    if (i === -1) continue;
+    if (part.slice(0, i).trim() === name) return part.slice(i + 1).trim();
+  }
+  return null;
+}
+
+// ---------- crypto helpers ----------
+async function sign(body, env) {
+  const key = await hmacKey(enc.encode(str(env.SESSION_SECRET)));
+  return b64urlEncode(new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(body))));
+}
+
+function hmacKey(raw) {
+  return crypto.subtle.importKey("raw", raw, { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+}
+
+async function pbkdf2(password, salt, iterations, length) {
+  const key = await crypto.subtle.importKey("raw", enc.encode(password), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt, iterations }, key, length * 8);
+  return new Uint8Array(bits);
+}
+
+export function timingSafeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a[i] ^ b[i];
+  return diff === 0;
+}
+
+function b64encode(bytes) {
+  let s = "";
+  for (const b of bytes) s += String.fromCharCode(b);
+  return btoa(s);
+}
+function b64decode(s) {
+  try { return Uint8Array.from(atob(s), (c) => c.charCodeAt(0)); } catch { return new Uint8Array(0); }
+}
+function b64urlEncode(bytes) {
+  return b64encode(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function b64urlDecode(s) {
+  return b64decode(s.replace(/-/g, "+").replace(/_/g, "/"));
+}
+
+function str(v) {
+  return v == null ? "" : String(v).trim();
+}
@@ -0,0 +1,100 @@
+// Conversational automation: welcome message, ice breakers (prompts) and slash commands
+// Read via /{phone_id}?fields=conversational_automation, written with POST /{phone_id}/conversational_automation.
+// Meta replaces each list as a whole, so updates send the complete prompts/commands lists.
+
+export const AUTOMATION_LIMITS = {
+  prompts: 4,
+  prompt: 80,
+  commands: 30,
+  command_name: 32,
+  command_description: 256,
+};
+
+const COMMAND_NAME_RE = /^[^\s/]+$/;
+
+export async function fetchAutomation(graph, { token, phoneId }) {
+  const { data } = await graph.get(encodeURIComponent(phoneId), { token, query: { fields: "conversational_automation" } });
+  return normalizeAutomation(data && data.conversational_automation);
+}
+
+export async function updateAutomation(graph, { token, phoneId }, payload) {
+  return graph.post(`${encodeURIComponent(phoneId)}/conversational_automation`, { token, json: payload });
+}
+
+export function normalizeAutomation(a) {
+  const src = a && typeof a === "object" ? a : {};
+  return {
+    enable_welcome_message: !!src.enable_welcome_message,
+    prompts: Array.isArray(src.prompts) ? src.prompts.filter((p) => typeof p === "string") : [],
+    commands: Array.isArray(src.commands)
+      ? src.commands.map((c) => ({ command_name: String(c.command_name || ""), command_description: String(c.command_description || "") }))
+      : [],
+  };
+}
+
+// Body: any of { enable_welcome_message, prompts, commands }; absent = unchanged.
+// Returns { payload, errors } — errors keyed by field, list errors carry `index` (and `field` for commands).
+export function validateAutomation(bodyIn) {
+  const body = bodyIn && typeof bodyIn === "object" ? bodyIn : {};
+  const payload = {};
+  const errors = {};
+  const L = AUTOMATION_LIMITS;
+
+  if (body.enable_welcome_message !== undefined) {
+    if (typeof body.enable_welcome_message !== "boolean") {
+      errors.enable_welcome_message = { code: "invalid_type", message: "enable_welcome_message must be true or false" };
+    } else payload.enable_welcome_message = body.enable_welcome_message;
+  }
+
+  if (body.prompts !== undefined) {
+    const list = Array.isArray(body.prompts) ? body.prompts.map((p) => (typeof p === "string" ? p.trim() : p)).filter((p) => p !== "") : null;
+    if (!list) errors.prompts = { code: "invalid_type", message: "prompts must be an array" };
+    else if (list.length > L.prompts) errors.prompts = { code: "too_many", message: `At most ${L.prompts} ice breakers`, limit: L.prompts };
+    else {
+      const i = list.findIndex((p) => typeof p !== "string" || p.length > L.prompt);
+      if (i !== -1) {
+        errors.prompts = typeof list[i] !== "string"
+          ? { code: "invalid_type", message: "Ice breakers must be text", index: i }
+          : { code: "too_long", message: `Ice breaker ${i + 1} must be at most ${L.prompt} characters`, index: i, limit: L.prompt };
+      } else payload.prompts = list;
+    }
+  }
+
+  if (body.commands !== undefined) {
+    const err = checkCommands(body.commands);
+    if (err) errors.commands = err;
+    else payload.commands = body.commands.map((c) => ({
+      command_name: c.command_name.trim().replace(/^\//, ""),
+      command_description: c.command_description.trim(),
+    }));
+  }
+
+  return { payload, errors };
+}
+
+function checkCommands(v) {
+  const L = AUTOMATION_LIMITS;
+  if (!Array.isArray(v)) return { code: "invalid_type", message: "commands must be an array" };
+  if (v.length > L.commands) return { code: "too_many", message: `At most ${L.commands} commands`, limit: L.commands };
+  const seen = new Set();
+  for (let i = 0; i < v.length; i++) {
+    const c = v[i] || {};
+    if (typeof c.command_name !== "string" || typeof c.command_description !== "string") {
+      return { code: "invalid_type", message: `Command ${i + 1} needs a name and a description`, index: i };
+    }
+    const name = c.command_name.trim().replace(/^\//, ""), desc = c.command_description.trim();
+    if (!name) return { code: "required", message: `Command ${i + 1} needs a name`, index: i, field: "command_name" };
+    if (!COMMAND_NAME_RE.test(name)) return { code: "invalid_command_name", message: `Command "${name}" must be one word without spaces or slashes`, index: i, field: "command_name" };
+    if (name.length > L.command_name) {
+      return { code: "too_long", message: `Command "${name}" must be at most ${L.command_name} characters`, index: i, field: "command_name", limit: L.command_name };
+    }
+    if (!desc) return { code: "required", message: `Command "${name}" needs a description`, index: i, field: "command_description" };
+    if (desc.length > L.command_description) {
+      return { code: "too_long", message: `Description of "${name}" must be at most ${L.command_description} characters`, index: i, field: "command_description", limit: L.command_description };
+    }
+    const key = name.toLowerCase();
+    if (seen.has(key)) return { code: "duplicate", message: `Command "${name}" is listed twice`, index: i, field: "command_name" };
+    seen.add(key);
+  }
+  return null;
+}
@@ -0,0 +1,36 @@
+// Bulk profile apply: one template, many phone numbers
+// - the template uses the same tri-state body as POST /api/profile (absent = keep, value = set, null = clear)
+// - each number is planned against its own live profile (planProfile), so numbers that already match are skipped
+// - numbers run with bounded concurrency (BULK_CONCURRENCY, default 4)
+
+export const BULK_MAX_NUMBERS = 100;
+export const DEFAULT_BULK_CONCURRENCY = 4;
+
+// Returns { ids } or { error }
+export function parsePhoneIds(v) {
+  if (!Array.isArray(v) || !v.length) return { error: "phone_ids must be a non-empty array" };
+  const ids = [...new Set(v.map((x) => String(x ?? "").trim()).filter(Boolean))];
+  const bad = ids.find((id) => !/^\d{5,20}$/.test(id));
+  if (bad) return { error: `Invalid phone number id: ${bad}` };
+  if (ids.length > BULK_MAX_NUMBERS) return { error: `At most ${BULK_MAX_NUMBERS} phone numbers per request` };
+  return { ids };
+}
+
+export function bulkConcurrency(env) {
+  const n = parseInt(env && env.BULK_CONCURRENCY, 10);
+  return n > 0 ? Math.min(n, 10) : DEFAULT_BULK_CONCURRENCY;
+}
+
+// Like Promise.all(items.map(fn)) with at most `limit` calls in flight; results keep input order
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
@@ -0,0 +1,51 @@
+// Business display name (verified_name) — read status, request a change
+// - name_status is the current name's review state; new_name_status tracks a requested change
+// - a request is sent as POST /{phone_id}?new_display_name=… and reviewed by Meta
+// - Meta reports the review outcome (and rejection reason) in the phone_number_name_update webhook
+
+export const DISPLAY_NAME_FIELDS = ["display_phone_number", "verified_name", "name_status", "new_name_status", "new_display_name"];
+
+// Upper bound only; Meta's display name guidelines are enforced by its review
+export const DISPLAY_NAME_MAX = 100;
+
+// Review states as the UI shows them
+const STATES = {
+  APPROVED: "approved",
+  AVAILABLE_WITHOUT_REVIEW: "approved",
+  PENDING_REVIEW: "pending",
+  DECLINED: "declined",
+  EXPIRED: "expired",
+  NONE: "none",
+};
+
+export function reviewState(status) {
+  return STATES[String(status || "").toUpperCase()] || (status ? String(status).toLowerCase() : "none");
+}
+
+export async function fetchDisplayName(graph, { token, phoneId }) {
+  const { data } = await graph.get(encodeURIComponent(phoneId), { token, query: { fields: DISPLAY_NAME_FIELDS.join(",") } });
+  const requested = data.new_name_status && data.new_name_status !== "NONE";
+  return {
+    display_phone_number: data.display_phone_number || "",
+    verified_name: data.verified_name || "",
+    name_status: data.name_status || null,
+    new_name_status: data.new_name_status || null,
+    new_display_name: data.new_display_name || null,
+    // state of the latest request if there is one, otherwise of the current name
+    state: reviewState(requested ? data.new_name_status : data.name_status),
+  };
+}
+
+// Returns a field error ({ code, message }) or null; same shape as lib/validation.js
+export function validateDisplayName(name) {
+  if (typeof name !== "string" || !name.trim()) return { code: "required", message: "Enter the new display name" };
+  const v = name.trim();
+  if (v.length > DISPLAY_NAME_MAX) return { code: "too_long", message: `Display name must be at most ${DISPLAY_NAME_MAX} characters`, limit: DISPLAY_NAME_MAX };
+  if (/[\r\n\t]/.test(v)) return { code: "invalid_characters", message: "Display name must be a single line" };
+  return null;
+}
+
+export async function requestDisplayName(graph, { token, phoneId }, name) {
+  const { status, data } = await graph.post(encodeURIComponent(phoneId), { token, query: { new_display_name: name.trim() } });
+  return { status, data };
+}
@@ -0,0 +1,106 @@
+// Recent webhook events with pluggable stores + a Server-Sent Events stream
+// - KvEventStore: Workers KV (env.EVENTS_KV), shared by every isolate; entries expire after EVENTS_TTL_SECONDS
+// - MemoryEventStore: per-isolate ring buffer; the default and the stand-in for tests
+// Store interface: add(events), list(limit) → newest first
+// The stream polls the store, so it works whichever isolate received the webhook.
+
+import { digitsOnly } from "./webhooks.js";
+
+export const DEFAULT_EVENTS_TTL = 7 * 24 * 60 * 60;
+const MEMORY_EVENTS = 200;
+
+export class MemoryEventStore {
+  constructor(max = MEMORY_EVENTS) {
+    this.max = max;
+    this.events = []; // newest first
+  }
+
+  async add(events) {
+    this.events = [...events].reverse().concat(this.events).slice(0, this.max);
+  }
+
+  async list(limit = 50) {
+    return this.events.slice(0, limit);
+  }
+}
+
+export class KvEventStore {
+  constructor(kv, ttl = DEFAULT_EVENTS_TTL) {
+    this.kv = kv;
+    this.ttl = ttl;
+  }
+
+  // keys sort newest first (KV lists keys in lexicographic order)
+  key(id) {
+    const [ts, rest] = id.split("-");
+    return `evt:${String(9999999999999 - Number(ts)).padStart(13, "0")}-${String(999 - Number(rest.slice(0, 3))).padStart(3, "0")}${rest.slice(3)}`;
+  }
+
+  async add(events) {
+    await Promise.all(events.map((e) => this.kv.put(this.key(e.id), JSON.stringify(e), { expirationTtl: Math.max(60, this.ttl) })));
+  }
+
+  async list(limit = 50) {
+    const { keys } = await this.kv.list({ prefix: "evt:", limit });
+    return (await Promise.all(keys.map((k) => this.kv.get(k.name, "json")))).filter(Boolean);
+  }
+}
+
+const memoryStore = new MemoryEventStore();
+
+export function getEventStore(env) {
+  if (env && env.EVENTS_KV) {
+    const ttl = parseInt(env.EVENTS_TTL_SECONDS, 10);
+    return new KvEventStore(env.EVENTS_KV, ttl > 0 ? ttl : DEFAULT_EVENTS_TTL);
+  }
+  return memoryStore;
+}
+
+// Latest display name decision for a phone number (phone_number_name_update), or null
+export async function lastNameDecision(store, displayPhoneNumber) {
+  const digits = digitsOnly(displayPhoneNumber);
+  if (!digits) return null;
+  const e = (await store.list(100)).find((x) => x.field === "phone_number_name_update" && digitsOnly(x.phone_number) === digits);
+  if (!e) return null;
+  const reason = e.value.rejection_reason && e.value.rejection_reason !== "NONE" ? e.value.rejection_reason : null;
+  return { decision: e.value.decision || null, requested_verified_name: e.value.requested_verified_name || null, rejection_reason: reason, received_at: e.received_at };
+}
+
+// SSE body: backlog newer than `since` (or the latest `backlog` events), then new events as they arrive.
+// Closes after maxMs; EventSource-style clients reconnect with the last id.
+export function eventStream(store, { since = "", filter = () => true, pollMs = 3000, maxMs = 5 * 60 * 1000, backlog = 20 } = {}) {
+  const enc = new TextEncoder();
+  let timer = null, closed = false, last = since;
+
+  return new ReadableStream({
+    async start(controller) {
+      const started = Date.now();
+      controller.enqueue(enc.encode("retry: 5000\n\n"));
+      const tick = async () => {
+        if (closed) return;
+        try {
+          const recent = await store.list(last ? 100 : backlog);
+          const fresh = recent.filter((e) => (!last || e.id > last) && filter(e)).reverse(); // oldest first
+          for (const e of fresh) {
+            controller.enqueue(enc.encode(`id: ${e.id}\nevent: ${e.field}\ndata: ${JSON.stringify(e)}\n\n`));
+          }
+          if (recent.length && (!last || recent[0].id > last)) last = recent[0].id;
+          if (!fresh.length) controller.enqueue(enc.encode(": ping\n\n"));
+        } catch {
+          // store hiccup: try again on the next tick
+        }
+        if (Date.now() - started >= maxMs) {
+          closed = true;
+          controller.close();
+          return;
+        }
+        timer = setTimeout(tick, pollMs);
+      };
+      await tick();
+    },
+    cancel() {
+      closed = true;
+      clearTimeout(timer);
+    },
+  });
+}
@@ -0,0 +1,172 @@
+// Graph API client used by every route
+// - per-request timeout (GRAPH_TIMEOUT_MS, default 15s)
+// - retries transient failures (5xx, network, timeouts) and Meta throttling codes with jittered exponential backoff
+// - POSTs are only retried when throttled: Meta refused those before processing, while a timeout or 5xx may come
+//   after the write happened (a second upload session, a second profile update)
+// - honors Retry-After; gives up if the server asks for a longer wait than we allow
+// - one call never runs past GRAPH_MAX_ELAPSED_MS (default 20s) in total: each attempt's timeout is clamped to what
+//   is left of that budget, and no retry starts once it is used up
+// - failures become GraphError with one envelope: { message, type, code, error_subcode, fbtrace_id, status, retryable }
+// - GRAPH_VERSION can be overridden from env (default v23.0)
+
+export const DEFAULT_GRAPH_VERSION = "v23.0";
+export const GRAPH_HOST = "https://graph.facebook.com";
+
+// 4 app rate limit, 17 user rate limit, 613 calls limit, 80007 WABA rate limit, 130429 Cloud API throughput
+export const RETRYABLE_CODES = [4, 17, 613, 80007, 130429];
+
+const DEFAULTS = {
+  timeoutMs: 15000,
+  retries: 3,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  maxRetryAfterMs: 30000,
+  maxElapsedMs: 20000, // attempts + waits, for one call
+};
+
+export class GraphError extends Error {
+  constructor({ message, status, type = null, code = null, subcode = null, fbtraceId = null, userTitle = null, userMessage = null, retryable = false, data = null }) {
+    super(message);
+    this.name = "GraphError";
+    this.status = status;
+    this.type = type;
+    this.code = code;
+    this.subcode = subcode;
+    this.fbtraceId = fbtraceId;
+    this.userTitle = userTitle;
+    this.userMessage = userMessage;
+    this.retryable = retryable;
+    this.data = data;
+  }
+
+  // The error envelope returned to the UI
+  toJSON() {
+    return {
+      message: this.message,
+      type: this.type,
+      code: this.code,
+      error_subcode: this.subcode,
+      fbtrace_id: this.fbtraceId,
+      error_user_title: this.userTitle,
+      error_user_msg: this.userMessage,
+      status: this.status,
+      retryable: this.retryable,
+    };
+  }
+
+  static fromResponse(status, data) {
+    const e = (data && data.error) || {};
+    return new GraphError({
+      message: e.error_user_msg || e.message || `Graph API error (HTTP ${status})`,
+      status,
+      type: e.type || null,
+      code: e.code ?? null,
+      subcode: e.error_subcode ?? null,
+      fbtraceId: e.fbtrace_id || null,
+      userTitle: e.error_user_title || null,
+      userMessage: e.error_user_msg || null,
+      retryable: isRetryable(status, e.code),
+      data,
+    });
+  }
+}
+
+export function isRetryable(status, code) {
+  return status >= 500 || status === 429 || isThrottled(status, code);
+}
+
+export function isThrottled(status, code) {
+  return status === 429 || RETRYABLE_CODES.includes(Number(code));
+}
+
+// GETs are safe to repeat; anything else only when Meta turned it away unprocessed
+export function shouldRetry(method, err) {
+  return err.retryable && (method === "GET" || isThrottled(err.status, err.code));
+}
+
+export function graphVersion(env) {
+  const v = String((env && env.GRAPH_VERSION) || "").trim();
+  return /^v\d+\.\d+$/.test(v) ? v : DEFAULT_GRAPH_VERSION;
+}
+
+// opts: { fetchImpl, sleep, random } — injectable for tests/sandboxing
+export function createGraphClient(env = {}, opts = {}) {
+  const version = graphVersion(env);
+  const base = `${GRAPH_HOST}/${version}`;
+  const fetchImpl = opts.fetchImpl || ((...a) => fetch(...a));
+  const sleep = opts.sleep || ((ms) => new Promise((r) => setTimeout(r, ms)));
+  const random = opts.random || Math.random;
+  const timeoutMs = parseInt(env.GRAPH_TIMEOUT_MS, 10) > 0 ? parseInt(env.GRAPH_TIMEOUT_MS, 10) : DEFAULTS.timeoutMs;
+  const maxRetries = parseInt(env.GRAPH_RETRIES, 10) >= 0 ? parseInt(env.GRAPH_RETRIES, 10) : DEFAULTS.retries;
+  const maxElapsedMs = parseInt(env.GRAPH_MAX_ELAPSED_MS, 10) > 0 ? parseInt(env.GRAPH_MAX_ELAPSED_MS, 10) : DEFAULTS.maxElapsedMs;
+
+  // path is appended verbatim: callers encode ids themselves (upload ids must stay raw)
+  async function request(method, path, { token, query, json, body, headers = {}, retries = maxRetries, timeout = timeoutMs } = {}) {
+    let url = `${base}/${path}`;
+    if (query) {
+      const qs = new URLSearchParams();
+      for (const [k, v] of Object.entries(query)) if (v != null) qs.set(k, String(v));
+      const s = qs.toString();
+      if (s) url += (url.includes("?") ? "&" : "?") + s;
+    }
+    const h = { ...headers };
+    if (token) h.Authorization = `Bearer ${token}`;
+    let payload = body;
+    if (json !== undefined) {
+      h["Content-Type"] = "application/json";
+      payload = JSON.stringify(json);
+    }
+
+    let spent = 0; // ms in attempts and backoff waits so far
+    for (let attempt = 0; ; attempt++) {
+      let err, resp;
+      const t0 = Date.now();
+      const attemptTimeout = Math.min(timeout, maxElapsedMs - spent);
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), attemptTimeout);
+      try {
+        resp = await fetchImpl(url, { method, headers: h, body: payload, signal: controller.signal });
+        const data = await safeJson(resp);
+        if (resp.ok) return { status: resp.status, data, headers: resp.headers };
+        err = GraphError.fromResponse(resp.status, data);
+      } catch (e) {
+        err = controller.signal.aborted
+          ? new GraphError({ message: `Graph API timed out after ${attemptTimeout}ms`, status: 504, type: "TransportError", code: "timeout", retryable: true })
+          : new GraphError({ message: `Graph API unreachable: ${e.message}`, status: 502, type: "TransportError", code: "network_error", retryable: true });
+      } finally {
+        clearTimeout(timer);
+        spent += Date.now() - t0;
+      }
+
+      if (!shouldRetry(method, err) || attempt >= retries) throw err;
+      const wait = backoff(attempt, resp && resp.headers.get("retry-after"), random);
+      // the next attempt needs some of the budget left after the wait
+      if (wait == null || spent + wait >= maxElapsedMs) throw err;
+      await sleep(wait);
+      spent += wait;
+    }
+  }
+
+  return {
+    version,
+    base,
+    request,
+    get: (path, o) => request("GET", path, o),
+    post: (path, o) => request("POST", path, o),
+    delete: (path, o) => request("DELETE", path, o),
+  };
+}
+
+// Full-jitter exponential backoff; Retry-After (seconds or HTTP date) sets the floor. null = don't retry.
+export function backoff(attempt, retryAfter, random = Math.random) {
+  const cap = Math.min(DEFAULTS.maxDelayMs, DEFAULTS.baseDelayMs * 2 ** attempt);
+  const jitter = Math.floor(random() * cap);
+  if (!retryAfter) return jitter;
+  let ms = Number(retryAfter) * 1000;
+  if (!Number.isFinite(ms)) ms = Date.parse(retryAfter) - Date.now();
+  if (!Number.isFinite(ms)) return jitter;
+  if (ms > DEFAULTS.maxRetryAfterMs) return null;
+  return Math.max(ms, jitter);
+}
+
+async function safeJson(resp) { try { return await resp.json(); } catch { return {}; } }
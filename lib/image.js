@@ -0,0 +1,156 @@
+// Profile photo checks + normalization
+// - sniff JPEG/PNG magic bytes (never trust file.type / content-type) and read dimensions
+// - enforce Meta's limits: at most 5 MB, at least 192×192
+// - optional normalization: honor EXIF orientation, square center-crop, resize to 640×640, re-encode as JPEG
+
+import { isJpeg, readJpegHeader, readJpegOrientation, decodeJpeg, encodeJpeg } from "./jpeg.js";
+import { isPng, readPngHeader, decodePng } from "./png.js";
+
+export class ImageError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "ImageError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export const PHOTO_LIMITS = {
+  maxBytes: 5 * 1024 * 1024,
+  minSide: 192,
+  size: 640,
+  quality: 85,
+  maxPixels: 4 * 1024 * 1024, // decode budget for normalization: 16 MB of RGBA, plus a copy to rotate it
+};
+
+// "image/jpeg" | "image/png" | null, from the magic bytes only
+export function sniffMime(bytes) {
+  if (isJpeg(bytes)) return "image/jpeg";
+  if (isPng(bytes)) return "image/png";
+  return null;
+}
+
+// { mime, width, height, byteLength }
+export function inspectImage(bytes) {
+  let header, mime;
+  try {
+    if (isJpeg(bytes)) { mime = "image/jpeg"; header = readJpegHeader(bytes); }
+    else if (isPng(bytes)) { mime = "image/png"; header = readPngHeader(bytes); }
+  } catch (e) {
+    throw new ImageError("corrupt_image", `Image could not be read: ${e.message}`);
+  }
+  if (!mime) throw new ImageError("unsupported_format", "File is not a JPG or PNG image", 415);
+  if (!header.width || !header.height) throw new ImageError("corrupt_image", "Image has no dimensions");
+  return { mime, width: header.width, height: header.height, byteLength: bytes.length };
+}
+
+export function checkPhoto(bytes, limits = PHOTO_LIMITS) {
+  if (bytes.length > limits.maxBytes) {
+    throw new ImageError("too_large", `Image is ${formatBytes(bytes.length)}; WhatsApp allows at most ${formatBytes(limits.maxBytes)}`, 413);
+  }
+  const info = inspectImage(bytes);
+  if (Math.min(info.width, info.height) < limits.minSide) {
+    throw new ImageError(
+      "too_small",
+      `Image is ${info.width}×${info.height}; WhatsApp needs at least ${limits.minSide}×${limits.minSide}`
+    );
+  }
+  return info;
+}
+
+// Returns { bytes, mime: "image/jpeg", width, height }
+export async function normalizePhoto(bytes, info = inspectImage(bytes), limits = PHOTO_LIMITS) {
+  if (info.width * info.height > limits.maxPixels) {
+    throw new ImageError(
+      "too_many_pixels",
+      `Image is ${info.width}×${info.height}; normalization handles at most ${(limits.maxPixels / 1e6).toFixed(1)} megapixels`,
+      413
+    );
+  }
+  let img;
+  try {
+    if (info.mime === "image/png") {
+      img = await decodePng(bytes, { maxPixels: limits.maxPixels });
+    } else {
+      img = orient(decodeJpeg(bytes, { maxPixels: limits.maxPixels }), readJpegOrientation(bytes));
+    }
+  } catch (e) {
+    throw new ImageError("decode_failed", `Could not decode image for normalization: ${e.message}`, 422);
+  }
+  const square = squareResize(img, limits.size);
+  return { bytes: encodeJpeg(square, limits.quality), mime: "image/jpeg", width: limits.size, height: limits.size };
+}
+
+// Apply EXIF orientation (1–8) so the crop matches what viewers display
+export function orient(img, o) {
+  if (!o || o === 1) return img;
+  const { width: W, height: H, data } = img;
+  const swap = o >= 5;
+  const w = swap ? H : W, h = swap ? W : H;
+  const out = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let sx, sy;
+      switch (o) {
+        case 2: sx = W - 1 - x; sy = y; break;
+        case 3: sx = W - 1 - x; sy = H - 1 - y; break;
+        case 4: sx = x; sy = H - 1 - y; break;
+        case 5: sx = y; sy = x; break;
+        case 6: sx = y; sy = H - 1 - x; break;
+        case 7: sx = W - 1 - y; sy = H - 1 - x; break;
+        default: sx = W - 1 - y; sy = x; break; // 8
+      }
+      const si = (sy * W + sx) * 4, di = (y * w + x) * 4;
+      out[di] = data[si]; out[di + 1] = data[si + 1]; out[di + 2] = data[si + 2]; out[di + 3] = data[si + 3];
+    }
+  }
+  return { width: w, height: h, data: out };
+}
+
+// Center-crop to a square and resample to size×size, flattening alpha onto white
+export function squareResize({ width, height, data }, size) {
+  const side = Math.min(width, height);
+  const ox = (width - side) >> 1, oy = (height - side) >> 1;
+  const scale = side / size;
+  const out = new Uint8ClampedArray(size * size * 4);
+
+  const flat = (x, y, c) => {
+    const i = ((oy + y) * width + (ox + x)) * 4;
+    const a = data[i + 3] / 255;
+    return data[i + c] * a + 255 * (1 - a);
+  };
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const o = (y * size + x) * 4;
+      if (scale >= 1) {
+        // box filter over the source pixels covered by this output pixel
+        const x0 = Math.floor(x * scale), x1 = Math.max(x0 + 1, Math.floor((x + 1) * scale));
+        const y0 = Math.floor(y * scale), y1 = Math.max(y0 + 1, Math.floor((y + 1) * scale));
+        for (let c = 0; c < 3; c++) {
+          let sum = 0;
+          for (let yy = y0; yy < y1; yy++) for (let xx = x0; xx < x1; xx++) sum += flat(xx, yy, c);
+          out[o + c] = sum / ((x1 - x0) * (y1 - y0));
+        }
+      } else {
+        // bilinear upscale
+        const fx = Math.min(side - 1, Math.max(0, (x + 0.5) * scale - 0.5));
+        const fy = Math.min(side - 1, Math.max(0, (y + 0.5) * scale - 0.5));
+        const x0 = Math.floor(fx), y0 = Math.floor(fy);
+        const x1 = Math.min(side - 1, x0 + 1), y1 = Math.min(side - 1, y0 + 1);
+        const tx = fx - x0, ty = fy - y0;
+        for (let c = 0; c < 3; c++) {
+          const top = flat(x0, y0, c) * (1 - tx) + flat(x1, y0, c) * tx;
+          const bottom = flat(x0, y1, c) * (1 - tx) + flat(x1, y1, c) * tx;
+          out[o + c] = top * (1 - ty) + bottom * ty;
+        }
+      }
+      out[o + 3] = 255;
+    }
+  }
+  return { width: size, height: size, data: out };
+}
+
+function formatBytes(n) {
+  return n >= 1024 * 1024 ? `${(n / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(n / 1024)} KB`;
+}
@@ -0,0 +1,587 @@
+// Minimal JPEG codec (pure JS)
+// - decodeJpeg: baseline + progressive Huffman JPEGs, 1 (gray) or 3 (YCbCr/RGB) components, any sampling
+// - encodeJpeg: baseline 4:4:4 YCbCr with the standard Annex K tables
+// Pixel data is RGBA (Uint8ClampedArray), as in ImageData.
+
+export function isJpeg(bytes) {
+  return bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+}
+
+// natural index of the k-th coefficient in zigzag order
+const ZIGZAG = (() => {
+  const out = [];
+  for (let s = 0; s < 15; s++) {
+    const cells = [];
+    for (let y = 0; y < 8; y++) { const x = s - y; if (x >= 0 && x < 8) cells.push(y * 8 + x); }
+    out.push(...(s % 2 ? cells : cells.reverse()));
+  }
+  return out;
+})();
+
+// DCT basis: BASIS[u * 8 + x] = c(u)/2 * cos((2x+1)uπ/16)
+const BASIS = (() => {
+  const m = new Float32Array(64);
+  for (let u = 0; u < 8; u++) {
+    const c = u === 0 ? Math.SQRT1_2 : 1;
+    for (let x = 0; x < 8; x++) m[u * 8 + x] = (c / 2) * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+  return m;
+})();
+
+// ---------- header parsing ----------
+const SOF_MARKERS = [0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf];
+
+// { width, height, progressive, components } from the first SOF marker
+export function readJpegHeader(bytes) {
+  if (!isJpeg(bytes)) throw new Error("Not a JPEG file");
+  let off = 2;
+  while (off + 4 <= bytes.length) {
+    if (bytes[off] !== 0xff) { off++; continue; }
+    const marker = bytes[off + 1];
+    if (marker === 0xff) { off++; continue; }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { off += 2; continue; }
+    if (marker === 0xd9 || marker === 0xda) break;
+    const len = (bytes[off + 2] << 8) | bytes[off + 3];
+    if (SOF_MARKERS.includes(marker)) {
+      if (off + 10 > bytes.length) break;
+      return {
+        height: (bytes[off + 5] << 8) | bytes[off + 6],
+        width: (bytes[off + 7] << 8) | bytes[off + 8],
+        components: bytes[off + 9],
+        progressive: marker === 0xc2,
+        marker,
+      };
+    }
+    off += 2 + len;
+  }
+  throw new Error("JPEG has no frame header");
+}
+
+// EXIF orientation (1–8), 1 when absent
+export function readJpegOrientation(bytes) {
+  let off = 2;
+  while (off + 4 <= bytes.length && bytes[off] === 0xff) {
+    const marker = bytes[off + 1];
+    const len = (bytes[off + 2] << 8) | bytes[off + 3];
+    if (marker === 0xda) break;
+    if (marker === 0xe1 && String.fromCharCode(...bytes.subarray(off + 4, off + 10)) === "Exif\0\0") {
+      const t = off + 10;
+      const le = bytes[t] === 0x49;
+      const u16 = (p) => (le ? bytes[p] | (bytes[p + 1] << 8) : (bytes[p] << 8) | bytes[p + 1]);
+      const u32 = (p) => (le ? u16(p) + u16(p + 2) * 65536 : u16(p) * 65536 + u16(p + 2));
+      const ifd = t + u32(t + 4);
+      const n = u16(ifd);
+      for (let i = 0; i < n; i++) {
+        const e = ifd + 2 + i * 12;
+        if (e + 12 > bytes.length) break;
+        if (u16(e) === 0x0112) { const v = u16(e + 8); return v >= 1 && v <= 8 ? v : 1; }
+      }
+      return 1;
+    }
+    off += 2 + len;
+  }
+  return 1;
+}
+
+// ---------- decoder ----------
+export function decodeJpeg(bytes, { maxPixels = Infinity } = {}) {
+  const qt = [];
+  const dcTables = [], acTables = [];
+  let frame = null, resetInterval = 0, adobe = null;
+  let off = 2;
+
+  const u16 = (p) => (bytes[p] << 8) | bytes[p + 1];
+
+  while (off < bytes.length) {
+    if (bytes[off] !== 0xff) { off++; continue; }
+    const marker = bytes[off + 1];
+    off += 2;
+    if (marker === 0xff || marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x00) { if (marker === 0xff) off--; continue; }
+    if (marker === 0xd9) break;
+    const len = u16(off);
+    const seg = off + 2, end = off + len;
+
+    if (marker === 0xdb) { // DQT
+      let p = seg;
+      while (p < end) {
+        const pq = bytes[p] >> 4, tq = bytes[p] & 15;
+        p++;
+        const table = new Uint16Array(64);
+        for (let k = 0; k < 64; k++) {
+          table[ZIGZAG[k]] = pq ? u16(p) : bytes[p];
+          p += pq ? 2 : 1;
+        }
+        qt[tq] = table;
+      }
+    } else if (marker === 0xc4) { // DHT
+      let p = seg;
+      while (p < end) {
+        const tc = bytes[p] >> 4, th = bytes[p] & 15;
+        const counts = bytes.subarray(p + 1, p + 17);
+        let total = 0;
+        for (let i = 0; i < 16; i++) total += counts[i];
+        const values = bytes.subarray(p + 17, p + 17 + total);
+        (tc === 0 ? dcTables : acTables)[th] = buildDecodeTable(counts, values);
+        p += 17 + total;
+      }
+    } else if (marker === 0xdd) { // DRI
+      resetInterval = u16(seg);
+    } else if (marker === 0xee) { // Adobe APP14
+      if (String.fromCharCode(...bytes.subarray(seg, seg + 5)) === "Adobe") adobe = { transform: bytes[seg + 11] };
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) { // SOF0/1/2
+      if (bytes[seg] !== 8) throw new Error("Only 8-bit JPEGs are supported");
+      frame = {
+        progressive: marker === 0xc2,
+        height: u16(seg + 1),
+        width: u16(seg + 3),
+        components: [],
+      };
+      const n = bytes[seg + 5];
+      for (let i = 0; i < n; i++) {
+        const c = seg + 6 + i * 3;
+        frame.components.push({ id: bytes[c], h: bytes[c + 1] >> 4, v: bytes[c + 1] & 15, tq: bytes[c + 2] });
+      }
+      if (!frame.width || !frame.height) throw new Error("JPEG dimensions missing");
+      if (frame.width * frame.height > maxPixels) throw new Error("JPEG dimensions out of range");
+      if (n !== 1 && n !== 3) throw new Error("Only grayscale and YCbCr/RGB JPEGs are supported");
+      prepareFrame(frame);
+    } else if (SOF_MARKERS.includes(marker)) {
+      throw new Error("Unsupported JPEG encoding (lossless or arithmetic)");
+    } else if (marker === 0xda) { // SOS
+      if (!frame) throw new Error("JPEG scan before frame header");
+      const n = bytes[seg];
+      const comps = [];
+      for (let i = 0; i < n; i++) {
+        const id = bytes[seg + 1 + i * 2], t = bytes[seg + 2 + i * 2];
+        const c = frame.components.find((x) => x.id === id);
+        if (!c) throw new Error("JPEG scan references unknown component");
+        c.dc = dcTables[t >> 4];
+        c.ac = acTables[t & 15];
+        comps.push(c);
+      }
+      const p = seg + 1 + n * 2;
+      const ss = bytes[p], se = bytes[p + 1], ah = bytes[p + 2] >> 4, al = bytes[p + 2] & 15;
+      off = decodeScan(bytes, end, frame, comps, resetInterval, ss, se, ah, al);
+      continue;
+    }
+    off = end;
+  }
+
+  if (!frame) throw new Error("JPEG has no frame header");
+  return outputFrame(frame, qt, adobe);
+}
+
+function buildDecodeTable(counts, values) {
+  const maxcode = new Int32Array(18).fill(-1), valptr = new Int32Array(17), mincode = new Int32Array(17);
+  let code = 0, k = 0;
+  for (let l = 1; l <= 16; l++) {
+    const n = counts[l - 1];
+    valptr[l] = k;
+    mincode[l] = code;
+    code += n;
+    k += n;
+    maxcode[l] = n ? code - 1 : -1;
+    code <<= 1;
+  }
+  return { maxcode, valptr, mincode, values: Uint8Array.from(values) };
+}
+
+function prepareFrame(frame) {
+  let maxH = 1, maxV = 1;
+  for (const c of frame.components) { maxH = Math.max(maxH, c.h); maxV = Math.max(maxV, c.v); }
+  frame.maxH = maxH;
+  frame.maxV = maxV;
+  frame.mcusPerLine = Math.ceil(frame.width / (8 * maxH));
+  frame.mcusPerColumn = Math.ceil(frame.height / (8 * maxV));
+  for (const c of frame.components) {
+    c.blocksPerLine = Math.ceil(Math.ceil((frame.width * c.h) / maxH) / 8);
+    c.blocksPerColumn = Math.ceil(Math.ceil((frame.height * c.v) / maxV) / 8);
+    c.blocksPerLineForMcu = frame.mcusPerLine * c.h;
+    c.blocksPerColumnForMcu = frame.mcusPerColumn * c.v;
+    c.coeffs = new Int16Array(c.blocksPerLineForMcu * c.blocksPerColumnForMcu * 64);
+    c.pred = 0;
+  }
+}
+
+// Returns the offset just past the entropy-coded data
+function decodeScan(data, start, frame, comps, resetInterval, ss, se, ah, al) {
+  let pos = start, bitBuf = 0, bitCnt = 0, eobrun = 0;
+  let acState = 0, acNext = 0;
+
+  function readBit() {
+    if (bitCnt === 0) {
+      if (pos >= data.length) throw new Error("JPEG data truncated");
+      bitBuf = data[pos++];
+      if (bitBuf === 0xff) {
+        const next = data[pos];
+        if (next === 0) pos++;
+        else { pos--; bitBuf = 0; } // hit a marker early (truncated segment): pad with zeros, leave it for the caller
+      }
+      bitCnt = 8;
+    }
+    bitCnt--;
+    return (bitBuf >> bitCnt) & 1;
+  }
+  function receive(n) {
+    let v = 0;
+    while (n-- > 0) v = (v << 1) | readBit();
+    return v;
+  }
+  function receiveExtend(n) {
+    if (n === 1) return readBit() ? 1 : -1;
+    const v = receive(n);
+    return v >= 1 << (n - 1) ? v : v - (1 << n) + 1;
+  }
+  function decodeHuffman(t) {
+    if (!t) throw new Error("JPEG Huffman table missing");
+    let code = 0;
+    for (let l = 1; l <= 16; l++) {
+      code = (code << 1) | readBit();
+      if (code <= t.maxcode[l]) return t.values[t.valptr[l] + code - t.mincode[l]];
+    }
+    throw new Error("Bad JPEG Huffman code");
+  }
+
+  function baseline(c, o) {
+    const t = decodeHuffman(c.dc);
+    c.pred += t === 0 ? 0 : receiveExtend(t);
+    c.coeffs[o] = c.pred;
+    for (let k = 1; k < 64;) {
+      const rs = decodeHuffman(c.ac), s = rs & 15, r = rs >> 4;
+      if (s === 0) { if (r < 15) break; k += 16; continue; }
+      k += r;
+      if (k > 63) break;
+      c.coeffs[o + ZIGZAG[k]] = receiveExtend(s);
+      k++;
+    }
+  }
+  function dcFirst(c, o) {
+    const t = decodeHuffman(c.dc);
+    c.pred += t === 0 ? 0 : receiveExtend(t) * (1 << al);
+    c.coeffs[o] = c.pred;
+  }
+  function dcRefine(c, o) {
+    if (readBit()) c.coeffs[o] |= 1 << al;
+  }
+  function acFirst(c, o) {
+    if (eobrun > 0) { eobrun--; return; }
+    for (let k = ss; k <= se;) {
+      const rs = decodeHuffman(c.ac), s = rs & 15, r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) { eobrun = receive(r) + (1 << r) - 1; break; }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) break;
+      c.coeffs[o + ZIGZAG[k]] = receiveExtend(s) * (1 << al);
+      k++;
+    }
+  }
+  function acRefine(c, o) {
+    let r = 0;
+    for (let k = ss; k <= se; k++) {
+      const z = o + ZIGZAG[k];
+      const sign = c.coeffs[z] < 0 ? -1 : 1;
+      switch (acState) {
+        case 0: {
+          const rs = decodeHuffman(c.ac), s = rs & 15;
+          r = rs >> 4;
+          if (s === 0) {
+            if (r < 15) { eobrun = receive(r) + (1 << r); acState = 4; }
+            else { r = 16; acState = 1; }
+          } else {
+            if (s !== 1) throw new Error("Bad JPEG refinement code");
+            acNext = receiveExtend(s);
+            acState = r ? 2 : 3;
+          }
+          k--; // re-process this coefficient in the new state
+          continue;
+        }
+        case 1:
+        case 2:
+          if (c.coeffs[z]) c.coeffs[z] += sign * (readBit() << al);
+          else if (--r === 0) acState = acState === 2 ? 3 : 0;
+          break;
+        case 3:
+          if (c.coeffs[z]) c.coeffs[z] += sign * (readBit() << al);
+          else { c.coeffs[z] = acNext << al; acState = 0; }
+          break;
+        case 4:
+          if (c.coeffs[z]) c.coeffs[z] += sign * (readBit() << al);
+          break;
+      }
+    }
+    if (acState === 4 && --eobrun === 0) acState = 0;
+  }
+
+  const decode = !frame.progressive
+    ? baseline
+    : ss === 0
+      ? (ah === 0 ? dcFirst : dcRefine)
+      : (ah === 0 ? acFirst : acRefine);
+
+  const single = comps.length === 1;
+  const total = single
+    ? comps[0].blocksPerLine * comps[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+  const interval = resetInterval || total;
+
+  for (let n = 0; n < total;) {
+    for (const c of comps) c.pred = 0;
+    eobrun = 0;
+    acState = 0;
+    for (let i = 0; i < interval && n < total; i++, n++) {
+      if (single) {
+        const c = comps[0];
+        const row = Math.floor(n / c.blocksPerLine), col = n % c.blocksPerLine;
+        decode(c, 64 * (row * c.blocksPerLineForMcu + col));
+      } else {
+        const mcuRow = Math.floor(n / frame.mcusPerLine), mcuCol = n % frame.mcusPerLine;
+        for (const c of comps) {
+          for (let v = 0; v < c.v; v++) {
+            for (let h = 0; h < c.h; h++) {
+              const row = mcuRow * c.v + v, col = mcuCol * c.h + h;
+              decode(c, 64 * (row * c.blocksPerLineForMcu + col));
+            }
+          }
+        }
+      }
+    }
+    // byte-align and skip the RSTn marker (or stop at the next real marker)
+    bitCnt = 0;
+    while (pos < data.length && !(data[pos] === 0xff && data[pos + 1] !== 0 && data[pos + 1] !== 0xff)) pos++;
+    if (pos < data.length && data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7) pos += 2;
+    else break;
+  }
+  return pos;
+}
+
+function outputFrame(frame, qt, adobe) {
+  const { width, height, maxH, maxV } = frame;
+  const planes = frame.components.map((c) => {
+    const q = qt[c.tq];
+    if (!q) throw new Error("JPEG quantization table missing");
+    const w = c.blocksPerLineForMcu * 8;
+    const plane = new Uint8ClampedArray(w * c.blocksPerColumnForMcu * 8);
+    const block = new Float32Array(64), tmp = new Float32Array(64);
+    for (let by = 0; by < c.blocksPerColumn; by++) {
+      for (let bx = 0; bx < c.blocksPerLine; bx++) {
+        const o = 64 * (by * c.blocksPerLineForMcu + bx);
+        for (let i = 0; i < 64; i++) block[i] = c.coeffs[o + i] * q[i];
+        idct(block, tmp);
+        for (let y = 0; y < 8; y++) {
+          const row = (by * 8 + y) * w + bx * 8;
+          for (let x = 0; x < 8; x++) plane[row + x] = block[y * 8 + x] + 128;
+        }
+      }
+    }
+    c.coeffs = null;
+    return { plane, w, sx: c.h / maxH, sy: c.v / maxV };
+  });
+
+  const out = new Uint8ClampedArray(width * height * 4);
+  const rgb = planes.length === 3 && !(adobe && adobe.transform === 0) ? "ycc" : planes.length === 3 ? "rgb" : "gray";
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const o = (y * width + x) * 4;
+      const s = (p) => p.plane[Math.floor(y * p.sy) * p.w + Math.floor(x * p.sx)];
+      if (rgb === "gray") {
+        out[o] = out[o + 1] = out[o + 2] = s(planes[0]);
+      } else if (rgb === "rgb") {
+        out[o] = s(planes[0]); out[o + 1] = s(planes[1]); out[o + 2] = s(planes[2]);
+      } else {
+        const Y = s(planes[0]), cb = s(planes[1]) - 128, cr = s(planes[2]) - 128;
+        out[o] = Y + 1.402 * cr;
+        out[o + 1] = Y - 0.344136 * cb - 0.714136 * cr;
+        out[o + 2] = Y + 1.772 * cb;
+      }
+      out[o + 3] = 255;
+    }
+  }
+  return { width, height, data: out };
+}
+
+// in-place 8x8 inverse DCT: f = Bᵀ F B
+function idct(block, tmp) {
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let s = 0;
+      for (let u = 0; u < 8; u++) s += BASIS[u * 8 + x] * block[y * 8 + u];
+      tmp[y * 8 + x] = s;
+    }
+  }
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let s = 0;
+      for (let v = 0; v < 8; v++) s += BASIS[v * 8 + y] * tmp[v * 8 + x];
+      block[y * 8 + x] = s;
+    }
+  }
+}
+
+// ---------- encoder ----------
+const STD_LUMA_Q = [
+  16, 11, 10, 16, 24, 40, 51, 61, 12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56, 14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77, 24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99,
+];
+const STD_CHROMA_Q = [
+  17, 18, 24, 47, 99, 99, 99, 99, 18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99, 47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99),
+];
+
+const range = (a, b) => Array.from({ length: b - a + 1 }, (_, i) => a + i);
+const acTail = (first) => [
+  ...range(0x43, 0x4a), ...range(0x53, 0x5a), ...range(0x63, 0x6a), ...range(0x73, 0x7a),
+  ...first, ...range(0x92, 0x9a), ...range(0xa2, 0xaa), ...range(0xb2, 0xba),
+  ...range(0xc2, 0xca), ...range(0xd2, 0xda),
+];
+const STD_HUFF = {
+  dcLuma: { bits: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], values: range(0, 11) },
+  dcChroma: { bits: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], values: range(0, 11) },
+  acLuma: {
+    bits: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+    values: [
+      0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+      0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+      0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+      0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a,
+      ...acTail(range(0x83, 0x8a)), ...range(0xe1, 0xea), ...range(0xf1, 0xfa),
+    ],
+  },
+  acChroma: {
+    bits: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+    values: [
+      0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+      0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+      0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+      0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a,
+      ...acTail(range(0x82, 0x8a)), ...range(0xe2, 0xea), ...range(0xf2, 0xfa),
+    ],
+  },
+};
+
+function buildEncodeTable({ bits, values }) {
+  const codes = new Uint16Array(256), sizes = new Uint8Array(256);
+  let code = 0, k = 0;
+  for (let l = 1; l <= 16; l++) {
+    for (let i = 0; i < bits[l - 1]; i++) { codes[values[k]] = code++; sizes[values[k]] = l; k++; }
+    code <<= 1;
+  }
+  return { codes, sizes };
+}
+
+function scaleQuant(table, quality) {
+  const q = Math.min(100, Math.max(1, quality | 0));
+  const scale = q < 50 ? 5000 / q : 200 - q * 2;
+  return table.map((v) => Math.min(255, Math.max(1, Math.floor((v * scale + 50) / 100))));
+}
+
+// image: { width, height, data: RGBA } — alpha is ignored (composite beforehand)
+export function encodeJpeg({ width, height, data }, quality = 85) {
+  const qY = scaleQuant(STD_LUMA_Q, quality), qC = scaleQuant(STD_CHROMA_Q, quality);
+  const tables = {
+    dcY: buildEncodeTable(STD_HUFF.dcLuma), acY: buildEncodeTable(STD_HUFF.acLuma),
+    dcC: buildEncodeTable(STD_HUFF.dcChroma), acC: buildEncodeTable(STD_HUFF.acChroma),
+  };
+
+  const out = [];
+  const byte = (b) => out.push(b & 255);
+  const word = (w) => { byte(w >> 8); byte(w); };
+  const segment = (marker, body) => { byte(0xff); byte(marker); word(body.length + 2); body.forEach(byte); };
+
+  byte(0xff); byte(0xd8);
+  segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]); // JFIF 1.1
+  segment(0xdb, [0, ...ZIGZAG.map((z) => qY[z]), 1, ...ZIGZAG.map((z) => qC[z])]);
+  segment(0xc0, [8, height >> 8, height & 255, width >> 8, width & 255, 3, 1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1]);
+  segment(0xc4, [
+    0x00, ...STD_HUFF.dcLuma.bits, ...STD_HUFF.dcLuma.values,
+    0x10, ...STD_HUFF.acLuma.bits, ...STD_HUFF.acLuma.values,
+    0x01, ...STD_HUFF.dcChroma.bits, ...STD_HUFF.dcChroma.values,
+    0x11, ...STD_HUFF.acChroma.bits, ...STD_HUFF.acChroma.values,
+  ]);
+  segment(0xda, [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0]);
+
+  let bitBuf = 0, bitCnt = 0;
+  const writeBits = (code, size) => {
+    for (let i = size - 1; i >= 0; i--) {
+      bitBuf = (bitBuf << 1) | ((code >> i) & 1);
+      if (++bitCnt === 8) {
+        byte(bitBuf);
+        if (bitBuf === 0xff) byte(0);
+        bitBuf = 0;
+        bitCnt = 0;
+      }
+    }
+  };
+  const category = (v) => { let a = Math.abs(v), n = 0; while (a) { n++; a >>= 1; } return n; };
+  const writeValue = (v, n) => writeBits(v < 0 ? v + (1 << n) - 1 : v, n);
+
+  const pred = [0, 0, 0];
+  const blocks = [new Float32Array(64), new Float32Array(64), new Float32Array(64)];
+  const tmp = new Float32Array(64);
+  const quant = [qY, qC, qC];
+  const huff = [[tables.dcY, tables.acY], [tables.dcC, tables.acC], [tables.dcC, tables.acC]];
+
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      for (let y = 0; y < 8; y++) {
+        const sy = Math.min(height - 1, by + y);
+        for (let x = 0; x < 8; x++) {
+          const o = (sy * width + Math.min(width - 1, bx + x)) * 4;
+          const r = data[o], g = data[o + 1], b = data[o + 2];
+          blocks[0][y * 8 + x] = 0.299 * r + 0.587 * g + 0.114 * b - 128;
+          blocks[1][y * 8 + x] = -0.168736 * r - 0.331264 * g + 0.5 * b;
+          blocks[2][y * 8 + x] = 0.5 * r - 0.418688 * g - 0.081312 * b;
+        }
+      }
+      for (let c = 0; c < 3; c++) {
+        const blk = blocks[c];
+        fdct(blk, tmp);
+        const [dc, ac] = huff[c];
+        const coef = ZIGZAG.map((z) => Math.round(blk[z] / quant[c][z]));
+        const diff = coef[0] - pred[c];
+        pred[c] = coef[0];
+        const n = category(diff);
+        writeBits(dc.codes[n], dc.sizes[n]);
+        if (n) writeValue(diff, n);
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+          const v = coef[k];
+          if (v === 0) { run++; continue; }
+          while (run > 15) { writeBits(ac.codes[0xf0], ac.sizes[0xf0]); run -= 16; }
+          const s = category(v);
+          const sym = (run << 4) | s;
+          writeBits(ac.codes[sym], ac.sizes[sym]);
+          writeValue(v, s);
+          run = 0;
+        }
+        if (run) writeBits(ac.codes[0x00], ac.sizes[0x00]);
+      }
+    }
+  }
+  if (bitCnt) writeBits((1 << (8 - bitCnt)) - 1, 8 - bitCnt);
+  byte(0xff); byte(0xd9);
+  return Uint8Array.from(out);
+}
+
+// in-place 8x8 forward DCT: F = B f Bᵀ
+function fdct(block, tmp) {
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let s = 0;
+      for (let x = 0; x < 8; x++) s += BASIS[u * 8 + x] * block[y * 8 + x];
+      tmp[y * 8 + u] = s;
+    }
+  }
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let s = 0;
+      for (let y = 0; y < 8; y++) s += BASIS[v * 8 + y] * tmp[y * 8 + u];
+      block[v * 8 + u] = s;
+    }
+  }
+}
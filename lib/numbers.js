@@ -0,0 +1,53 @@
+// Phone numbers of a WhatsApp Business Account (/{waba_id}/phone_numbers)
+// - follows paging cursors (at most MAX_PAGES pages)
+// - flattens each number to the health fields the dashboard shows
+
+export const PHONE_NUMBER_FIELDS = [
+  "id",
+  "display_phone_number",
+  "verified_name",
+  "name_status",
+  "new_name_status",
+  "quality_rating",
+  "throughput",
+  "code_verification_status",
+  "messaging_limit_tier",
+  "status",
+];
+
+const PAGE_SIZE = 100;
+const MAX_PAGES = 10;
+
+export function isWabaId(id) {
+  return typeof id === "string" && /^\d{5,20}$/.test(id);
+}
+
+export async function listPhoneNumbers(graph, { token, wabaId }) {
+  const out = [];
+  let after = null;
+  for (let page = 0; page < MAX_PAGES; page++) {
+    const { data } = await graph.get(`${encodeURIComponent(wabaId)}/phone_numbers`, {
+      token,
+      query: { fields: PHONE_NUMBER_FIELDS.join(","), limit: PAGE_SIZE, after },
+    });
+    for (const n of (data && data.data) || []) out.push(flattenPhoneNumber(n));
+    after = data && data.paging && data.paging.next ? data.paging.cursors && data.paging.cursors.after : null;
+    if (!after) break;
+  }
+  return out;
+}
+
+export function flattenPhoneNumber(n) {
+  return {
+    id: String(n.id),
+    display_phone_number: n.display_phone_number || "",
+    verified_name: n.verified_name || "",
+    name_status: n.name_status || null,
+    new_name_status: n.new_name_status || null,
+    quality_rating: n.quality_rating || null,
+    throughput_tier: (n.throughput && n.throughput.level) || null,
+    code_verification_status: n.code_verification_status || null,
+    messaging_limit_tier: n.messaging_limit_tier || null,
+    status: n.status || null,
+  };
+}
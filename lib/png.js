@@ -0,0 +1,196 @@
+// Minimal PNG decoder (pure JS; inflate via the runtime's DecompressionStream)
+// Supports every standard color type and bit depth, tRNS transparency and Adam7 interlacing.
+// Output: { width, height, data: Uint8ClampedArray RGBA }
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+]; // [x0, y0, dx, dy]
+
+export function isPng(bytes) {
+  return bytes.length >= 8 && SIGNATURE.every((b, i) => bytes[i] === b);
+}
+
+// Header only (no inflate): { width, height, bitDepth, colorType, interlace }
+export function readPngHeader(bytes) {
+  if (!isPng(bytes) || bytes.length < 33) throw new Error("Not a PNG file");
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (String.fromCharCode(...bytes.subarray(12, 16)) !== "IHDR") throw new Error("PNG is missing IHDR");
+  return {
+    width: dv.getUint32(16),
+    height: dv.getUint32(20),
+    bitDepth: bytes[24],
+    colorType: bytes[25],
+    interlace: bytes[28],
+  };
+}
+
+export async function decodePng(bytes, { maxPixels = Infinity } = {}) {
+  const dv = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const hdr = readPngHeader(bytes);
+  const { width, height, bitDepth, colorType, interlace } = hdr;
+  const channels = CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(bitDepth)) throw new Error("Unsupported PNG format");
+  if (!width || !height || width * height > maxPixels) throw new Error("PNG dimensions out of range");
+
+  let palette = null, trns = null;
+  const idat = [];
+  let off = 8;
+  while (off + 8 <= bytes.length) {
+    const len = dv.getUint32(off);
+    const type = String.fromCharCode(...bytes.subarray(off + 4, off + 8));
+    const data = bytes.subarray(off + 8, off + 8 + len);
+    if (type === "PLTE") palette = data;
+    else if (type === "tRNS") trns = data;
+    else if (type === "IDAT") idat.push(data);
+    else if (type === "IEND") break;
+    off += 12 + len;
+  }
+  if (!idat.length) throw new Error("PNG has no image data");
+  if (colorType === 3 && !palette) throw new Error("PNG palette missing");
+
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]];
+  const raw = await inflate(idat, rawLength(width, height, bitsPerPixel, passes));
+  const out = new Uint8ClampedArray(width * height * 4);
+  const px = pixelReader(colorType, bitDepth, palette, trns);
+
+  let pos = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    if (pw <= 0 || ph <= 0) continue;
+    const stride = Math.ceil((pw * bitsPerPixel) / 8);
+    let prev = new Uint8Array(stride);
+    for (let y = 0; y < ph; y++) {
+      if (pos + 1 + stride > raw.length) throw new Error("PNG data truncated");
+      const filter = raw[pos];
+      const line = raw.slice(pos + 1, pos + 1 + stride);
+      pos += 1 + stride;
+      unfilter(filter, line, prev, bpp);
+      for (let x = 0; x < pw; x++) {
+        const o = (((y0 + y * dy) * width) + (x0 + x * dx)) * 4;
+        px(line, x, out, o);
+      }
+      prev = line;
+    }
+  }
+  return { width, height, data: out };
+}
+
+// Filtered scanlines take exactly this many bytes: one filter byte plus the packed pixels per row, per pass
+function rawLength(width, height, bitsPerPixel, passes) {
+  let n = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const pw = Math.ceil((width - x0) / dx);
+    const ph = Math.ceil((height - y0) / dy);
+    if (pw > 0 && ph > 0) n += ph * (1 + Math.ceil((pw * bitsPerPixel) / 8));
+  }
+  return n;
+}
+
+// Inflate into a buffer of the expected size; a stream that would grow past it is rejected, not buffered
+async function inflate(parts, maxLength) {
+  const reader = new Blob(parts).stream().pipeThrough(new DecompressionStream("deflate")).getReader();
+  const out = new Uint8Array(maxLength);
+  let len = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (len + value.length > maxLength) throw new Error("PNG data larger than its dimensions");
+      out.set(value, len);
+      len += value.length;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return out.subarray(0, len);
+}
+
+function unfilter(type, line, prev, bpp) {
+  const n = line.length;
+  switch (type) {
+    case 0: return;
+    case 1: for (let i = bpp; i < n; i++) line[i] = (line[i] + line[i - bpp]) & 255; return;
+    case 2: for (let i = 0; i < n; i++) line[i] = (line[i] + prev[i]) & 255; return;
+    case 3:
+      for (let i = 0; i < n; i++) line[i] = (line[i] + (((i >= bpp ? line[i - bpp] : 0) + prev[i]) >> 1)) & 255;
+      return;
+    case 4:
+      for (let i = 0; i < n; i++) {
+        const a = i >= bpp ? line[i - bpp] : 0, b = prev[i], c = i >= bpp ? prev[i - bpp] : 0;
+        const p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+        line[i] = (line[i] + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c)) & 255;
+      }
+      return;
+    default:
+      throw new Error(`Bad PNG filter type ${type}`);
+  }
+}
+
+// Returns fn(line, x, out, o) writing one RGBA pixel
+function pixelReader(colorType, depth, palette, trns) {
+  const max = (1 << depth) - 1;
+  const sample = depth === 16
+    ? (line, i) => line[i * 2] // high byte
+    : depth === 8
+      ? (line, i) => line[i]
+      : (line, i) => {
+          const bit = i * depth;
+          return (line[bit >> 3] >> (8 - depth - (bit & 7))) & max;
+        };
+  const raw16 = (line, i) => (line[i * 2] << 8) | line[i * 2 + 1];
+  const rawSample = depth === 16 ? raw16 : sample;
+  const scale = depth >= 8 ? (v) => v : (v) => Math.round((v * 255) / max);
+  const trnsKey = (i) => (trns && trns.length >= i * 2 + 2 ? (trns[i * 2] << 8) | trns[i * 2 + 1] : -1);
+
+  switch (colorType) {
+    case 0: {
+      const key = trnsKey(0);
+      return (line, x, out, o) => {
+        const g = scale(sample(line, x));
+        out[o] = out[o + 1] = out[o + 2] = g;
+        out[o + 3] = rawSample(line, x) === key ? 0 : 255;
+      };
+    }
+    case 2: {
+      const kr = trnsKey(0), kg = trnsKey(1), kb = trnsKey(2);
+      return (line, x, out, o) => {
+        out[o] = sample(line, x * 3);
+        out[o + 1] = sample(line, x * 3 + 1);
+        out[o + 2] = sample(line, x * 3 + 2);
+        const hit = rawSample(line, x * 3) === kr && rawSample(line, x * 3 + 1) === kg && rawSample(line, x * 3 + 2) === kb;
+        out[o + 3] = hit ? 0 : 255;
+      };
+    }
+    case 3:
+      return (line, x, out, o) => {
+        const i = sample(line, x);
+        out[o] = palette[i * 3] || 0;
+        out[o + 1] = palette[i * 3 + 1] || 0;
+        out[o + 2] = palette[i * 3 + 2] || 0;
+        out[o + 3] = trns && i < trns.length ? trns[i] : 255;
+      };
+    case 4:
+      return (line, x, out, o) => {
+        out[o] = out[o + 1] = out[o + 2] = sample(line, x * 2);
+        out[o + 3] = sample(line, x * 2 + 1);
+      };
+    default:
+      return (line, x, out, o) => {
+        out[o] = sample(line, x * 4);
+        out[o + 1] = sample(line, x * 4 + 1);
+        out[o + 2] = sample(line, x * 4 + 2);
+        out[o + 3] = sample(line, x * 4 + 3);
+      };
+  }
+}
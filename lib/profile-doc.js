@@ -0,0 +1,213 @@
+// Profile documents ("profile as code"): a versioned JSON/YAML file that can live in git
+// - exportDocument wraps a live profile; readDocument checks one; planProfileDocument plans it against the live profile
+// - fields absent from `profile` are left alone; "" / [] clear a field (same rules as POST /api/profile)
+// - profile_picture_url is compared by path (CDN signatures rotate); a new URL means "upload this photo"
+// - phone_number_id, when set, names the number the document belongs to; callers refuse others unless told otherwise
+// YAML support covers what toYaml writes plus hand edits: nested mappings, "- " lists, [] / flow lists,
+// quoted and plain scalars, "|" block text and # comments.
+
+import { PROFILE_FIELDS, normalizeProfile, photoUrlKey, planProfile } from "./profile.js";
+import { validateProfileUpdate, hasErrors } from "./validation.js";
+
+export const PROFILE_DOC_VERSION = 1;
+export const PROFILE_DOC_KIND = "whatsapp-business-profile";
+
+export function exportDocument(profile, { phoneId, now = Date.now() } = {}) {
+  return {
+    version: PROFILE_DOC_VERSION,
+    kind: PROFILE_DOC_KIND,
+    phone_number_id: phoneId ? String(phoneId) : null,
+    exported_at: new Date(now).toISOString(),
+    profile: normalizeProfile(profile),
+  };
+}
+
+// Text (JSON or YAML) or an already parsed object → { doc, profile } or { error }
+export function readDocument(input) {
+  let doc = input;
+  if (typeof input === "string") {
+    const text = input.trim();
+    try {
+      doc = text.startsWith("{") ? JSON.parse(text) : parseYaml(text);
+    } catch (e) {
+      return { error: `Could not parse the document: ${e.message}` };
+    }
+  }
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) return { error: "The document must be an object" };
+  if (doc.version !== PROFILE_DOC_VERSION) return { error: `Unsupported document version: ${doc.version ?? "(missing)"} (expected ${PROFILE_DOC_VERSION})` };
+  if (doc.kind != null && doc.kind !== PROFILE_DOC_KIND) return { error: `Unsupported document kind: ${doc.kind}` };
+  const p = doc.profile;
+  if (!p || typeof p !== "object" || Array.isArray(p)) return { error: "The document has no profile section" };
+  const unknown = Object.keys(p).filter((k) => !PROFILE_FIELDS.includes(k));
+  if (unknown.length) return { error: `Unknown profile field(s): ${unknown.join(", ")}` };
+  return { doc, profile: { ...p } };
+}
+
+// The document's phone_number_id when it names a different number than `phoneId`, else null
+export function otherPhoneId(doc, phoneId) {
+  const id = doc && doc.phone_number_id;
+  if (id == null || id === "") return null;
+  return String(id) === String(phoneId) ? null : String(id);
+}
+
+// Photo part of a plan: null when the document doesn't change it
+export function photoChange(current, profile) {
+  const want = profile.profile_picture_url;
+  if (typeof want !== "string" || !want.trim()) return null; // the API cannot remove a photo
+  const have = (current && current.profile_picture_url) || "";
+  if (photoUrlKey(want.trim()) === photoUrlKey(have)) return null;
+  return { field: "profile_picture", old: have, new: want.trim() };
+}
+
+// What a document's profile section would change on `current` (used by the worker routes and the CLI).
+// Returns { changes, body, photo, errors }: body is the update for validateProfileUpdate, errors is null when it is valid,
+// and changes ends with the photo line when the document names a different photo.
+export function planProfileDocument(current, profile) {
+  const { changes, body } = planProfile(current, profile);
+  const { errors } = validateProfileUpdate(body);
+  const photo = photoChange(current, profile);
+  return { changes: photo ? [...changes, photo] : changes, body, photo, errors: hasErrors(errors) ? errors : null };
+}
+
+// ---------- YAML ----------
+export function toYaml(doc) {
+  const lines = [`# WhatsApp Business profile. Fields left out are not changed; "" or [] clears a field.`];
+  const scalar = (v) => (v === null ? "null" : typeof v === "string" ? JSON.stringify(v) : String(v));
+  const write = (obj, indent) => {
+    for (const [k, v] of Object.entries(obj)) {
+      if (Array.isArray(v)) {
+        lines.push(`${indent}${k}:${v.length ? "" : " []"}`);
+        for (const item of v) lines.push(`${indent}  - ${scalar(item)}`);
+      } else if (v && typeof v === "object") {
+        lines.push(`${indent}${k}:`);
+        write(v, indent + "  ");
+      } else {
+        lines.push(`${indent}${k}: ${scalar(v)}`);
+      }
+    }
+  };
+  write(doc, "");
+  return lines.join("\n") + "\n";
+}
+
+export function parseYaml(text) {
+  const lines = String(text).replace(/\r\n?/g, "\n").split("\n").map((raw, i) => ({ raw, n: i + 1 }));
+  let pos = 0;
+
+  const indentOf = (s) => s.length - s.trimStart().length;
+  const skipBlank = () => {
+    while (pos < lines.length && (!lines[pos].raw.trim() || lines[pos].raw.trim().startsWith("#") || lines[pos].raw.trim() === "---")) pos++;
+  };
+  const fail = (msg) => { throw new Error(`line ${lines[Math.min(pos, lines.length - 1)].n}: ${msg}`); };
+
+  function block(indent) {
+    skipBlank();
+    if (pos >= lines.length) return null;
+    const first = lines[pos].raw.trimStart();
+    return first === "-" || first.startsWith("- ") ? list(indent) : mapping(indent);
+  }
+
+  function mapping(indent) {
+    const out = {};
+    while (true) {
+      skipBlank();
+      if (pos >= lines.length || indentOf(lines[pos].raw) < indent) return out;
+      if (indentOf(lines[pos].raw) > indent) fail("unexpected indentation");
+      const m = /^([A-Za-z0-9_.-]+|"[^"]*")\s*:(?:\s+(.*))?$/.exec(lines[pos].raw.trim());
+      if (!m) fail("expected \"key: value\"");
+      const key = m[1].startsWith('"') ? m[1].slice(1, -1) : m[1];
+      const rest = (m[2] || "").trim();
+      pos++;
+      out[key] = value(rest, indent);
+    }
+  }
+
+  function list(indent) {
+    const out = [];
+    while (true) {
+      skipBlank();
+      if (pos >= lines.length || indentOf(lines[pos].raw) < indent) return out;
+      const t = lines[pos].raw.trim();
+      if (!(t === "-" || t.startsWith("- "))) return out;
+      pos++;
+      out.push(value(t.slice(1).trim(), indent));
+    }
+  }
+
+  function value(rest, indent) {
+    const v = stripComment(rest);
+    if (v === "") {
+      skipBlank();
+      if (pos >= lines.length) return null;
+      const next = lines[pos].raw, ind = indentOf(next), t = next.trim();
+      if (ind > indent) return block(ind);
+      if (ind === indent && (t === "-" || t.startsWith("- "))) return list(ind); // "key:\n- item" at the key's indentation
+      return null;
+    }
+    if (v === "|" || v === "|-" || v === "|+") return blockText(indent, v);
+    if (v.startsWith(">")) fail("folded text (>) is not supported; use | or a quoted string");
+    return scalar(v);
+  }
+
+  function blockText(indent, mode) {
+    const out = [];
+    let inner = null;
+    while (pos < lines.length) {
+      const raw = lines[pos].raw;
+      if (raw.trim()) {
+        const ind = indentOf(raw);
+        if (ind <= indent) break;
+        if (inner == null) inner = ind;
+        if (ind < inner) break;
+        out.push(raw.slice(inner));
+      } else out.push("");
+      pos++;
+    }
+    while (out.length && out[out.length - 1] === "") out.pop();
+    const text = out.join("\n");
+    return mode === "|-" ? text : text + "\n";
+  }
+
+  function scalar(v) {
+    if (v.startsWith('"')) {
+      try { return JSON.parse(v); } catch { fail("invalid double-quoted string"); }
+    }
+    if (v.startsWith("'")) {
+      if (!v.endsWith("'") || v.length < 2) fail("unterminated single-quoted string");
+      return v.slice(1, -1).replace(/''/g, "'");
+    }
+    if (v.startsWith("[")) {
+      if (v === "[]") return [];
+      try { return JSON.parse(v); } catch {}
+      if (!v.endsWith("]")) fail("unterminated list");
+      return v.slice(1, -1).split(",").map((x) => scalar(x.trim()));
+    }
+    if (v === "{}") return {};
+    if (v === "null" || v === "~") return null;
+    if (v === "true" || v === "false") return v === "true";
+    if (/^-?\d+$/.test(v)) return parseInt(v, 10);
+    return v;
+  }
+
+  function stripComment(v) {
+    if (v.startsWith('"') || v.startsWith("'")) {
+      // the comment starts after the closing quote
+      const q = v[0];
+      for (let i = 1; i < v.length; i++) {
+        if (q === '"' && v[i] === "\\") { i++; continue; }
+        if (v[i] === q) {
+          if (q === "'" && v[i + 1] === "'") { i++; continue; }
+          return v.slice(0, i + 1);
+        }
+      }
+      return v;
+    }
+    const i = v.search(/\s#/);
+    return (i === -1 ? v : v.slice(0, i)).trim();
+  }
+
+  const result = block(0);
+  skipBlank();
+  if (pos < lines.length) fail("unexpected indentation");
+  return result;
+}
@@ -0,0 +1,93 @@
+// Business profile read/update shared by the worker routes
+// - fetchProfile unwraps Graph's {data:[{...}]} / {data:{...}} / {...} shapes
+// - normalizeProfile gives every field a value ("" / []), so profiles can be compared and stored
+// - diffProfiles is field-level: [{ field, old, new }]
+// - planProfile is the one diff used by the editor, bulk apply and profile documents
+
+import { PROFILE_TEXT_FIELDS } from "./validation.js";
+
+export const PROFILE_FIELDS = ["about", "address", "description", "email", "websites", "vertical", "profile_picture_url"];
+export const DIFF_FIELDS = [...PROFILE_TEXT_FIELDS, "websites"];
+
+function profilePath(phoneId) {
+  return `${encodeURIComponent(phoneId)}/whatsapp_business_profile`;
+}
+
+// Returns { status, data, raw }
+export async function fetchProfile(graph, { token, phoneId }) {
+  const resp = await graph.get(profilePath(phoneId), { token, query: { fields: PROFILE_FIELDS.join(",") } });
+  const raw = resp.data;
+  let data = raw;
+  if (raw && typeof raw === "object" && "data" in raw) data = raw.data;
+  if (Array.isArray(data)) data = data[0] || {};
+  return { status: resp.status, data: data || {}, raw };
+}
+
+// payload is the output of validateProfileUpdate (messaging_product included)
+export async function updateProfile(graph, { token, phoneId }, payload) {
+  return graph.post(profilePath(phoneId), { token, json: payload });
+}
+
+export function normalizeProfile(p) {
+  const src = p && typeof p === "object" ? p : {};
+  const out = {};
+  for (const k of PROFILE_FIELDS) {
+    out[k] = k === "websites"
+      ? (Array.isArray(src.websites) ? src.websites.filter((u) => typeof u === "string" && u).slice(0, 2) : [])
+      : (typeof src[k] === "string" ? src[k] : "");
+  }
+  return out;
+}
+
+export function diffProfiles(from, to) {
+  const a = normalizeProfile(from), b = normalizeProfile(to);
+  const changes = [];
+  for (const k of DIFF_FIELDS) {
+    const same = k === "websites" ? a.websites.join("\n") === b.websites.join("\n") : a[k] === b[k];
+    if (!same) changes.push({ field: k, old: a[k], new: b[k] });
+  }
+  return changes;
+}
+
+// Update body (for validateProfileUpdate) that turns `current` into `target`; blank target values clear the field
+export function changesBetween(current, target) {
+  const body = {};
+  for (const c of diffProfiles(current, target)) body[c.field] = c.field === "websites" ? (c.new.length ? c.new : null) : (c.new || null);
+  return body;
+}
+
+// The profile `current` would have after applying `partial` (only the fields it names; null / "" / [] = cleared)
+export function mergeProfile(current, partial) {
+  const target = normalizeProfile(current);
+  for (const k of DIFF_FIELDS) if (partial[k] !== undefined) target[k] = partial[k]; // null → "" / [] below
+  return normalizeProfile(target);
+}
+
+// { changes: [{field, old, new}], body } — body is the update for validateProfileUpdate, changed fields only
+// Values are compared as validateProfileUpdate will send them, so whitespace-only differences are not changes.
+export function planProfile(current, partial) {
+  const tidy = tidyPartial(partial);
+  const changes = diffProfiles(current, mergeProfile(current, tidy));
+  const body = {};
+  for (const c of changes) body[c.field] = tidy[c.field];
+  return { changes, body };
+}
+
+// Text trimmed and blank websites dropped (as validation does); values of the wrong type are left for validation to reject
+function tidyPartial(partial) {
+  const out = {};
+  for (const k of DIFF_FIELDS) {
+    const v = partial && partial[k];
+    if (v === undefined) continue;
+    if (typeof v === "string") out[k] = v.trim();
+    else if (k === "websites" && Array.isArray(v)) out[k] = v.map((x) => (typeof x === "string" ? x.trim() : x)).filter((x) => x !== "");
+    else out[k] = v;
+  }
+  return out;
+}
+
+// CDN photo URLs carry rotating signatures; the path identifies the image
+export function photoUrlKey(url) {
+  if (!url) return "";
+  try { const u = new URL(url); return u.origin + u.pathname; } catch { return String(url); }
+}
@@ -0,0 +1,61 @@
+// Fixed-window rate limiter with pluggable counter stores
+// - KvRateLimitStore: Workers KV (env.RATE_LIMIT_KV), shared across isolates, eventually consistent;
+//   get + put is not atomic, so a burst of parallel requests can overshoot the limit before the count lands
+// - MemoryRateLimitStore: per-isolate Map; the default and the local stand-in for tests
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this.buckets = new Map();
+  }
+
+  async increment(key, windowSec, now = Date.now()) {
+    let b = this.buckets.get(key);
+    if (!b || b.reset <= now) {
+      b = { count: 0, reset: now + windowSec * 1000 };
+      this.buckets.set(key, b);
+    }
+    b.count += 1;
+    if (this.buckets.size > 5000) this.prune(now);
+    return { count: b.count, reset: b.reset };
+  }
+
+  prune(now = Date.now()) {
+    for (const [k, b] of this.buckets) if (b.reset <= now) this.buckets.delete(k);
+  }
+}
+
+export class KvRateLimitStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async increment(key, windowSec, now = Date.now()) {
+    const windowStart = Math.floor(now / (windowSec * 1000)) * windowSec * 1000;
+    const k = `rl:${key}:${windowStart}`;
+    const count = (parseInt(await this.kv.get(k), 10) || 0) + 1;
+    // KV requires expirationTtl >= 60
+    await this.kv.put(k, String(count), { expirationTtl: Math.max(60, windowSec * 2) });
+    return { count, reset: windowStart + windowSec * 1000 };
+  }
+}
+
+const memoryStore = new MemoryRateLimitStore();
+
+export function getRateLimitStore(env) {
+  return env && env.RATE_LIMIT_KV ? new KvRateLimitStore(env.RATE_LIMIT_KV) : memoryStore;
+}
+
+// Count one hit against every key; reports the most restrictive result.
+// Returns { allowed, retryAfter (seconds), remaining }
+export async function rateLimit(store, keys, limit, windowSec, now = Date.now()) {
+  let allowed = true, retryAfter = 0, remaining = limit;
+  for (const key of keys) {
+    const { count, reset } = await store.increment(key, windowSec, now);
+    remaining = Math.min(remaining, Math.max(0, limit - count));
+    if (count > limit) {
+      allowed = false;
+      retryAfter = Math.max(retryAfter, Math.ceil((reset - now) / 1000));
+    }
+  }
+  return { allowed, retryAfter, remaining };
+}
@@ -0,0 +1,180 @@
+// SSRF-safe fetcher for user-supplied URLs (used by /api/photo image_url)
+// - https only, default port only, no IP literals or internal hostnames
+// - hostnames are resolved over DNS-over-HTTPS and rejected if any address is private/reserved
+// - redirects are followed manually, capped, and every hop is re-validated
+// - the body is streamed with a byte cap and the whole fetch, DNS lookups included, runs under one deadline
+// Limit: fetch() cannot be pinned to the address checked here, so it does its own lookup. A hostname that
+// answers our DoH query with a public address and the runtime's with a private one (DNS rebinding) is not
+// caught; Workers' outbound fetch not reaching private networks is what covers that gap.
+
+export class SafeFetchError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.name = "SafeFetchError";
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export const SAFE_FETCH_DEFAULTS = {
+  maxBytes: 5 * 1024 * 1024,
+  maxRedirects: 3,
+  timeoutMs: 10000,
+};
+
+const DOH_URL = "https://cloudflare-dns.com/dns-query";
+
+const BLOCKED_SUFFIXES = [".localhost", ".local", ".internal", ".intranet", ".lan", ".home.arpa", ".corp", ".localdomain"];
+const BLOCKED_HOSTS = ["localhost", "metadata.google.internal"];
+
+// opts: { maxBytes, maxRedirects, timeoutMs, resolve(hostname, signal) => Promise<string[]>, fetchImpl }
+// Returns { bytes: Uint8Array, contentType, url }
+export async function safeFetch(rawUrl, opts = {}) {
+  const o = { ...SAFE_FETCH_DEFAULTS, ...opts };
+  const fetchImpl = o.fetchImpl || fetch;
+  const resolve = o.resolve || resolveDoh;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), o.timeoutMs);
+
+  try {
+    let url = rawUrl;
+    for (let hop = 0; ; hop++) {
+      const u = await checkUrl(url, resolve, controller.signal);
+      let resp;
+      try {
+        resp = await fetchImpl(u.toString(), { redirect: "manual", signal: controller.signal });
+      } catch (e) {
+        if (controller.signal.aborted) throw new SafeFetchError("timeout", `Fetching image_url took longer than ${o.timeoutMs}ms`, 504);
+        throw new SafeFetchError("network_error", `Failed to fetch image_url: ${e.message}`, 502);
+      }
+
+      if (resp.status >= 300 && resp.status < 400) {
+        const loc = resp.headers.get("location");
+        if (!loc) throw new SafeFetchError("redirect_invalid", "Redirect without a Location header", 502);
+        if (hop >= o.maxRedirects) throw new SafeFetchError("too_many_redirects", `More than ${o.maxRedirects} redirects`, 400);
+        url = new URL(loc, u).toString();
+        continue;
+      }
+      if (!resp.ok) throw new SafeFetchError("http_error", `Failed to fetch image_url: ${resp.status}`, 400);
+
+      const bytes = await readLimited(resp, o.maxBytes, controller.signal, o.timeoutMs);
+      return { bytes, contentType: (resp.headers.get("content-type") || "").toLowerCase(), url: u.toString() };
+    }
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Validate one hop; returns the parsed URL or throws SafeFetchError
+export async function checkUrl(rawUrl, resolve = resolveDoh, signal) {
+  let u;
+  try { u = new URL(rawUrl); } catch { throw new SafeFetchError("invalid_url", "Invalid image_url"); }
+  if (u.protocol !== "https:") throw new SafeFetchError("protocol_not_allowed", "image_url must be https");
+  if (u.username || u.password) throw new SafeFetchError("credentials_not_allowed", "image_url must not contain credentials");
+  if (u.port && u.port !== "443") throw new SafeFetchError("port_not_allowed", "image_url must use the default https port");
+
+  const host = u.hostname.toLowerCase().replace(/\.$/, "");
+  if (isIpLiteral(host)) throw new SafeFetchError("ip_literal_blocked", "image_url must use a hostname, not an IP address");
+  if (!host.includes(".") || BLOCKED_HOSTS.includes(host) || BLOCKED_SUFFIXES.some((s) => host.endsWith(s))) {
+    throw new SafeFetchError("internal_host_blocked", `Host not allowed: ${host}`);
+  }
+
+  let addrs;
+  try {
+    addrs = await resolve(host, signal);
+  } catch {
+    if (signal && signal.aborted) throw new SafeFetchError("timeout", `Resolving ${host} took too long`, 504);
+    throw new SafeFetchError("dns_failed", `Could not resolve ${host}`, 502);
+  }
+  if (!addrs || addrs.length === 0) throw new SafeFetchError("dns_failed", `Could not resolve ${host}`, 502);
+  if (addrs.some(isPrivateIp)) throw new SafeFetchError("private_address_blocked", `Host resolves to a private address: ${host}`);
+  return u;
+}
+
+async function readLimited(resp, maxBytes, signal, timeoutMs) {
+  const declared = parseInt(resp.headers.get("content-length"), 10);
+  if (declared > maxBytes) throw new SafeFetchError("too_large", `Image is larger than ${maxBytes} bytes`, 413);
+  if (!resp.body) return new Uint8Array(0);
+
+  const reader = resp.body.getReader();
+  const chunks = [];
+  let total = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      total += value.length;
+      if (total > maxBytes) throw new SafeFetchError("too_large", `Image is larger than ${maxBytes} bytes`, 413);
+      chunks.push(value);
+    }
+  } catch (e) {
+    reader.cancel().catch(() => {});
+    if (e instanceof SafeFetchError) throw e;
+    if (signal.aborted) throw new SafeFetchError("timeout", `Fetching image_url took longer than ${timeoutMs}ms`, 504);
+    throw new SafeFetchError("network_error", `Failed to read image_url: ${e.message}`, 502);
+  }
+
+  const out = new Uint8Array(total);
+  let off = 0;
+  for (const c of chunks) { out.set(c, off); off += c.length; }
+  return out;
+}
+
+// A + AAAA lookup over DNS-over-HTTPS (JSON API)
+export async function resolveDoh(hostname, signal) {
+  const out = [];
+  for (const type of ["A", "AAAA"]) {
+    const r = await fetch(`${DOH_URL}?name=${encodeURIComponent(hostname)}&type=${type}`, {
+      headers: { accept: "application/dns-json" },
+      signal,
+    });
+    if (!r.ok) throw new Error(`DoH ${r.status}`);
+    const j = await r.json();
+    for (const a of j.Answer || []) if (a.type === 1 || a.type === 28) out.push(a.data);
+  }
+  return out;
+}
+
+// ---------- IP helpers ----------
+export function isIpLiteral(host) {
+  return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.startsWith("[") || host.includes(":");
+}
+
+export function isPrivateIp(ip) {
+  ip = String(ip).replace(/^\[|\]$/g, "").toLowerCase();
+  const v4 = parseV4(ip);
+  if (v4) return isPrivateV4(v4);
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) return isPrivateV4(parseV4(mapped[1]) || [0, 0, 0, 0]);
+  if (ip === "::" || ip === "::1") return true;
+  const first = parseInt(ip.split(":")[0] || "0", 16);
+  if ((first & 0xfe00) === 0xfc00) return true; // fc00::/7 unique local
+  if ((first & 0xffc0) === 0xfe80) return true; // fe80::/10 link-local
+  if ((first & 0xff00) === 0xff00) return true; // ff00::/8 multicast
+  if (ip.startsWith("2001:db8:") || ip.startsWith("64:ff9b:")) return true; // documentation, NAT64
+  return false;
+}
+
+function parseV4(ip) {
+  const m = ip.match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+  if (!m) return null;
+  const parts = m.slice(1).map(Number);
+  return parts.every((n) => n <= 255) ? parts : null;
+}
+
+function isPrivateV4([a, b, c]) {
+  return (
+    a === 0 ||
+    a === 10 ||
+    a === 127 ||
+    (a === 100 && b >= 64 && b <= 127) ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 0 && (c === 0 || c === 2)) ||
+    (a === 192 && b === 168) ||
+    (a === 198 && (b === 18 || b === 19)) ||
+    (a === 198 && b === 51 && c === 100) ||
+    (a === 203 && b === 0 && c === 113) ||
+    a >= 224
+  );
+}
@@ -0,0 +1,344 @@
+// Offline sandbox: an in-process fake of the Graph API endpoints this worker calls
+// - on for every request with SANDBOX=1 in env, or per request with the UI toggle (x-wa-sandbox: 1, client mode)
+// - plugs in as createGraphClient(env, { fetchImpl }), so routes run unchanged and nothing leaves the Worker
+// - state (profile, photo, display name, automation) lives in memory per fake phone number, per isolate;
+//   it starts over from the seed data whenever the isolate is recycled
+// Endpoints: /{phone_id}/whatsapp_business_profile GET/POST, /{app_id}/uploads + upload:<id> GET/POST,
+//   debug_token, /{waba_id}/phone_numbers, /{phone_id} (fields, new_display_name), /{phone_id}/conversational_automation
+// Errors mirror Meta's envelope so the failure paths can be rehearsed:
+//   token containing "invalid" / "expired" → 190 OAuthException (HTTP 401)
+//   unknown phone number, unknown field or a value Meta would reject → 100 invalid parameter (HTTP 400)
+//   more than SANDBOX_WRITES_PER_MINUTE writes to one number → 80007 rate limit (default 10)
+
+import { LIMITS } from "./validation.js";
+import { isVertical } from "./verticals.js";
+
+export const SANDBOX_HEADER = "x-wa-sandbox";
+export const SANDBOX_WABA_ID = "100000000000000";
+export const SANDBOX_PHONE_IDS = ["100000000000001", "100000000000002", "100000000000003"];
+export const SANDBOX_APP_ID = "100000000000099";
+const DEFAULT_WRITES_PER_MINUTE = 10;
+const PROFILE_KEYS = ["about", "address", "description", "email", "websites", "vertical", "profile_picture_url"];
+const UPDATE_KEYS = ["messaging_product", "about", "address", "description", "email", "websites", "vertical", "profile_picture_handle"];
+const MAX_UPLOADS = 50;
+
+export function isSandbox(env) {
+  return ["1", "true", "yes", "on"].includes(String((env && env.SANDBOX) || "").trim().toLowerCase());
+}
+
+// The UI toggle only applies to browser-supplied credentials; server mode is switched as a whole with SANDBOX
+export function wantsSandbox(request, env, serverMode) {
+  return isSandbox(env) || (!serverMode && request.headers.get(SANDBOX_HEADER) === "1");
+}
+
+// Storage bindings a sandboxed request must not write to; their features fall back to per-isolate memory.
+// RATE_LIMIT_KV stays: image_url downloads are real fetches even in the sandbox, so the same limits apply.
+const STORAGE_BINDINGS = ["AUDIT_DB", "SNAPSHOTS_DB", "SNAPSHOTS_KV", "EVENTS_KV", "SCHEDULE_KV"];
+
+// env for a sandboxed request: SANDBOX on, app credentials so photo uploads and token checks work offline,
+// and memory stores instead of the real ones, so fake profiles never mix with real history, audit or schedules
+export function sandboxEnv(env) {
+  const out = {
+    ...env,
+    SANDBOX: "1",
+    APP_ID: String(env.APP_ID || "").trim() || SANDBOX_APP_ID,
+    APP_SECRET: String(env.APP_SECRET || "").trim() || "sandbox",
+  };
+  if (env.SNAPSHOTS_DB || env.SNAPSHOTS_KV) out.SNAPSHOTS = "memory";
+  if (env.SCHEDULE_KV) out.SCHEDULE = "memory";
+  for (const k of STORAGE_BINDINGS) delete out[k];
+  return out;
+}
+
+// Options for createGraphClient: the fake when the sandbox is on, the real Graph API otherwise
+export function graphOptions(env) {
+  if (!isSandbox(env)) return {};
+  const n = parseInt(env.SANDBOX_WRITES_PER_MINUTE, 10);
+  return { fetchImpl: createSandboxFetch({ writesPerMinute: n > 0 ? n : DEFAULT_WRITES_PER_MINUTE }) };
+}
+
+// ---------- state ----------
+const phones = new Map();
+const uploads = new Map(); // upload id → { length, type, chunks, offset }
+const handles = new Map(); // handle → { type, bytes }
+
+function seed(id, i) {
+  const last = id.slice(-4);
+  return {
+    display: {
+      id,
+      display_phone_number: `+1 555-010-${last}`,
+      verified_name: `Sandbox Store ${i + 1}`,
+      name_status: "APPROVED",
+      new_name_status: "NONE",
+      new_display_name: "",
+      quality_rating: ["GREEN", "YELLOW", "RED"][i % 3],
+      throughput: { level: "STANDARD" },
+      code_verification_status: "VERIFIED",
+      messaging_limit_tier: "TIER_1K",
+      status: "CONNECTED",
+    },
+    profile: {
+      about: "Sandbox profile: changes here never reach WhatsApp",
+      address: `${i + 1} Example Street, Springfield`,
+      description: "A fake business used to try out the profile manager.",
+      email: `store${i + 1}@example.com`,
+      websites: ["https://example.com/"],
+      vertical: "RETAIL",
+    },
+    automation: { enable_welcome_message: false, prompts: [], commands: [] },
+    writes: [],
+  };
+}
+
+function phone(id) {
+  const i = SANDBOX_PHONE_IDS.indexOf(id);
+  if (i === -1) return null;
+  if (!phones.has(id)) phones.set(id, seed(id, i));
+  return phones.get(id);
+}
+
+// ---------- fake fetch ----------
+export function createSandboxFetch({ writesPerMinute = DEFAULT_WRITES_PER_MINUTE, now = () => Date.now() } = {}) {
+  return async function sandboxFetch(input, init = {}) {
+    const url = new URL(typeof input === "string" ? input : input.url);
+    const method = (init.method || "GET").toUpperCase();
+    const headers = new Headers(init.headers || {});
+    const parts = url.pathname.split("/").filter(Boolean).slice(1).map(decodeURIComponent); // drop the version
+    const ctx = { url, method, headers, parts, init, writesPerMinute, now: now() };
+
+    if (parts[0] === "debug_token" && method === "GET") return debugTokenRoute(ctx);
+
+    const auth = checkToken(headers.get("authorization"));
+    if (auth) return auth;
+
+    if (parts.length === 1 && parts[0].startsWith("upload:")) return uploadRoute(ctx);
+    if (parts.length === 2 && parts[1] === "uploads" && method === "POST") return createUploadRoute(ctx);
+    if (parts.length === 2 && parts[1] === "phone_numbers" && method === "GET") return phoneNumbersRoute(ctx);
+
+    const p = phone(parts[0]);
+    if (!p) return unsupported(method, parts[0]);
+    if (parts.length === 2 && parts[1] === "whatsapp_business_profile") return profileRoute(ctx, p);
+    if (parts.length === 2 && parts[1] === "conversational_automation" && method === "POST") return automationRoute(ctx, p);
+    if (parts.length === 1 && method === "GET") return phoneFieldsRoute(ctx, p);
+    if (parts.length === 1 && method === "POST" && url.searchParams.has("new_display_name")) return displayNameRoute(ctx, p);
+    return unsupported(method, parts.join("/"));
+  };
+}
+
+function checkToken(header) {
+  const token = /^Bearer\s+(.+)$/i.exec(header || "");
+  if (!token) return graphError(400, { message: "An active access token must be used to query information about the current user.", type: "OAuthException", code: 2500 });
+  const t = token[1].toLowerCase();
+  if (t.includes("expired")) {
+    return graphError(401, { message: "Error validating access token: Session has expired.", type: "OAuthException", code: 190, error_subcode: 463 });
+  }
+  if (t.includes("invalid")) return graphError(401, { message: "Invalid OAuth access token - Cannot parse access token", type: "OAuthException", code: 190 });
+  return null;
+}
+
+function throttled(ctx, p) {
+  p.writes = p.writes.filter((t) => t > ctx.now - 60000);
+  if (p.writes.length >= ctx.writesPerMinute) {
+    return graphError(400, {
+      message: "(#80007) Rate limit hit for WhatsApp Business Account",
+      type: "OAuthException",
+      code: 80007,
+      error_user_msg: `The sandbox allows ${ctx.writesPerMinute} changes per minute per phone number.`,
+    });
+  }
+  p.writes.push(ctx.now);
+  return null;
+}
+
+async function profileRoute(ctx, p) {
+  if (ctx.method === "GET") {
+    const wanted = (ctx.url.searchParams.get("fields") || PROFILE_KEYS.join(",")).split(",");
+    const out = {};
+    for (const k of wanted) if (k in p.profile && p.profile[k] !== "") out[k] = p.profile[k];
+    return ok({ data: [{ ...out, messaging_product: "whatsapp" }] });
+  }
+  if (ctx.method !== "POST") return unsupported(ctx.method, ctx.parts.join("/"));
+  const body = await readJson(ctx.init.body);
+  if (!body) return invalid("The request body must be JSON");
+  const unknown = Object.keys(body).filter((k) => !UPDATE_KEYS.includes(k));
+  if (unknown.length) return invalid(`Unknown field(s): ${unknown.join(", ")}`);
+  if (body.messaging_product !== "whatsapp") return invalid("messaging_product must be \"whatsapp\"");
+  const err = checkProfileValues(body);
+  if (err) return invalid(err);
+  let photo = null;
+  if (body.profile_picture_handle != null) {
+    photo = handles.get(body.profile_picture_handle);
+    if (!photo) return invalid("profile_picture_handle is not a valid upload handle", 2494102);
+  }
+  const limited = throttled(ctx, p);
+  if (limited) return limited;
+  for (const k of ["about", "address", "description", "email", "vertical"]) if (body[k] !== undefined) p.profile[k] = body[k];
+  if (body.websites !== undefined) p.profile.websites = body.websites;
+  if (photo) p.profile.profile_picture_url = `data:${photo.type};base64,${base64(photo.bytes)}`;
+  return ok({ success: true });
+}
+
+// The same limits Meta enforces (the worker checks them first, so these fire for direct callers)
+function checkProfileValues(b) {
+  for (const k of ["about", "address", "description", "email", "vertical"]) {
+    if (b[k] === undefined) continue;
+    if (typeof b[k] !== "string") return `${k} must be a string`;
+    if (LIMITS[k] && b[k].length > LIMITS[k]) return `${k} must be at most ${LIMITS[k]} characters`;
+  }
+  if (b.about !== undefined && !b.about.trim()) return "about cannot be empty";
+  if (b.vertical !== undefined && !isVertical(b.vertical)) return `vertical ${b.vertical} is not supported`;
+  if (b.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(b.email)) return "email is not a valid email address";
+  if (b.websites !== undefined) {
+    if (!Array.isArray(b.websites) || b.websites.length > LIMITS.websites) return `websites must be a list of at most ${LIMITS.websites} URLs`;
+    if (b.websites.some((u) => typeof u !== "string" || u.length > LIMITS.website || !/^https?:\/\/\S+$/i.test(u))) return "websites must be http(s) URLs";
+  }
+  return null;
+}
+
+function createUploadRoute(ctx) {
+  const length = parseInt(ctx.url.searchParams.get("file_length"), 10);
+  const type = ctx.url.searchParams.get("file_type");
+  if (!(length > 0)) return invalid("file_length must be a positive number of bytes");
+  if (!["image/jpeg", "image/png", "image/jpg", "video/mp4", "application/pdf"].includes(type)) return invalid(`file_type ${type} is not supported`);
+  if (uploads.size >= MAX_UPLOADS) uploads.delete(uploads.keys().next().value);
+  const id = `upload:${randomHex(12)}?sig=${randomHex(8)}`;
+  uploads.set(id, { length, type: type === "image/jpg" ? "image/jpeg" : type, chunks: [], offset: 0 });
+  return ok({ id });
+}
+
+async function uploadRoute(ctx) {
+  const sig = ctx.url.searchParams.get("sig");
+  const id = sig ? `${ctx.parts[0]}?sig=${sig}` : ctx.parts[0];
+  const up = uploads.get(id);
+  if (!up) return invalid(`Upload session ${ctx.parts[0]} does not exist or has expired`, 33);
+  if (ctx.method === "GET") return ok({ id, file_offset: up.offset });
+  if (ctx.method !== "POST") return unsupported(ctx.method, ctx.parts[0]);
+
+  const offset = parseInt(ctx.headers.get("file_offset"), 10);
+  if (offset !== up.offset) return invalid(`file_offset must be ${up.offset}`);
+  const bytes = new Uint8Array(await new Response(ctx.init.body).arrayBuffer());
+  if (!bytes.length || up.offset + bytes.length > up.length) return invalid("The chunk does not fit the declared file_length");
+  up.chunks.push(bytes);
+  up.offset += bytes.length;
+  if (up.offset < up.length) return ok({ file_offset: up.offset });
+
+  const all = new Uint8Array(up.length);
+  let at = 0;
+  for (const c of up.chunks) { all.set(c, at); at += c.length; }
+  uploads.delete(id);
+  const h = `4::${randomHex(16)}`;
+  if (handles.size >= MAX_UPLOADS) handles.delete(handles.keys().next().value);
+  handles.set(h, { type: up.type, bytes: all });
+  return ok({ h });
+}
+
+// The app token is APP_ID|APP_SECRET; the fake accepts any pair
+function debugTokenRoute(ctx) {
+  const appToken = /^Bearer\s+([^|]+)\|.+$/i.exec(ctx.headers.get("authorization") || "");
+  if (!appToken) return graphError(400, { message: "(#100) You must provide an app access token, or a user access token that is an owner or developer of the app", type: "OAuthException", code: 100 });
+  const input = ctx.url.searchParams.get("input_token") || "";
+  const base = { app_id: appToken[1], type: "SYSTEM_USER", application: "Sandbox" };
+  if (/expired/i.test(input)) {
+    const at = Math.floor(ctx.now / 1000) - 86400;
+    return ok({ data: { ...base, is_valid: false, expires_at: at, error: { code: 190, subcode: 463, message: "Session has expired" }, scopes: [] } });
+  }
+  if (/invalid/i.test(input) || !input) {
+    return ok({ data: { is_valid: false, error: { code: 190, message: "Invalid OAuth access token" }, scopes: [] } });
+  }
+  const scopes = ["whatsapp_business_management", "whatsapp_business_messaging"];
+  return ok({
+    data: {
+      ...base,
+      is_valid: true,
+      expires_at: 0,
+      data_access_expires_at: 0,
+      scopes,
+      granular_scopes: scopes.map((scope) => ({ scope, target_ids: [SANDBOX_WABA_ID] })),
+    },
+  });
+}
+
+function phoneNumbersRoute(ctx) {
+  if (ctx.parts[0] !== SANDBOX_WABA_ID) return unsupported("GET", ctx.parts.join("/"));
+  return ok({ data: SANDBOX_PHONE_IDS.map((id) => ({ ...phone(id).display })) });
+}
+
+function phoneFieldsRoute(ctx, p) {
+  const wanted = (ctx.url.searchParams.get("fields") || "id,display_phone_number,verified_name").split(",");
+  const all = { ...p.display, conversational_automation: p.automation };
+  const out = { id: p.display.id };
+  for (const k of wanted) if (k in all) out[k] = all[k];
+  return ok(out);
+}
+
+function displayNameRoute(ctx, p) {
+  const name = (ctx.url.searchParams.get("new_display_name") || "").trim();
+  if (!name) return invalid("new_display_name cannot be empty");
+  const limited = throttled(ctx, p);
+  if (limited) return limited;
+  Object.assign(p.display, { new_display_name: name, new_name_status: "PENDING_REVIEW" });
+  return ok({ success: true });
+}
+
+async function automationRoute(ctx, p) {
+  const body = await readJson(ctx.init.body);
+  if (!body) return invalid("The request body must be JSON");
+  const limited = throttled(ctx, p);
+  if (limited) return limited;
+  if (body.enable_welcome_message !== undefined) p.automation.enable_welcome_message = !!body.enable_welcome_message;
+  if (Array.isArray(body.prompts)) p.automation.prompts = body.prompts.slice();
+  if (Array.isArray(body.commands)) p.automation.commands = body.commands.map((c) => ({ ...c }));
+  return ok({ success: true });
+}
+
+// ---------- responses ----------
+function ok(body) {
+  return new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } });
+}
+
+function graphError(status, e) {
+  return new Response(JSON.stringify({ error: { ...e, fbtrace_id: `sandbox-${randomHex(6)}` } }), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
+
+function invalid(msg, subcode) {
+  return graphError(400, {
+    message: "(#100) Invalid parameter",
+    type: "OAuthException",
+    code: 100,
+    ...(subcode ? { error_subcode: subcode } : {}),
+    error_user_title: "Invalid parameter",
+    error_user_msg: msg,
+  });
+}
+
+function unsupported(method, path) {
+  return graphError(400, {
+    message: `Unsupported ${method.toLowerCase()} request. Object with ID '${path}' does not exist in the sandbox (try ${SANDBOX_PHONE_IDS[0]}).`,
+    type: "GraphMethodException",
+    code: 100,
+    error_subcode: 33,
+  });
+}
+
+async function readJson(body) {
+  try {
+    const v = JSON.parse(typeof body === "string" ? body : await new Response(body).text());
+    return v && typeof v === "object" && !Array.isArray(v) ? v : null;
+  } catch {
+    return null;
+  }
+}
+
+function randomHex(n) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(n)), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function base64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
@@ -0,0 +1,233 @@
+// Scheduled profile changes, applied by the Cron Trigger (scheduled() in worker.js)
+// - KvJobStore: Workers KV (env.SCHEDULE_KV)
+// - MemoryJobStore: per-isolate; SCHEDULE="memory" for local runs and tests
+// Off unless one of those is configured. Jobs run with the server-held token (WA_ACCESS_TOKEN);
+// browser-supplied tokens are never stored.
+//
+// Store interface: put(job)  get(id)  list({ finished })
+// At most MAX_JOBS jobs can be scheduled at once (addJob); finished ones don't count.
+// Job: { id, phone_id, payload, run_at, every, revert_after, status, next_at, next_action, occurrence_at, revert, lease, runs, created_at }
+//   payload      update body (validated; "" / [] clear a field)
+//   every        ISO 8601 duration ("P1D", "P1W", "PT12H") or null for a one-off
+//   revert_after ms after each run at which the replaced values are put back, or null
+//   status       scheduled | done | failed | cancelled
+//   lease        { id, until } while a cron run is working on the job (claimJob), else null
+//   runs         outcome of each run, newest first: { at, action, status, error?, fields, snapshot? }
+
+import { normalizeProfile } from "./profile.js";
+import { CLEARABLE_FIELDS } from "./validation.js";
+
+const MIN_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_INTERVAL_MS = 366 * 24 * 60 * 60 * 1000;
+const PAST_GRACE_MS = 5 * 60 * 1000;
+const MAX_RUNS = 20;
+export const MAX_JOBS = 500;
+const FINISHED_LIST_LIMIT = 100;
+const FINISHED_TTL_SECONDS = 90 * 24 * 60 * 60;
+const LEASE_MS = 5 * 60 * 1000;
+
+export function jobId(now = Date.now()) {
+  const rand = Array.from(crypto.getRandomValues(new Uint8Array(4)), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${String(now).padStart(13, "0")}-${rand}`;
+}
+
+export function isJobId(id) {
+  return typeof id === "string" && /^\d{13}-[0-9a-f]{8}$/.test(id);
+}
+
+export class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async put(job) { this.jobs.set(job.id, job); }
+  async get(id) { return this.jobs.get(id) || null; }
+
+  // finished: false → only jobs still scheduled
+  async list({ finished = true } = {}) {
+    const all = [...this.jobs.values()];
+    return finished ? all : all.filter((j) => j.status === "scheduled");
+  }
+}
+
+// job:<id> holds scheduled jobs only, so the cron's listing never fills up with history.
+// Finished jobs move to jobdone:<inverted id> (newest first) and expire after FINISHED_TTL_SECONDS.
+export class KvJobStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async put(job) {
+    if (job.status === "scheduled") {
+      await this.kv.put(`job:${job.id}`, JSON.stringify(job));
+      return;
+    }
+    await this.kv.put(finishedKey(job.id), JSON.stringify(job), { expirationTtl: FINISHED_TTL_SECONDS });
+    await this.kv.delete(`job:${job.id}`);
+  }
+
+  async get(id) {
+    return (await this.kv.get(`job:${id}`, "json")) || this.kv.get(finishedKey(id), "json");
+  }
+
+  async list({ finished = true } = {}) {
+    const { keys } = await this.kv.list({ prefix: "job:", limit: MAX_JOBS });
+    const jobs = (await Promise.all(keys.map((k) => this.kv.get(k.name, "json")))).filter(Boolean);
+    // jobs that finished while everything lived under job: are moved on sight
+    await Promise.all(jobs.filter((j) => j.status !== "scheduled").map((j) => this.put(j)));
+    const scheduled = jobs.filter((j) => j.status === "scheduled");
+    if (!finished) return scheduled;
+    const { keys: done } = await this.kv.list({ prefix: "jobdone:", limit: FINISHED_LIST_LIMIT });
+    return scheduled.concat((await Promise.all(done.map((k) => this.kv.get(k.name, "json")))).filter(Boolean));
+  }
+}
+
+function finishedKey(id) {
+  const [ts, rand] = id.split("-");
+  return `jobdone:${String(9999999999999 - Number(ts)).padStart(13, "0")}-${rand}`;
+}
+
+const memoryStore = new MemoryJobStore();
+
+export function getJobStore(env) {
+  if (!env) return null;
+  if (env.SCHEDULE_KV) return new KvJobStore(env.SCHEDULE_KV);
+  if (String(env.SCHEDULE || "").toLowerCase() === "memory") return memoryStore;
+  return null;
+}
+
+// "P1W", "P1D", "PT12H", "P1DT6H", "PT90M" → ms; null when not a supported duration
+export function parseInterval(s) {
+  const m = /^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(String(s || "").trim().toUpperCase());
+  if (!m || !(m[1] || m[2] || m[3] || m[4])) return null;
+  const [w, d, h, min] = m.slice(1).map((x) => parseInt(x || "0", 10));
+  return (((w * 7 + d) * 24 + h) * 60 + min) * 60 * 1000;
+}
+
+// Timing part of a create request: { run_at, every?, revert_at? }.
+// Returns { timing: { run_at, every, revert_after } } or { errors } keyed by field.
+export function validateTiming(body, now = Date.now()) {
+  const errors = {};
+  const runAt = Date.parse(body.run_at);
+  if (!body.run_at || Number.isNaN(runAt)) errors.run_at = { code: "invalid_time", message: "run_at must be an ISO date-time, e.g. 2026-12-24T18:00:00+01:00" };
+  else if (runAt < now - PAST_GRACE_MS) errors.run_at = { code: "in_past", message: "run_at is in the past" };
+
+  let every = null, interval = null;
+  if (body.every != null && body.every !== "") {
+    interval = parseInterval(body.every);
+    if (interval == null) errors.every = { code: "invalid_interval", message: "every must be an ISO 8601 duration such as P1D, P1W or PT12H" };
+    else if (interval < MIN_INTERVAL_MS || interval > MAX_INTERVAL_MS) errors.every = { code: "out_of_range", message: "every must be between one hour and one year" };
+    else every = String(body.every).trim().toUpperCase();
+  }
+
+  let revertAfter = null;
+  if (body.revert_at != null && body.revert_at !== "") {
+    const revertAt = Date.parse(body.revert_at);
+    if (Number.isNaN(revertAt)) errors.revert_at = { code: "invalid_time", message: "revert_at must be an ISO date-time" };
+    else if (!errors.run_at && revertAt <= runAt) errors.revert_at = { code: "before_run", message: "revert_at must be after run_at" };
+    else if (interval && revertAt - runAt >= interval) errors.revert_at = { code: "overlaps", message: "revert_at must come before the next repetition" };
+    else revertAfter = revertAt - runAt;
+  }
+
+  if (Object.keys(errors).length) return { errors };
+  return { timing: { run_at: new Date(runAt).toISOString(), every, revert_after: revertAfter } };
+}
+
+export function newJob({ phoneId, payload, timing, now = Date.now() }) {
+  const update = { ...payload };
+  delete update.messaging_product;
+  return {
+    id: jobId(now),
+    phone_id: String(phoneId),
+    payload: update,
+    run_at: timing.run_at,
+    every: timing.every,
+    revert_after: timing.revert_after,
+    status: "scheduled",
+    next_at: timing.run_at,
+    next_action: "apply",
+    occurrence_at: timing.run_at,
+    revert: null,
+    lease: null,
+    runs: [],
+    created_at: new Date(now).toISOString(),
+  };
+}
+
+// Stores a new job unless MAX_JOBS are already scheduled. Returns { job } or { error } (code too_many_jobs).
+export async function addJob(store, job) {
+  const scheduled = await store.list({ finished: false });
+  if (scheduled.length >= MAX_JOBS) {
+    return { error: { code: "too_many_jobs", message: `At most ${MAX_JOBS} changes can be scheduled at once. Cancel some first.`, limit: MAX_JOBS } };
+  }
+  await store.put(job);
+  return { job };
+}
+
+// True when the job's change is live and waiting for its revert: cancelling must put the old values back first
+export function hasPendingRevert(job) {
+  return job.status === "scheduled" && job.next_action === "revert" && !!job.revert && Object.keys(job.revert).length > 0;
+}
+
+export function cancelJob(job, now = Date.now()) {
+  return { ...job, status: "cancelled", next_at: null, revert: null, lease: null, cancelled_at: new Date(now).toISOString() };
+}
+
+export function isLeased(job, now = Date.now()) {
+  return !!job.lease && Date.parse(job.lease.until) > now;
+}
+
+export function isDue(job, now = Date.now()) {
+  return job.status === "scheduled" && Date.parse(job.next_at) <= now;
+}
+
+// Takes a due job for one cron run: writes a lease, reads it back, and returns the job only if the lease is still ours.
+// KV has no compare-and-swap, so two overlapping runs can still both win within KV's propagation delay;
+// the lease closes the common case (a slow run overlapping the next tick). An expired lease is taken over.
+export async function claimJob(store, id, now = Date.now()) {
+  const job = await store.get(id);
+  if (!job || !isDue(job, now) || isLeased(job, now)) return null;
+  const lease = { id: jobId(now), until: new Date(now + LEASE_MS).toISOString() };
+  await store.put({ ...job, lease });
+  const check = await store.get(id);
+  return check && check.lease && check.lease.id === lease.id ? check : null;
+}
+
+// Update body that puts back the current values of the fields `payload` touches.
+// Fields Meta won't clear (about, vertical) are left alone when they were empty before.
+export function revertBody(current, payload) {
+  const before = normalizeProfile(current);
+  const body = {};
+  for (const k of Object.keys(payload)) {
+    if (!(k in before) || k === "profile_picture_url") continue;
+    const v = before[k];
+    const blank = k === "websites" ? !v.length : !v;
+    if (blank && !CLEARABLE_FIELDS.includes(k)) continue;
+    body[k] = blank ? null : v;
+  }
+  return body;
+}
+
+// Moves a job on after a run: apply → revert (if configured) → next occurrence (if recurring) → done.
+// `run` is { at, action, status, ... }; a failed apply skips its revert.
+export function advanceJob(job, run, now = Date.now()) {
+  const next = { ...job, lease: null, runs: [run, ...(job.runs || [])].slice(0, MAX_RUNS) };
+  const ok = run.status === "ok";
+  if (run.action === "apply" && ok && job.revert_after) {
+    next.next_action = "revert";
+    next.next_at = new Date(Date.parse(job.occurrence_at) + job.revert_after).toISOString();
+    return next;
+  }
+  next.revert = null;
+  if (job.every) {
+    const step = parseInterval(job.every);
+    let at = Date.parse(job.occurrence_at) + step;
+    while (at <= now) at += step; // missed occurrences (cron downtime) are skipped, not replayed
+    next.occurrence_at = next.next_at = new Date(at).toISOString();
+    next.next_action = "apply";
+    return next;
+  }
+  next.status = ok ? "done" : "failed";
+  next.next_at = null;
+  return next;
+}
@@ -0,0 +1,102 @@
+// Request guards for /api/*: origin allowlist, CSRF (double-submit cookie) and rate limiting
+// - ALLOWED_ORIGINS: comma-separated origins; unset = same-origin only; "*" = any origin
+// - CSRF applies to POSTs authenticated by the session cookie (server-held credentials mode)
+// - RATE_LIMIT_READS / RATE_LIMIT_WRITES: requests per minute per client IP and per token
+
+import { isServerMode, getCookie, timingSafeEqual } from "./auth.js";
+import { getRateLimitStore, rateLimit } from "./ratelimit.js";
+
+export const CSRF_COOKIE = "wa_csrf";
+export const CSRF_HEADER = "x-csrf-token";
+
+const RATE_WINDOW = 60; // seconds
+const DEFAULT_READS = 120;
+const DEFAULT_WRITES = 20;
+
+export function allowedOrigins(env) {
+  return String((env && env.ALLOWED_ORIGINS) || "")
+    .split(",")
+    .map((s) => s.trim().replace(/\/+$/, ""))
+    .filter(Boolean);
+}
+
+export function isOriginAllowed(origin, request, env) {
+  if (!origin) return true; // non-browser clients (curl, scripts) send no Origin
+  if (origin === new URL(request.url).origin) return true;
+  const list = allowedOrigins(env);
+  return list.includes("*") || list.includes(origin);
+}
+
+export function cors(resp, request, env) {
+  const h = new Headers(resp.headers);
+  const origin = request.headers.get("Origin");
+  if (origin && isOriginAllowed(origin, request, env)) {
+    h.set("Access-Control-Allow-Origin", allowedOrigins(env).includes("*") ? "*" : origin);
+    h.set("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
+    h.set("Access-Control-Allow-Headers", `Content-Type, x-wa-access-token, x-wa-phone-number-id, x-upload-id, x-file-offset, x-upload-ticket, x-wa-sandbox, ${CSRF_HEADER}`);
+  }
+  h.append("Vary", "Origin");
+  return new Response(resp.body, { status: resp.status, headers: h });
+}
+
+// Returns a Response when the request must be rejected, otherwise null
+export async function guardApiRequest(request, env, { store = getRateLimitStore(env), now = Date.now() } = {}) {
+  const origin = request.headers.get("Origin");
+  if (!isOriginAllowed(origin, request, env)) {
+    return errorResponse({ error: "Origin not allowed", code: "origin_not_allowed" }, 403);
+  }
+
+  const write = request.method === "POST";
+  const limit = intEnv(env, write ? "RATE_LIMIT_WRITES" : "RATE_LIMIT_READS", write ? DEFAULT_WRITES : DEFAULT_READS);
+  const scope = write ? "w" : "r";
+  const keys = [`${scope}:ip:${clientIp(request)}`];
+  const token = request.headers.get("x-wa-access-token");
+  if (token) keys.push(`${scope}:tok:${await fingerprint(token)}`);
+  const rl = await rateLimit(store, keys, limit, RATE_WINDOW, now);
+  if (!rl.allowed) {
+    const resp = errorResponse({ error: "Too many requests", code: "rate_limited", retry_after: rl.retryAfter }, 429);
+    resp.headers.set("Retry-After", String(rl.retryAfter));
+    return resp;
+  }
+
+  if (write && isServerMode(env) && !checkCsrf(request)) {
+    return errorResponse({ error: "CSRF token missing or invalid", code: "csrf_failed" }, 403);
+  }
+  return null;
+}
+
+export function checkCsrf(request) {
+  const cookie = getCookie(request, CSRF_COOKIE);
+  const header = request.headers.get(CSRF_HEADER);
+  if (!cookie || !header) return false;
+  const enc = new TextEncoder();
+  return timingSafeEqual(enc.encode(cookie), enc.encode(header));
+}
+
+// Issued with the UI page; readable by the page script so it can echo it back in x-csrf-token
+export function csrfCookie(request) {
+  if (getCookie(request, CSRF_COOKIE)) return null;
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  const value = Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${CSRF_COOKIE}=${value}; Path=/; Secure; SameSite=Strict`;
+}
+
+// Cloudflare sets CF-Connecting-IP itself; X-Forwarded-For comes from the client and would let it pick its bucket
+export function clientIp(request) {
+  return request.headers.get("CF-Connecting-IP") || "unknown";
+}
+
+// Short, non-reversible token identifier (never log or store the token itself)
+export async function fingerprint(token) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(String(token)));
+  return Array.from(new Uint8Array(digest).slice(0, 8), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function intEnv(env, name, fallback) {
+  const n = parseInt(env && env[name], 10);
+  return n > 0 ? n : fallback;
+}
+
+function errorResponse(obj, status) {
+  return new Response(JSON.stringify(obj, null, 2), { status, headers: { "Content-Type": "application/json" } });
+}
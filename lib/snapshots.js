@@ -0,0 +1,243 @@
+// Profile snapshots (version history + rollback), taken before each successful profile/photo change
+// - D1SnapshotStore: D1 (env.SNAPSHOTS_DB); tables are created on first use
+// - KvSnapshotStore: Workers KV (env.SNAPSHOTS_KV)
+// - MemorySnapshotStore: per-isolate; SNAPSHOTS="memory" for local runs and tests
+// Off unless one of those is configured: the tool stays stateless by default.
+//
+// Store interface:
+//   add(snapshot)  list(phoneId, limit)  get(phoneId, id)  prune(phoneId, keep)
+//   putPhoto(key, bytes)  getPhoto(key)
+// Snapshot: { id, phone_id, created_at, reason, profile, photo_key }
+// Photos are stored once per content hash (photo_key = sha256 hex) and shared between snapshots;
+// prune() deletes a photo together with the last snapshot that uses it.
+
+import { normalizeProfile, photoUrlKey, diffProfiles } from "./profile.js";
+import { safeFetch } from "./safe-fetch.js";
+import { sniffMime } from "./image.js";
+
+export const DEFAULT_SNAPSHOT_LIMIT = 50;
+
+// Newest first in lexicographic order (KV lists keys sorted)
+export function snapshotId(now = Date.now()) {
+  const inv = String(9999999999999 - now).padStart(13, "0");
+  const rand = Array.from(crypto.getRandomValues(new Uint8Array(4)), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${inv}-${rand}`;
+}
+
+export function isSnapshotId(id) {
+  return typeof id === "string" && /^\d{13}-[0-9a-f]{8}$/.test(id);
+}
+
+export class MemorySnapshotStore {
+  constructor() {
+    this.snapshots = new Map(); // phoneId -> [snapshot], newest first
+    this.photos = new Map();
+  }
+
+  async add(s) {
+    const list = this.snapshots.get(s.phone_id) || [];
+    list.push(s);
+    list.sort((a, b) => (a.id < b.id ? -1 : 1));
+    this.snapshots.set(s.phone_id, list);
+  }
+
+  async list(phoneId, limit = DEFAULT_SNAPSHOT_LIMIT) {
+    return (this.snapshots.get(phoneId) || []).slice(0, limit);
+  }
+
+  async get(phoneId, id) {
+    return (this.snapshots.get(phoneId) || []).find((s) => s.id === id) || null;
+  }
+
+  async prune(phoneId, keep) {
+    const list = this.snapshots.get(phoneId);
+    if (!list || list.length <= keep) return;
+    const dropped = list.splice(keep).map((s) => s.photo_key).filter(Boolean);
+    const used = new Set([...this.snapshots.values()].flat().map((s) => s.photo_key));
+    for (const key of dropped) if (!used.has(key)) this.photos.delete(key);
+  }
+
+  async putPhoto(key, bytes) { this.photos.set(key, bytes); }
+  async getPhoto(key) { return this.photos.get(key) || null; }
+}
+
+// snapref:<photo_key>:<phone_id>:<id> marks each snapshot that uses a photo, so pruning can tell when the last one is gone
+// (snapshots saved before these markers existed don't count: pruning may drop a photo only they still use)
+export class KvSnapshotStore {
+  constructor(kv) {
+    this.kv = kv;
+  }
+
+  async add(s) {
+    if (s.photo_key) await this.kv.put(`snapref:${s.photo_key}:${s.phone_id}:${s.id}`, "");
+    await this.kv.put(`snap:${s.phone_id}:${s.id}`, JSON.stringify(s));
+  }
+
+  async list(phoneId, limit = DEFAULT_SNAPSHOT_LIMIT) {
+    const { keys } = await this.kv.list({ prefix: `snap:${phoneId}:`, limit });
+    const out = await Promise.all(keys.map((k) => this.kv.get(k.name, "json")));
+    return out.filter(Boolean);
+  }
+
+  async get(phoneId, id) {
+    return this.kv.get(`snap:${phoneId}:${id}`, "json");
+  }
+
+  async prune(phoneId, keep) {
+    const { keys } = await this.kv.list({ prefix: `snap:${phoneId}:`, limit: keep + 100 });
+    const dropped = await Promise.all(keys.slice(keep).map(async (k) => {
+      const s = await this.kv.get(k.name, "json");
+      await this.kv.delete(k.name);
+      if (s && s.photo_key) await this.kv.delete(`snapref:${s.photo_key}:${phoneId}:${s.id}`);
+      return s && s.photo_key;
+    }));
+    for (const key of new Set(dropped.filter(Boolean))) {
+      const { keys: refs } = await this.kv.list({ prefix: `snapref:${key}:`, limit: 1 });
+      if (!refs.length) await this.kv.delete(`snapphoto:${key}`);
+    }
+  }
+
+  async putPhoto(key, bytes) { await this.kv.put(`snapphoto:${key}`, bytes); }
+
+  async getPhoto(key) {
+    const buf = await this.kv.get(`snapphoto:${key}`, "arrayBuffer");
+    return buf ? new Uint8Array(buf) : null;
+  }
+}
+
+export class D1SnapshotStore {
+  constructor(db) {
+    this.db = db;
+    this.ready = null;
+  }
+
+  init() {
+    this.ready ||= this.db.batch([
+      this.db.prepare("CREATE TABLE IF NOT EXISTS snapshots (id TEXT NOT NULL, phone_id TEXT NOT NULL, created_at TEXT NOT NULL, reason TEXT, profile TEXT NOT NULL, photo_key TEXT, PRIMARY KEY (phone_id, id))"),
+      this.db.prepare("CREATE TABLE IF NOT EXISTS snapshot_photos (key TEXT PRIMARY KEY, bytes BLOB NOT NULL)"),
+    ]);
+    return this.ready;
+  }
+
+  async add(s) {
+    await this.init();
+    await this.db
+      .prepare("INSERT INTO snapshots (id, phone_id, created_at, reason, profile, photo_key) VALUES (?, ?, ?, ?, ?, ?)")
+      .bind(s.id, s.phone_id, s.created_at, s.reason, JSON.stringify(s.profile), s.photo_key)
+      .run();
+  }
+
+  async list(phoneId, limit = DEFAULT_SNAPSHOT_LIMIT) {
+    await this.init();
+    const { results } = await this.db
+      .prepare("SELECT * FROM snapshots WHERE phone_id = ? ORDER BY id LIMIT ?")
+      .bind(phoneId, limit)
+      .all();
+    return results.map(fromRow);
+  }
+
+  async get(phoneId, id) {
+    await this.init();
+    const row = await this.db.prepare("SELECT * FROM snapshots WHERE phone_id = ? AND id = ?").bind(phoneId, id).first();
+    return row ? fromRow(row) : null;
+  }
+
+  async prune(phoneId, keep) {
+    await this.init();
+    await this.db.batch([
+      this.db
+        .prepare("DELETE FROM snapshots WHERE phone_id = ? AND id NOT IN (SELECT id FROM snapshots WHERE phone_id = ? ORDER BY id LIMIT ?)")
+        .bind(phoneId, phoneId, keep),
+      this.db.prepare("DELETE FROM snapshot_photos WHERE key NOT IN (SELECT photo_key FROM snapshots WHERE photo_key IS NOT NULL)"),
+    ]);
+  }
+
+  async putPhoto(key, bytes) {
+    await this.init();
+    await this.db.prepare("INSERT OR IGNORE INTO snapshot_photos (key, bytes) VALUES (?, ?)").bind(key, bytes).run();
+  }
+
+  async getPhoto(key) {
+    await this.init();
+    const row = await this.db.prepare("SELECT bytes FROM snapshot_photos WHERE key = ?").bind(key).first();
+    return row ? new Uint8Array(row.bytes) : null;
+  }
+}
+
+function fromRow(r) {
+  return { id: r.id, phone_id: r.phone_id, created_at: r.created_at, reason: r.reason, profile: JSON.parse(r.profile), photo_key: r.photo_key };
+}
+
+const memoryStore = new MemorySnapshotStore();
+
+// null when history is not configured
+export function getSnapshotStore(env) {
+  if (env && env.SNAPSHOTS_DB) return new D1SnapshotStore(env.SNAPSHOTS_DB);
+  if (env && env.SNAPSHOTS_KV) return new KvSnapshotStore(env.SNAPSHOTS_KV);
+  if (env && String(env.SNAPSHOTS || "").toLowerCase() === "memory") return memoryStore;
+  return null;
+}
+
+export function snapshotLimit(env) {
+  const n = parseInt(env && env.SNAPSHOT_LIMIT, 10);
+  return n > 0 ? n : DEFAULT_SNAPSHOT_LIMIT;
+}
+
+// Photo bytes for a profile: reuses the newest snapshot's copy when the CDN path is unchanged,
+// otherwise downloads profile_picture_url (the sandbox's data: URLs are decoded in place).
+// Returns { key, bytes } (bytes null when reused) or null.
+export async function capturePhoto(store, phoneId, profile, { fetchImpl = safeFetch } = {}) {
+  const urlKey = photoUrlKey(profile.profile_picture_url);
+  if (!urlKey) return null;
+  const [latest] = await store.list(phoneId, 1);
+  if (latest && latest.photo_key && photoUrlKey(latest.profile.profile_picture_url) === urlKey) {
+    return { key: latest.photo_key, bytes: null };
+  }
+  try {
+    const url = profile.profile_picture_url;
+    const { bytes } = url.startsWith("data:") ? { bytes: decodeDataUrl(url) } : await fetchImpl(url);
+    if (!sniffMime(bytes)) return null;
+    return { key: await sha256Hex(bytes), bytes };
+  } catch {
+    return null; // history still keeps the text fields
+  }
+}
+
+// Records `profile` (the state before a change). photo comes from capturePhoto.
+export async function saveSnapshot(store, { phoneId, profile, photo, reason, limit = DEFAULT_SNAPSHOT_LIMIT, now = Date.now() }) {
+  if (photo && photo.bytes) await store.putPhoto(photo.key, photo.bytes);
+  const snapshot = {
+    id: snapshotId(now),
+    phone_id: String(phoneId),
+    created_at: new Date(now).toISOString(),
+    reason,
+    profile: normalizeProfile(profile),
+    photo_key: photo ? photo.key : null,
+  };
+  await store.add(snapshot);
+  await store.prune(String(phoneId), limit);
+  return snapshot;
+}
+
+// Field-level diff between two snapshots (or a snapshot and the live profile: { profile, photo_key: null })
+export function diffSnapshots(from, to) {
+  const changes = diffProfiles(from.profile, to.profile);
+  const a = from.photo_key, b = to.photo_key;
+  const photoChanged = a && b
+    ? a !== b
+    : photoUrlKey(from.profile.profile_picture_url) !== photoUrlKey(to.profile.profile_picture_url);
+  if (photoChanged) changes.push({ field: "profile_picture", old: from.profile.profile_picture_url, new: to.profile.profile_picture_url });
+  return changes;
+}
+
+// data:<mime>;base64,<payload> → bytes; anything else throws
+function decodeDataUrl(url) {
+  const m = /^data:[^,;]*;base64,(.*)$/s.exec(url);
+  if (!m) throw new Error("not a base64 data: URL");
+  return Uint8Array.from(atob(m[1]), (c) => c.charCodeAt(0));
+}
+
+export async function sha256Hex(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
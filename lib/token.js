@@ -0,0 +1,106 @@
+// Access token diagnostics via /debug_token (app token = APP_ID|APP_SECRET)
+// - type, validity and expiry; granted scopes with a plain-language issue list
+// - which WABAs (granular whatsapp_business_management targets) and phone numbers the token reaches
+// The token itself is never echoed back.
+
+import { listPhoneNumbers } from "./numbers.js";
+import { mapLimit } from "./bulk.js";
+
+export const REQUIRED_SCOPE = "whatsapp_business_management";
+export const MESSAGING_SCOPE = "whatsapp_business_messaging";
+const EXPIRY_WARNING_DAYS = 7;
+const MAX_WABAS = 10;
+
+export function isTokenInspectConfigured(env) {
+  return !!(env && String(env.APP_ID || "").trim() && String(env.APP_SECRET || "").trim());
+}
+
+// Raw debug_token data for `token`
+export async function debugToken(graph, { token, appId, appSecret }) {
+  const { data: body } = await graph.get("debug_token", {
+    token: `${appId}|${appSecret}`,
+    query: { input_token: token },
+  });
+  return (body && body.data) || {};
+}
+
+// WABA ids the token was granted whatsapp_business_management on
+export function grantedWabaIds(d) {
+  const granular = Array.isArray(d.granular_scopes) ? d.granular_scopes : [];
+  const grant = granular.find((g) => g.scope === REQUIRED_SCOPE);
+  return grant && Array.isArray(grant.target_ids) ? grant.target_ids.map(String) : [];
+}
+
+export async function inspectToken(graph, { token, appId, appSecret, phoneId = null, now = Date.now() }) {
+  const d = await debugToken(graph, { token, appId, appSecret });
+  const scopes = Array.isArray(d.scopes) ? d.scopes : [];
+  const issues = [];
+  const issue = (level, code, message) => issues.push({ level, code, message });
+
+  const report = {
+    valid: !!d.is_valid,
+    type: d.type || null,
+    app_id: d.app_id ? String(d.app_id) : null,
+    application: d.application || null,
+    expires_at: toIso(d.expires_at),
+    data_access_expires_at: toIso(d.data_access_expires_at),
+    scopes,
+    wabas: [],
+    phone_id_reachable: null,
+    issues,
+  };
+
+  if (!d.is_valid) {
+    const why = (d.error && d.error.message) || "Meta reports it as invalid";
+    const expired = d.expires_at && d.expires_at * 1000 <= now;
+    issue("error", expired ? "token_expired" : "token_invalid", expired
+      ? `This access token expired on ${report.expires_at}. Generate a new one — a System User token with no expiry avoids this.`
+      : `This access token is not valid (${why}). It may have been revoked, or the password of the user who created it changed. Generate a new token.`);
+    return report;
+  }
+
+  if (report.app_id && String(appId) !== report.app_id) {
+    issue("warning", "app_mismatch", `This token was issued for app ${report.app_id}${d.application ? ` (${d.application})` : ""}, but this Worker is configured with APP_ID ${appId}. Photo uploads go through APP_ID and will fail.`);
+  }
+
+  if (d.expires_at) {
+    const days = (d.expires_at * 1000 - now) / 86400000;
+    if (days < EXPIRY_WARNING_DAYS) {
+      issue("warning", "expires_soon", `This token expires on ${report.expires_at}${d.type === "USER" ? " (it is a short-lived user token)" : ""}. For a tool like this, create a System User token with "Never" expiry.`);
+    }
+  }
+
+  if (!scopes.includes(REQUIRED_SCOPE)) {
+    issue("error", "missing_scope", `The token is missing the ${REQUIRED_SCOPE} permission, which is required to read and edit the business profile. In Business Settings → System Users, generate the token again with ${REQUIRED_SCOPE} ticked.`);
+  }
+  if (!scopes.includes(MESSAGING_SCOPE)) {
+    issue("info", "missing_messaging_scope", `The token does not have ${MESSAGING_SCOPE}. Profile editing works without it, but the same token cannot send messages.`);
+  }
+
+  const wabaIds = grantedWabaIds(d);
+  if (scopes.includes(REQUIRED_SCOPE) && !wabaIds.length) {
+    issue("error", "no_waba", "The token has the right permission but no WhatsApp Business Account is assigned to it. Add the system user to the account (Business Settings → WhatsApp Accounts → Add people) and generate the token again.");
+  }
+
+  report.wabas = await mapLimit(wabaIds.slice(0, MAX_WABAS), 3, async (id) => {
+    try {
+      return { id, phone_numbers: await listPhoneNumbers(graph, { token, wabaId: id }) };
+    } catch (e) {
+      return { id, phone_numbers: [], error: e && e.toJSON ? e.toJSON() : { message: String(e && e.message) } };
+    }
+  });
+
+  if (phoneId && wabaIds.length) {
+    const found = report.wabas.some((w) => w.phone_numbers.some((n) => n.id === String(phoneId)));
+    const unchecked = wabaIds.length > MAX_WABAS || report.wabas.some((w) => w.error); // those could hold it
+    report.phone_id_reachable = found || (unchecked ? null : false);
+    if (report.phone_id_reachable === false) {
+      issue("error", "phone_not_reachable", `Phone number ${phoneId} is not in any WhatsApp Business Account this token can reach. Check the ID, or give the system user access to the account that owns it.`);
+    }
+  }
+  return report;
+}
+
+function toIso(sec) {
+  return sec ? new Date(sec * 1000).toISOString() : null; // 0 = never expires
+}
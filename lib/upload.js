@@ -0,0 +1,168 @@
+// Resumable Upload API (/{app_id}/uploads → upload:<id>)
+// - create a session, send bytes in chunks with file_offset, GET the session to learn the offset after a failure
+// - upload ids are passed to Graph verbatim (no encoding of "upload:" or "?sig=..."), so they are validated first
+// - `graph` is a client from ./graph.js; its GraphError envelope ends up in UploadError.data
+// - upload tickets: the worker signs the SHA-256 of every chunk of a photo it checked, so chunks a browser
+//   relays through the worker can only ever be the bytes that passed checkPhoto / normalizePhoto
+
+import { GraphError } from "./graph.js";
+import { timingSafeEqual } from "./auth.js";
+
+export const DEFAULT_CHUNK_BYTES = 1024 * 1024;
+export const UPLOAD_FILE_TYPES = ["image/jpeg", "image/png"];
+
+export class UploadError extends Error {
+  constructor(step, status, data, uploadId = null, offset = null) {
+    super(typeof data === "string" ? data : (data && data.message) || `Upload failed at ${step}`);
+    this.name = "UploadError";
+    this.step = step;
+    this.status = status;
+    this.data = data;
+    this.uploadId = uploadId;
+    this.offset = offset;
+  }
+}
+
+// "upload:<id>?sig=<sig>" and nothing else: no "/", "%", "&" or second "?" that could reach the Graph path or query
+export function isUploadId(id) {
+  return typeof id === "string" && /^upload:[A-Za-z0-9_\-=:.+]+\?sig=[A-Za-z0-9_\-=:.+]+$/.test(id) && !id.includes("..");
+}
+
+export function extractHandle(j) {
+  if (!j || typeof j !== "object") return null;
+  return j.h || j.handle || (j.data && (j.data[0]?.h || j.data.handle)) || j.profile_picture_handle || null;
+}
+
+export async function createUploadSession({ graph, token, appId, fileLength, fileType }) {
+  const r = await call("create_upload", null, () =>
+    graph.post(`${encodeURIComponent(appId)}/uploads`, { token, query: { file_length: fileLength, file_type: fileType } })
+  );
+  if (!isUploadId(r.data.id)) throw new UploadError("create_upload", 502, "No id (UPLOAD_ID) in response");
+  return r.data.id;
+}
+
+export async function getUploadOffset({ graph, token, uploadId }) {
+  if (!isUploadId(uploadId)) throw new UploadError("get_offset", 400, "Invalid upload id");
+  const r = await call("get_offset", uploadId, () => graph.get(uploadId, { token }));
+  return Number(r.data.file_offset) || 0;
+}
+
+// Returns { handle, offset } — handle is set once Meta has the whole file
+export async function uploadChunk({ graph, token, uploadId, offset, bytes }) {
+  if (!isUploadId(uploadId)) throw new UploadError("upload_bytes", 400, "Invalid upload id");
+  const r = await call("upload_bytes", uploadId, () =>
+    graph.post(uploadId, {
+      token,
+      headers: {
+        file_offset: String(offset),
+        "Content-Type": "application/octet-stream",
+        "Content-Length": String(bytes.length),
+      },
+      body: bytes,
+      retries: 0, // a failed chunk is resumed from Meta's offset, not blindly re-sent
+    }),
+    offset
+  );
+  const next = Number(r.data.file_offset);
+  return { handle: extractHandle(r.data), offset: next > offset ? next : offset + bytes.length, data: r.data };
+}
+
+// Whole-file upload in chunks; after a failed chunk, asks Meta for the real offset and continues from there
+export async function uploadResumable({
+  graph, token, appId, bytes, mime, uploadId = null,
+  chunkSize = DEFAULT_CHUNK_BYTES, maxRetries = 3, onProgress,
+}) {
+  const id = uploadId || (await createUploadSession({ graph, token, appId, fileLength: bytes.length, fileType: mime }));
+  let offset = uploadId ? await getUploadOffset({ graph, token, uploadId: id }) : 0;
+  let failures = 0;
+
+  for (;;) {
+    const chunk = bytes.subarray(offset, Math.min(bytes.length, offset + chunkSize));
+    let r;
+    try {
+      r = await uploadChunk({ graph, token, uploadId: id, offset, bytes: chunk });
+    } catch (e) {
+      // transient failures (network, timeout, 5xx, throttling) resume from Meta's offset; anything else is final
+      if (!(e instanceof UploadError)) throw e;
+      e.offset = offset;
+      if (!isResumable(e) || ++failures > maxRetries) throw e;
+      offset = await getUploadOffset({ graph, token, uploadId: id });
+      continue;
+    }
+    failures = 0;
+    offset = r.offset;
+    if (onProgress) onProgress(Math.min(offset, bytes.length), bytes.length);
+    if (r.handle) return { uploadId: id, handle: r.handle, offset };
+    if (offset >= bytes.length) throw new UploadError("upload_bytes", 502, "No handle (h) in response", id, offset);
+  }
+}
+
+function isResumable(e) {
+  return !!(e.data && e.data.retryable) || e.status >= 500 || e.status === 429;
+}
+
+async function call(step, uploadId, fn, offset = null) {
+  try {
+    return await fn();
+  } catch (e) {
+    if (e instanceof GraphError) throw new UploadError(step, e.status, e.toJSON(), uploadId, offset);
+    throw e;
+  }
+}
+
+// ---------- upload tickets ----------
+export const TICKET_TTL_MS = 30 * 60 * 1000;
+
+const enc = new TextEncoder();
+let isolateSecret = null;
+
+// APP_SECRET or SESSION_SECRET; without either, a per-isolate key (tickets then only verify in the isolate that issued them)
+export function ticketSecret(env) {
+  const configured = String((env && (env.APP_SECRET || env.SESSION_SECRET)) || "");
+  if (configured) return configured;
+  if (!isolateSecret) isolateSecret = toHex(crypto.getRandomValues(new Uint8Array(32)));
+  return isolateSecret;
+}
+
+// "<base64url JSON>.<hex HMAC>"; the JSON is { length, mime, chunk, hashes: [sha256 per chunk], exp }
+export async function createUploadTicket(secret, { bytes, mime, chunkSize }, now = Date.now()) {
+  const hashes = [];
+  for (let off = 0; off < bytes.length; off += chunkSize) hashes.push(await sha256Hex(bytes.subarray(off, off + chunkSize)));
+  const body = btoa(JSON.stringify({ length: bytes.length, mime, chunk: chunkSize, hashes, exp: now + TICKET_TTL_MS }))
+    .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  return `${body}.${await hmacHex(secret, body)}`;
+}
+
+// The ticket's payload, or null when it is malformed, signed with another key or expired
+export async function readUploadTicket(secret, ticket, now = Date.now()) {
+  const [body, sig, extra] = String(ticket || "").split(".");
+  if (!body || !sig || extra !== undefined) return null;
+  if (!timingSafeEqual(enc.encode(await hmacHex(secret, body)), enc.encode(sig))) return null;
+  let t;
+  try { t = JSON.parse(atob(body.replace(/-/g, "+").replace(/_/g, "/"))); } catch { return null; }
+  if (!t || !(t.exp > now) || !UPLOAD_FILE_TYPES.includes(t.mime) || !(t.chunk > 0) || !Array.isArray(t.hashes)) return null;
+  return t;
+}
+
+// null when `bytes` at `offset` is exactly the chunk the ticket signed, else why not
+export async function checkTicketChunk(t, offset, bytes) {
+  if (offset % t.chunk) return "x-file-offset is not on a chunk boundary; start the upload again";
+  const i = offset / t.chunk;
+  if (i >= t.hashes.length) return "x-file-offset is past the end of the photo";
+  if (bytes.length !== Math.min(t.chunk, t.length - offset)) return "Chunk length does not match the checked photo";
+  if ((await sha256Hex(bytes)) !== t.hashes[i]) return "Chunk does not match the checked photo";
+  return null;
+}
+
+async function sha256Hex(bytes) {
+  return toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", bytes)));
+}
+
+async function hmacHex(secret, text) {
+  const key = await crypto.subtle.importKey("raw", enc.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return toHex(new Uint8Array(await crypto.subtle.sign("HMAC", key, enc.encode(text))));
+}
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
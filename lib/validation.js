@@ -0,0 +1,114 @@
+// Business profile field validation (limits from Meta's whatsapp_business_profile docs)
+// Tri-state per field: key absent = unchanged, value = set, null/""/[] = cleared.
+// Meta rejects an empty about, and vertical has no "none" value, so only these can be cleared.
+
+import { isVertical } from "./verticals.js";
+
+export const PROFILE_TEXT_FIELDS = ["about", "description", "address", "email", "vertical"];
+export const CLEARABLE_FIELDS = ["description", "address", "email", "websites"];
+
+export const LIMITS = {
+  about: 139,
+  description: 512,
+  address: 256,
+  email: 128,
+  website: 256,
+  websites: 2,
+};
+
+// Stable error codes returned in the per-field error map
+export const ERR = {
+  INVALID_TYPE: "invalid_type",
+  NOT_CLEARABLE: "not_clearable",
+  TOO_LONG: "too_long",
+  TOO_MANY: "too_many",
+  INVALID_EMAIL: "invalid_email",
+  INVALID_URL: "invalid_url",
+  URL_NOT_HTTPS: "url_not_https",
+  INVALID_VERTICAL: "invalid_vertical",
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function isBlank(v) {
+  if (v == null) return true;
+  // only [] or blank strings: [123] is a bad list, not a request to clear the field
+  if (Array.isArray(v)) return v.every((x) => typeof x === "string" && !x.trim());
+  if (typeof v === "string") return v.trim().length === 0;
+  return false;
+}
+
+function fieldError(code, message, extra) {
+  return { code, message, ...extra };
+}
+
+function checkText(key, v) {
+  if (typeof v !== "string") return fieldError(ERR.INVALID_TYPE, `${key} must be a string`);
+  if (LIMITS[key] && v.length > LIMITS[key]) {
+    return fieldError(ERR.TOO_LONG, `${key} must be at most ${LIMITS[key]} characters`, { limit: LIMITS[key] });
+  }
+  if (key === "email" && !EMAIL_RE.test(v)) return fieldError(ERR.INVALID_EMAIL, "Enter a valid email address");
+  if (key === "vertical" && !isVertical(v)) return fieldError(ERR.INVALID_VERTICAL, `Unsupported vertical: ${v}`);
+  return null;
+}
+
+function checkWebsite(u, index) {
+  if (typeof u !== "string") return fieldError(ERR.INVALID_TYPE, "Website must be a string", { index });
+  if (u.length > LIMITS.website) {
+    return fieldError(ERR.TOO_LONG, `Website must be at most ${LIMITS.website} characters`, { index, limit: LIMITS.website });
+  }
+  let parsed;
+  try { parsed = new URL(u); } catch { return fieldError(ERR.INVALID_URL, `Invalid URL: ${u}`, { index }); }
+  if (parsed.protocol !== "https:") return fieldError(ERR.URL_NOT_HTTPS, "Website must start with https://", { index });
+  return null;
+}
+
+// Validate an update body and build the Graph payload.
+// Returns { payload, cleared, errors } — errors is {} when the body is valid.
+export function validateProfileUpdate(bodyIn) {
+  const payload = { messaging_product: "whatsapp" };
+  const cleared = [];
+  const errors = {};
+  const body = bodyIn && typeof bodyIn === "object" ? bodyIn : {};
+
+  for (const key of [...PROFILE_TEXT_FIELDS, "websites"]) {
+    if (!(key in body) || body[key] === undefined) continue;
+    const v = body[key];
+
+    if (isBlank(v)) {
+      if (!CLEARABLE_FIELDS.includes(key)) {
+        errors[key] = fieldError(ERR.NOT_CLEARABLE, `${key} cannot be cleared`);
+        continue;
+      }
+      payload[key] = key === "websites" ? [] : "";
+      cleared.push(key);
+      continue;
+    }
+
+    if (key === "websites") {
+      if (!Array.isArray(v)) { errors.websites = fieldError(ERR.INVALID_TYPE, "websites must be an array"); continue; }
+      const list = v.map((x) => (typeof x === "string" ? x.trim() : x)).filter((x) => x !== "");
+      if (list.length > LIMITS.websites) {
+        errors.websites = fieldError(ERR.TOO_MANY, `At most ${LIMITS.websites} websites`, { limit: LIMITS.websites });
+        continue;
+      }
+      let err = null;
+      list.some((u, i) => (err = checkWebsite(u, i)));
+      if (err) { errors.websites = err; continue; }
+      payload.websites = list;
+      continue;
+    }
+
+    const value = typeof v === "string" ? v.trim() : v;
+    const err = checkText(key, value);
+    if (err) { errors[key] = err; continue; }
+    payload[key] = value;
+  }
+
+  if (!isBlank(body.profile_picture_handle)) payload.profile_picture_handle = body.profile_picture_handle;
+  return { payload, cleared, errors };
+}
+
+export function hasErrors(errors) {
+  return !!errors && Object.keys(errors).length > 0;
+}
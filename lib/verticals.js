@@ -0,0 +1,36 @@
+// Business verticals accepted by whatsapp_business_profile (Cloud API "vertical" enum)
+export const VERTICALS = [
+  { value: "ALCOHOL", label: "Alcoholic Beverages" },
+  { value: "APPAREL", label: "Clothing and Apparel" },
+  { value: "AUTO", label: "Automotive" },
+  { value: "BEAUTY", label: "Beauty, Spa and Salon" },
+  { value: "EDU", label: "Education" },
+  { value: "ENTERTAIN", label: "Entertainment" },
+  { value: "EVENT_PLAN", label: "Event Planning and Service" },
+  { value: "FINANCE", label: "Finance and Banking" },
+  { value: "GOVT", label: "Public Service" },
+  { value: "GROCERY", label: "Food and Grocery" },
+  { value: "HEALTH", label: "Medical and Health" },
+  { value: "HOTEL", label: "Hotel and Lodging" },
+  { value: "NONPROFIT", label: "Non-profit" },
+  { value: "ONLINE_GAMBLING", label: "Online Gambling and Gaming" },
+  { value: "OTC_DRUGS", label: "Over-the-Counter Drugs" },
+  { value: "OTHER", label: "Other" },
+  { value: "PHYSICAL_GAMBLING", label: "Non-Online Gambling and Gaming (e.g. Brick and Mortar)" },
+  { value: "PROF_SERVICES", label: "Professional Services" },
+  { value: "RESTAURANT", label: "Restaurant" },
+  { value: "RETAIL", label: "Shopping and Retail" },
+  { value: "TRAVEL", label: "Travel and Transportation" },
+];
+
+export const VERTICAL_VALUES = VERTICALS.map((v) => v.value);
+
+export function isVertical(v) {
+  return VERTICAL_VALUES.includes(v);
+}
+
+// Human-readable label; unknown/legacy values (e.g. "UNDEFINED") are returned as-is
+export function verticalLabel(v) {
+  const hit = VERTICALS.find((x) => x.value === v);
+  return hit ? hit.label : v;
+}
@@ -0,0 +1,76 @@
+// Meta webhook receiver helpers
+// - hub.challenge handshake against WEBHOOK_VERIFY_TOKEN
+// - X-Hub-Signature-256: "sha256=" + hex HMAC-SHA256(APP_SECRET, raw body)
+// - parses account_update, phone_number_name_update and phone_number_quality_update changes into flat events
+
+import { timingSafeEqual } from "./auth.js";
+
+export const WEBHOOK_FIELDS = ["account_update", "phone_number_name_update", "phone_number_quality_update"];
+
+const enc = new TextEncoder();
+
+// Returns the challenge to echo back, or null
+export function verifyHandshake(params, verifyToken) {
+  if (!verifyToken) return null;
+  if (params.get("hub.mode") !== "subscribe") return null;
+  if (!timingSafeEqual(enc.encode(String(params.get("hub.verify_token") || "")), enc.encode(String(verifyToken)))) return null;
+  return params.get("hub.challenge");
+}
+
+export async function verifySignature(rawBody, header, appSecret) {
+  if (!appSecret || !header || !header.startsWith("sha256=")) return false;
+  const key = await crypto.subtle.importKey("raw", enc.encode(appSecret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await crypto.subtle.sign("HMAC", key, rawBody);
+  const hex = Array.from(new Uint8Array(mac), (b) => b.toString(16).padStart(2, "0")).join("");
+  return timingSafeEqual(enc.encode(hex), enc.encode(header.slice(7).toLowerCase()));
+}
+
+// Event: { id, received_at, field, waba_id, phone_number, summary, value }
+export function parseWebhook(body, now = Date.now()) {
+  if (!body || body.object !== "whatsapp_business_account" || !Array.isArray(body.entry)) return [];
+  const events = [];
+  for (const entry of body.entry) {
+    for (const change of entry.changes || []) {
+      if (!WEBHOOK_FIELDS.includes(change.field)) continue;
+      const value = change.value || {};
+      events.push({
+        id: eventId(now, events.length),
+        received_at: new Date(now).toISOString(),
+        field: change.field,
+        waba_id: entry.id ? String(entry.id) : null,
+        phone_number: value.display_phone_number || value.phone_number || null,
+        summary: summarize(change.field, value),
+        value,
+      });
+    }
+  }
+  return events;
+}
+
+// Sortable oldest → newest; the sequence keeps events of one delivery in order
+function eventId(now, seq) {
+  const rand = Array.from(crypto.getRandomValues(new Uint8Array(3)), (b) => b.toString(16).padStart(2, "0")).join("");
+  return `${String(now).padStart(13, "0")}-${String(seq).padStart(3, "0")}${rand}`;
+}
+
+function summarize(field, v) {
+  const who = v.display_phone_number || v.phone_number || "Account";
+  if (field === "phone_number_name_update") {
+    const name = v.requested_verified_name ? ` “${v.requested_verified_name}”` : "";
+    const decision = String(v.decision || "updated").toLowerCase();
+    return `${who}: display name${name} ${decision}${v.rejection_reason && v.rejection_reason !== "NONE" ? ` (${v.rejection_reason})` : ""}`;
+  }
+  if (field === "phone_number_quality_update") {
+    const limit = v.current_limit ? `, messaging limit ${v.current_limit}` : "";
+    return `${who}: quality ${String(v.event || "update").toLowerCase()}${limit}`;
+  }
+  const details = v.ban_info ? ` (${v.ban_info.waba_ban_state || "ban"})`
+    : v.restriction_info ? ` (${v.restriction_info.map((r) => r.restriction_type).join(", ")})`
+    : v.violation_info ? ` (${v.violation_info.violation_type})`
+    : "";
+  return `${who}: ${String(v.event || "account update").toLowerCase().replace(/_/g, " ")}${details}`;
+}
+
+export function digitsOnly(phone) {
+  return String(phone || "").replace(/\D/g, "");
+}
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { toCsv, CSV_COLUMNS, parseAuditQuery, MemoryAuditStore, auditId, AUDIT_ACTIONS, AUDIT_PAGE_MAX, AUDIT_CSV_MAX } from "../lib/audit.js";
+
+const event = (over = {}) => ({
+  id: auditId(Date.parse(over.at || "2026-01-01T00:00:00Z")),
+  at: "2026-01-01T00:00:00.000Z",
+  action: "profile.update",
+  phone_id: "1234567",
+  token_fp: "1a7674eb4ee78df7",
+  ip: "203.0.113.9",
+  user_agent: "curl/8",
+  changes: [],
+  result: "ok",
+  status: 200,
+  graph_status: 200,
+  error: null,
+  ...over,
+});
+
+test("toCsv: one row per changed field, quoted and formula-safe", () => {
+  const csv = toCsv([
+    event({ changes: [
+      { field: "description", old: "Line 1\nLine 2", new: "=HYPERLINK(\"x\")" },
+      { field: "websites", old: ["https://a.com", "https://b.com"], new: [] },
+    ] }),
+    event({ action: "photo.update", result: "error", status: 401, graph_status: 401, error: "Invalid, expired", user_agent: "-x", changes: [] }),
+  ]);
+  const rows = csv.split("\r\n");
+  assert.equal(rows[0], CSV_COLUMNS.join(","));
+  assert.equal(rows[1], '2026-01-01T00:00:00.000Z,profile.update,1234567,ok,200,200,description,"Line 1\nLine 2","\'=HYPERLINK(""x"")",,1a7674eb4ee78df7,203.0.113.9,curl/8');
+  assert.equal(rows[2], "2026-01-01T00:00:00.000Z,profile.update,1234567,ok,200,200,websites,https://a.com https://b.com,,,1a7674eb4ee78df7,203.0.113.9,curl/8");
+  assert.equal(rows[3], `2026-01-01T00:00:00.000Z,photo.update,1234567,error,401,401,,,,"Invalid, expired",1a7674eb4ee78df7,203.0.113.9,'-x`);
+  assert.equal(rows.length, 5);
+  assert.equal(rows[4], "");
+});
+
+test("parseAuditQuery: filters, limits and cursor", () => {
+  const q = (s) => parseAuditQuery(new URLSearchParams(s));
+  assert.deepEqual(q("action=profile.scheduled&result=error&field=about&since=2026-01-01&limit=500"), {
+    filter: { action: "profile.scheduled", result: "error", field: "about", since: "2026-01-01T00:00:00.000Z" },
+    limit: AUDIT_PAGE_MAX, cursor: null, format: "json",
+  });
+  assert.equal(q("format=csv").limit, AUDIT_CSV_MAX);
+  assert.equal(q("").limit, 50);
+  assert.match(q("action=profile.delete").error, /action must be one of/);
+  assert.match(q("result=maybe").error, /result must be ok or error/);
+  assert.match(q("until=yesterday").error, /until must be an ISO date-time/);
+  assert.match(q("cursor=../x").error, /Invalid cursor/);
+  for (const a of ["profile.bulk", "profile.restore", "profile.scheduled", "photo.upload"]) assert.ok(AUDIT_ACTIONS.includes(a), a);
+});
+
+test("MemoryAuditStore: newest first, filters and paging", async () => {
+  const store = new MemoryAuditStore();
+  const times = ["2026-01-01T00:00:00Z", "2026-01-02T00:00:00Z", "2026-01-03T00:00:00Z"];
+  for (const [i, at] of times.entries()) {
+    await store.add(event({ at: new Date(at).toISOString(), phone_id: i === 1 ? "7654321" : "1234567", changes: [{ field: i ? "about" : "email", old: "", new: "x" }] }));
+  }
+  const page1 = await store.query({}, { limit: 2 });
+  assert.deepEqual(page1.events.map((e) => e.at.slice(0, 10)), ["2026-01-03", "2026-01-02"]);
+  const page2 = await store.query({}, { limit: 2, cursor: page1.cursor });
+  assert.deepEqual(page2.events.map((e) => e.at.slice(0, 10)), ["2026-01-01"]);
+  assert.equal(page2.cursor, null);
+
+  assert.equal((await store.query({ phone_id: "7654321" })).events.length, 1);
+  assert.equal((await store.query({ field: "email" })).events.length, 1);
+  assert.equal((await store.query({ since: "2026-01-02T00:00:00.000Z", until: "2026-01-03T00:00:00.000Z" })).events.length, 1);
+
+  const small = new MemoryAuditStore(2);
+  for (let i = 0; i < 3; i++) await small.add(event());
+  assert.equal((await small.query()).events.length, 2);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  verifyAdminPassword, hashAdminPassword, isAdminConfigured, createSessionCookie, readSession, getCookie, getCredentials,
+  isServerMode, SESSION_COOKIE,
+} from "../lib/auth.js";
+
+const ENV = { WA_PHONE_NUMBER_ID: "1234567", WA_ACCESS_TOKEN: "srv", SESSION_SECRET: "s3cret", ADMIN_SECRET: "pw" };
+const NOW = 1_700_000_000_000;
+
+const withCookie = (cookie) => new Request("https://w.test/api/profile", { headers: { cookie } });
+const sessionValue = async (env = ENV, now = NOW) => (await createSessionCookie(env, now)).split(";")[0].slice(SESSION_COOKIE.length + 1);
+
+test("ADMIN_SECRET: only the exact secret signs in", async () => {
+  assert.equal(await verifyAdminPassword("pw", ENV), true);
+  for (const bad of ["PW", "pw ", "", null, 42]) assert.equal(await verifyAdminPassword(bad, ENV), false, String(bad));
+  assert.equal(await verifyAdminPassword("pw", { ...ENV, ADMIN_SECRET: "" }), false);
+});
+
+test("ADMIN_PASSWORD_HASH: PBKDF2, and malformed hashes never match", async () => {
+  const hash = await hashAdminPassword("correct horse", 1000);
+  assert.equal(await verifyAdminPassword("correct horse", { ADMIN_PASSWORD_HASH: hash }), true);
+  assert.equal(await verifyAdminPassword("wrong horse", { ADMIN_PASSWORD_HASH: hash }), false);
+  // the hash wins over ADMIN_SECRET when both are set
+  assert.equal(await verifyAdminPassword("pw", { ADMIN_PASSWORD_HASH: hash, ADMIN_SECRET: "pw" }), false);
+  for (const bad of ["pbkdf2$sha1$1000$AA==$AA==", "pbkdf2$sha256$0$AA==$AA==", "plain", "pbkdf2$sha256$1000$!!$!!", "pbkdf2$sha256$1000$AA==$"]) {
+    assert.equal(await verifyAdminPassword("correct horse", { ADMIN_PASSWORD_HASH: bad }), false, bad);
+  }
+});
+
+test("login needs a password check and SESSION_SECRET", () => {
+  assert.equal(isAdminConfigured(ENV), true);
+  assert.equal(isAdminConfigured({ ...ENV, SESSION_SECRET: " " }), false);
+  assert.equal(isAdminConfigured({ SESSION_SECRET: "s" }), false);
+});
+
+test("session cookie: signed, HttpOnly, read back until it expires", async () => {
+  const cookie = await createSessionCookie({ ...ENV, SESSION_TTL_SECONDS: "60" }, NOW);
+  assert.match(cookie, /; Path=\/; HttpOnly; Secure; SameSite=Strict; Max-Age=60$/);
+  const value = cookie.split(";")[0].slice(SESSION_COOKIE.length + 1);
+  const session = await readSession(withCookie(`${SESSION_COOKIE}=${value}`), ENV, NOW + 59_000);
+  assert.equal(session.sub, "admin");
+  assert.equal(await readSession(withCookie(`${SESSION_COOKIE}=${value}`), ENV, NOW + 60_000), null, "expired");
+});
+
+test("session cookie: tampering, another secret or a missing SESSION_SECRET fail", async () => {
+  const value = await sessionValue();
+  const [body, sig] = value.split(".");
+  const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+  const forged = Buffer.from(JSON.stringify({ ...claims, exp: claims.exp + 86400 })).toString("base64url");
+  const read = (v, env = ENV) => readSession(withCookie(`${SESSION_COOKIE}=${v}`), env, NOW);
+
+  assert.ok(await read(value));
+  assert.equal(await read(`${forged}.${sig}`), null);
+  assert.equal(await read(`${body}.${sig.slice(0, -2)}AA`), null);
+  assert.equal(await read(body), null);
+  assert.equal(await read(value, { ...ENV, SESSION_SECRET: "other" }), null);
+  assert.equal(await read(value, { ...ENV, SESSION_SECRET: "" }), null);
+  assert.equal(await readSession(withCookie("other=1"), ENV, NOW), null);
+});
+
+test("session cookie: changing SESSION_VERSION ends existing sessions", async () => {
+  const value = await sessionValue();
+  const read = (env) => readSession(withCookie(`${SESSION_COOKIE}=${value}`), env, NOW);
+  assert.ok(await read({ ...ENV, SESSION_VERSION: "1" }));
+  assert.equal(await read({ ...ENV, SESSION_VERSION: "2" }), null);
+  assert.ok(await readSession(withCookie(`${SESSION_COOKIE}=${await sessionValue({ ...ENV, SESSION_VERSION: "2" })}`), { ...ENV, SESSION_VERSION: "2" }, NOW));
+});
+
+test("getCookie picks the named cookie", () => {
+  const r = withCookie("a=1; wa_session=x.y ; wa_csrf=abc=def");
+  assert.equal(getCookie(r, "wa_session"), "x.y");
+  assert.equal(getCookie(r, "wa_csrf"), "abc=def");
+  assert.equal(getCookie(r, "missing"), null);
+});
+
+test("getCredentials: server mode needs a session; client mode needs the headers", async () => {
+  assert.equal(isServerMode(ENV), true);
+  assert.deepEqual(await getCredentials(withCookie(""), ENV), { error: "Not signed in", status: 401 });
+  const c = await getCredentials(withCookie(`${SESSION_COOKIE}=${await sessionValue(ENV, Date.now())}`), ENV);
+  assert.deepEqual([c.token, c.phoneId], ["srv", "1234567"]);
+
+  const headers = (h) => new Request("https://w.test/", { headers: h });
+  assert.equal((await getCredentials(headers({}), {})).status, 400);
+  assert.equal((await getCredentials(headers({ "x-wa-access-token": "t" }), {})).status, 400);
+  assert.deepEqual(await getCredentials(headers({ "x-wa-access-token": "t" }), {}, { requirePhone: false }), { token: "t", phoneId: null });
+});
@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateAutomation, normalizeAutomation, AUTOMATION_LIMITS as L } from "../lib/automation.js";
+
+const cmd = (command_name, command_description = "Does a thing") => ({ command_name, command_description });
+const commands = (n) => Array.from({ length: n }, (_, i) => cmd(`c${i}`));
+
+test("absent fields stay out of the payload; values are trimmed", () => {
+  assert.deepEqual(validateAutomation({}), { payload: {}, errors: {} });
+  assert.deepEqual(validateAutomation(null), { payload: {}, errors: {} });
+  const { payload, errors } = validateAutomation({
+    enable_welcome_message: true,
+    prompts: [" Opening hours? ", "", "  "],
+    commands: [cmd(" /help ", " Show help ")],
+  });
+  assert.deepEqual(errors, {});
+  assert.deepEqual(payload, {
+    enable_welcome_message: true,
+    prompts: ["Opening hours?"],
+    commands: [{ command_name: "help", command_description: "Show help" }],
+  });
+  assert.deepEqual(validateAutomation({ prompts: [], commands: [] }).payload, { prompts: [], commands: [] });
+});
+
+test("enable_welcome_message must be a boolean", () => {
+  const { payload, errors } = validateAutomation({ enable_welcome_message: "yes" });
+  assert.deepEqual(errors.enable_welcome_message, { code: "invalid_type", message: "enable_welcome_message must be true or false" });
+  assert.deepEqual(payload, {});
+});
+
+test("prompts: at most four, each within the length limit, text only", () => {
+  assert.deepEqual(validateAutomation({ prompts: "hi" }).errors.prompts, { code: "invalid_type", message: "prompts must be an array" });
+  assert.deepEqual(validateAutomation({ prompts: ["a", "b", "c", "d", "e"] }).errors.prompts, { code: "too_many", message: "At most 4 ice breakers", limit: L.prompts });
+  assert.deepEqual(validateAutomation({ prompts: ["a", "b", "c", "d"] }).payload.prompts, ["a", "b", "c", "d"]);
+
+  const long = validateAutomation({ prompts: ["ok", "x".repeat(L.prompt + 1)] });
+  assert.deepEqual(long.errors.prompts, { code: "too_long", message: `Ice breaker 2 must be at most ${L.prompt} characters`, index: 1, limit: L.prompt });
+  assert.equal(long.payload.prompts, undefined);
+  assert.equal(validateAutomation({ prompts: ["x".repeat(L.prompt)] }).errors.prompts, undefined);
+  assert.deepEqual(validateAutomation({ prompts: ["ok", 3] }).errors.prompts, { code: "invalid_type", message: "Ice breakers must be text", index: 1 });
+});
+
+test("commands: count, name and description limits, with the offending index and field", () => {
+  const err = (list) => validateAutomation({ commands: list }).errors.commands;
+  assert.deepEqual(err({}), { code: "invalid_type", message: "commands must be an array" });
+  assert.equal(err(commands(L.commands)), undefined);
+  assert.deepEqual(err(commands(L.commands + 1)), { code: "too_many", message: `At most ${L.commands} commands`, limit: L.commands });
+  assert.deepEqual(err([cmd("ok"), { command_name: "x" }]), { code: "invalid_type", message: "Command 2 needs a name and a description", index: 1 });
+  assert.deepEqual(err([null]), { code: "invalid_type", message: "Command 1 needs a name and a description", index: 0 });
+
+  const cases = [
+    [[cmd(" / ")], "required", "command_name"],
+    [[cmd("two words")], "invalid_command_name", "command_name"],
+    [[cmd("a/b")], "invalid_command_name", "command_name"],
+    [[cmd("x".repeat(L.command_name + 1))], "too_long", "command_name"],
+    [[cmd("help", " ")], "required", "command_description"],
+    [[cmd("help", "x".repeat(L.command_description + 1))], "too_long", "command_description"],
+    [[cmd("help"), cmd("/HELP")], "duplicate", "command_name"],
+  ];
+  for (const [list, code, field] of cases) {
+    const e = err(list);
+    assert.deepEqual([e.code, e.field, e.index], [code, field, list.length - 1], JSON.stringify(list));
+    assert.equal(typeof e.message, "string");
+  }
+  assert.equal(err([cmd("x".repeat(L.command_name), "y".repeat(L.command_description))]), undefined);
+  assert.equal(err([cmd("x".repeat(L.command_name + 1))]).limit, L.command_name);
+});
+
+test("one bad field does not block the others' errors", () => {
+  const { payload, errors } = validateAutomation({ enable_welcome_message: 1, prompts: ["x".repeat(L.prompt + 1)], commands: [cmd("a b")] });
+  assert.deepEqual(Object.keys(errors), ["enable_welcome_message", "prompts", "commands"]);
+  assert.deepEqual(payload, {});
+});
+
+test("normalizeAutomation fills defaults and drops non-text prompts", () => {
+  assert.deepEqual(normalizeAutomation(undefined), { enable_welcome_message: false, prompts: [], commands: [] });
+  assert.deepEqual(normalizeAutomation({ enable_welcome_message: 1, prompts: ["a", 2], commands: [{ command_name: "x" }] }), {
+    enable_welcome_message: true,
+    prompts: ["a"],
+    commands: [{ command_name: "x", command_description: "" }],
+  });
+});
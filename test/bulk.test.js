@@ -0,0 +1,39 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parsePhoneIds, mapLimit, bulkConcurrency, BULK_MAX_NUMBERS } from "../lib/bulk.js";
+import { planProfile } from "../lib/profile.js";
+
+test("parsePhoneIds: trimmed, de-duplicated, digits only, capped", () => {
+  assert.deepEqual(parsePhoneIds([" 1234567", 1234567, "2345678", ""]), { ids: ["1234567", "2345678"] });
+  assert.match(parsePhoneIds([]).error, /non-empty/);
+  assert.match(parsePhoneIds("1234567").error, /non-empty/);
+  assert.match(parsePhoneIds(["12a45"]).error, /Invalid phone number id: 12a45/);
+  assert.match(parsePhoneIds(Array.from({ length: BULK_MAX_NUMBERS + 1 }, (_, i) => String(1e6 + i))).error, /At most/);
+});
+
+test("bulkConcurrency: default 4, at most 10", () => {
+  assert.equal(bulkConcurrency({}), 4);
+  assert.equal(bulkConcurrency({ BULK_CONCURRENCY: "50" }), 10);
+  assert.equal(bulkConcurrency({ BULK_CONCURRENCY: "0" }), 4);
+});
+
+test("mapLimit keeps input order and the concurrency bound", async () => {
+  let active = 0, peak = 0;
+  const out = await mapLimit([30, 10, 20, 0, 5], 2, async (ms, i) => {
+    peak = Math.max(peak, ++active);
+    await new Promise((r) => setTimeout(r, ms));
+    active--;
+    return i;
+  });
+  assert.deepEqual(out, [0, 1, 2, 3, 4]);
+  assert.equal(peak, 2);
+});
+
+test("planProfile: whitespace-only edits are not changes", () => {
+  const current = { about: "Open", websites: ["https://a.com"] };
+  assert.deepEqual(planProfile(current, { about: "  Open ", websites: [" https://a.com", ""] }), { changes: [], body: {} });
+  assert.deepEqual(planProfile(current, { about: " Closed ", description: null }), {
+    changes: [{ field: "about", old: "Open", new: "Closed" }],
+    body: { about: "Closed" },
+  });
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { EXIT } from "../cli/client.js";
+
+const CLI = fileURLToPath(new URL("../cli/wa-profile.js", import.meta.url));
+const SANDBOX = ["--sandbox", "--token", "t", "--phone-id", "100000000000001"];
+
+// Runs the CLI without network or inherited credentials: { code, out, err } with JSON stdout/stderr parsed
+function run(args, input = "") {
+  const env = { PATH: process.env.PATH };
+  const r = spawnSync(process.execPath, [CLI, ...args], { env, input, encoding: "utf8", timeout: 30000 });
+  const parse = (s) => { try { return JSON.parse(s); } catch { return s; } };
+  return { code: r.status, out: parse(r.stdout), err: parse(r.stderr) };
+}
+
+test("usage errors exit 2 with the reason on stderr", () => {
+  const cases = [
+    [[], /No command given/],
+    [["frobnicate"], /Unknown command: frobnicate/],
+    [["get", "--colour"], /Unknown option '--colour'/],
+    [["get", "extra", "more"], /Unexpected argument: more/],
+    [["set", ...SANDBOX], /set needs at least one field flag/],
+    [["set", "--clear", "nickname", ...SANDBOX], /--clear: unknown field nickname/],
+    [["set", "--email", "a@b.co", "--clear", "email", ...SANDBOX], /email is both set and cleared/],
+    [["photo", ...SANDBOX], /photo needs a file path/],
+    [["photo", "missing.png", ...SANDBOX], /Cannot read missing.png: ENOENT/],
+    [["diff", ...SANDBOX], /profile document path/],
+    [["get", "--worker", "ftp://w.test"], /--worker must be an http\(s\) URL/],
+    [["get", "--worker", "https://w.test"], /Missing --token/],
+    [["get", "--sandbox"], /--token \(or WA_ACCESS_TOKEN\)/],
+  ];
+  for (const [args, message] of cases) {
+    const r = run(args);
+    assert.equal(r.code, EXIT.USAGE, args.join(" "));
+    assert.equal(r.err.exit_code, EXIT.USAGE);
+    assert.match(r.err.error, message, args.join(" "));
+    assert.equal(r.out, "");
+  }
+});
+
+test("photo: only https URLs, refused before any request", () => {
+  for (const url of ["http://cdn.test/logo.png", "HTTP://cdn.test/logo.png", "ftp://cdn.test/logo.png", "https://"]) {
+    const r = run(["photo", url, ...SANDBOX]);
+    assert.equal(r.code, EXIT.USAGE, url);
+    assert.match(r.err.error, /photo URLs must be https:\/\//);
+  }
+});
+
+test("--help prints the usage and exits 0", () => {
+  const r = run(["--help"]);
+  assert.equal(r.code, EXIT.OK);
+  assert.match(r.out, /^Usage: wa-profile <command>/);
+  assert.match(r.out, /Exit codes: 0 ok, 1 failure, 2 usage/);
+});
+
+test("get, set and diff against the sandbox", () => {
+  const got = run(["get", ...SANDBOX]);
+  assert.equal(got.code, EXIT.OK);
+  assert.equal(got.out.phone_number_id, "100000000000001");
+  assert.equal(got.out.profile.vertical, "RETAIL");
+
+  const dry = run(["set", "--about", "Closed today", "--dry-run", ...SANDBOX]);
+  assert.equal(dry.code, EXIT.OK);
+  assert.deepEqual([dry.out.applied, dry.out.body], [false, { about: "Closed today" }]);
+
+  const doc = run(["get", "--document", ...SANDBOX]).out;
+  assert.equal(run(["diff", "-", ...SANDBOX], JSON.stringify(doc)).code, EXIT.OK);
+  const changed = run(["diff", "-", ...SANDBOX], JSON.stringify({ ...doc, profile: { ...doc.profile, about: "Elsewhere" } }));
+  assert.equal(changed.code, EXIT.CHANGES);
+  assert.deepEqual(changed.out.changes.map((c) => c.field), ["about"]);
+});
+
+test("invalid input exits 3, a rejected token 5", () => {
+  const invalid = run(["set", "--email", "not-an-email", ...SANDBOX]);
+  assert.equal(invalid.code, EXIT.INVALID);
+  assert.equal(invalid.err.details.errors.email.code, "invalid_email");
+  assert.equal(run(["set", "--clear", "about", ...SANDBOX]).err.details.errors.about.code, "not_clearable");
+
+  const other = run(["diff", "-", ...SANDBOX], JSON.stringify({ version: 1, phone_number_id: "100000000000002", profile: {} }));
+  assert.equal(other.code, EXIT.INVALID);
+  assert.equal(other.err.details.code, "phone_number_mismatch");
+
+  const expired = run(["get", "--sandbox", "--token", "expired", "--phone-id", "100000000000001"]);
+  assert.equal(expired.code, EXIT.AUTH);
+});
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGraphClient, GraphError, backoff, graphVersion, shouldRetry } from "../lib/graph.js";
+
+const json = (o, status = 200, headers = {}) => new Response(JSON.stringify(o), { status, headers });
+
+// Graph client over a scripted list of responses; records each attempt and each backoff wait
+function scripted(responses, env = {}) {
+  const calls = [], waits = [];
+  const fetchImpl = async (url, init) => {
+    calls.push({ url, init });
+    const next = responses[Math.min(calls.length - 1, responses.length - 1)];
+    if (next instanceof Error) throw next;
+    return next();
+  };
+  const graph = createGraphClient(env, { fetchImpl, sleep: async (ms) => waits.push(ms), random: () => 0.5 });
+  return { graph, calls, waits };
+}
+
+test("errors share one envelope", async () => {
+  const { graph } = scripted([() => json({ error: { message: "Invalid OAuth access token", type: "OAuthException", code: 190, fbtrace_id: "A1" } }, 401)]);
+  const err = await graph.get("me", { token: "t" }).catch((e) => e);
+  assert.ok(err instanceof GraphError);
+  assert.deepEqual(err.toJSON(), {
+    message: "Invalid OAuth access token", type: "OAuthException", code: 190, error_subcode: null, fbtrace_id: "A1",
+    error_user_title: null, error_user_msg: null, status: 401, retryable: false,
+  });
+});
+
+test("GETs retry 5xx and network failures", async () => {
+  const { graph, calls, waits } = scripted([() => json({}, 503), new TypeError("reset"), () => json({ data: [1] })]);
+  const r = await graph.get("123", { token: "t" });
+  assert.deepEqual(r.data, { data: [1] });
+  assert.equal(calls.length, 3);
+  assert.equal(waits.length, 2);
+  assert.equal(calls[0].init.headers.Authorization, "Bearer t");
+});
+
+test("POSTs are not repeated after a 5xx, only when throttled", async () => {
+  const down = scripted([() => json({ error: { message: "down" } }, 503), () => json({ success: true })]);
+  await assert.rejects(down.graph.post("123/whatsapp_business_profile", { json: {} }), (e) => e.status === 503);
+  assert.equal(down.calls.length, 1);
+
+  const throttled = scripted([() => json({ error: { message: "slow down", code: 80007 } }, 400), () => json({ success: true })]);
+  assert.equal((await throttled.graph.post("123/whatsapp_business_profile", { json: {} })).status, 200);
+  assert.equal(throttled.calls.length, 2);
+
+  assert.equal(shouldRetry("POST", new GraphError({ message: "", status: 504, retryable: true })), false);
+  assert.equal(shouldRetry("GET", new GraphError({ message: "", status: 504, retryable: true })), true);
+});
+
+test("Retry-After sets the wait; a too-long one or the time budget ends the retries", async () => {
+  const soon = scripted([() => json({}, 429, { "retry-after": "2" }), () => json({ ok: 1 })]);
+  await soon.graph.get("x");
+  assert.deepEqual(soon.waits, [2000]);
+
+  const late = scripted([() => json({}, 429, { "retry-after": "120" })]);
+  await assert.rejects(late.graph.get("x"), (e) => e.status === 429);
+  assert.equal(late.calls.length, 1);
+
+  const budget = scripted([() => json({}, 429, { "retry-after": "15" })]);
+  await assert.rejects(budget.graph.get("x"), (e) => e.status === 429);
+  assert.equal(budget.calls.length, 2, "15 s + 15 s would pass the 20 s budget");
+});
+
+test("GRAPH_RETRIES and GRAPH_VERSION come from env", async () => {
+  const { graph, calls } = scripted([() => json({}, 500)], { GRAPH_RETRIES: "0", GRAPH_VERSION: "v21.0" });
+  await assert.rejects(graph.get("x"));
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].url, "https://graph.facebook.com/v21.0/x");
+  assert.equal(graphVersion({ GRAPH_VERSION: "latest" }), "v23.0");
+});
+
+test("GRAPH_MAX_ELAPSED_MS bounds the whole call, the last attempt's timeout included", async () => {
+  const timeouts = [];
+  // never answers; only the abort signal ends an attempt
+  const fetchImpl = (url, { signal }) => new Promise((_, reject) => {
+    const t0 = Date.now();
+    signal.addEventListener("abort", () => { timeouts.push(Date.now() - t0); reject(new Error("aborted")); });
+  });
+  const env = { GRAPH_TIMEOUT_MS: "80", GRAPH_RETRIES: "10", GRAPH_MAX_ELAPSED_MS: "200" };
+  const graph = createGraphClient(env, { fetchImpl, sleep: async () => {}, random: () => 0 });
+  const t0 = Date.now();
+  const err = await graph.get("x").catch((e) => e);
+  const elapsed = Date.now() - t0;
+  assert.equal(err.code, "timeout");
+  assert.equal(timeouts.length, 3, "80 ms + 80 ms, then only what is left");
+  assert.ok(timeouts[2] < 80, `last attempt cut short: ${timeouts}`);
+  assert.ok(elapsed >= 190 && elapsed < 400, `elapsed ${elapsed} ms`);
+});
+
+test("backoff: full jitter under an exponential cap", () => {
+  assert.equal(backoff(0, null, () => 0.5), 250);
+  assert.equal(backoff(3, null, () => 0.5), 2000);
+  assert.equal(backoff(10, null, () => 0.5), 4000);
+  assert.equal(backoff(0, "1", () => 0), 1000);
+  assert.equal(backoff(0, "31", () => 0), null);
+});
@@ -0,0 +1,132 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync } from "node:zlib";
+import { decodePng, readPngHeader } from "../lib/png.js";
+import { decodeJpeg, encodeJpeg, readJpegHeader } from "../lib/jpeg.js";
+import { checkPhoto, normalizePhoto, inspectImage, sniffMime, orient, ImageError } from "../lib/image.js";
+
+// ---------- PNG builder (stored filter bytes are part of `raw`) ----------
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = -1;
+  for (const b of bytes) c = (c >>> 8) ^ CRC_TABLE[(c ^ b) & 255];
+  return (c ^ -1) >>> 0;
+}
+
+function chunk(type, data) {
+  const b = Buffer.alloc(12 + data.length);
+  b.writeUInt32BE(data.length, 0);
+  b.write(type, 4, "latin1");
+  Buffer.from(data).copy(b, 8);
+  b.writeUInt32BE(crc32(b.subarray(4, 8 + data.length)), 8 + data.length);
+  return b;
+}
+
+function png(width, height, raw, { colorType = 2, bitDepth = 8, interlace = 0, extra = [] } = {}) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = bitDepth;
+  ihdr[9] = colorType;
+  ihdr[12] = interlace;
+  return new Uint8Array(Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    chunk("IHDR", ihdr),
+    ...extra,
+    chunk("IDAT", deflateSync(Buffer.from(raw))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]));
+}
+
+const solid = (width, height, [r, g, b, a = 255]) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) data.set([r, g, b, a], i);
+  return { width, height, data };
+};
+
+const rgba = (img, x, y) => Array.from(img.data.subarray((y * img.width + x) * 4, (y * img.width + x) * 4 + 4));
+
+// ---------- PNG ----------
+test("png: RGB rows with None and Sub filters", async () => {
+  // 2×2: row 0 unfiltered red, green; row 1 Sub-filtered blue, then +(0, 0, 0) = blue again
+  const raw = [0, 255, 0, 0, 0, 255, 0, 1, 0, 0, 255, 0, 0, 0];
+  const img = await decodePng(png(2, 2, raw));
+  assert.deepEqual([img.width, img.height], [2, 2]);
+  assert.deepEqual(rgba(img, 0, 0), [255, 0, 0, 255]);
+  assert.deepEqual(rgba(img, 1, 0), [0, 255, 0, 255]);
+  assert.deepEqual(rgba(img, 0, 1), [0, 0, 255, 255]);
+  assert.deepEqual(rgba(img, 1, 1), [0, 0, 255, 255]);
+});
+
+test("png: palette with tRNS", async () => {
+  const extra = [chunk("PLTE", Buffer.from([255, 0, 0, 0, 0, 255])), chunk("tRNS", Buffer.from([128]))];
+  const img = await decodePng(png(2, 1, [0, 0, 1], { colorType: 3, extra }));
+  assert.deepEqual(rgba(img, 0, 0), [255, 0, 0, 128]);
+  assert.deepEqual(rgba(img, 1, 0), [0, 0, 255, 255]);
+});
+
+test("png: Adam7 interlaced", async () => {
+  // 3×3 gray: passes 1, 4, 6 and 7 carry pixels; every pixel is 200
+  let raw = [];
+  for (const [x0, y0, dx, dy] of [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]]) {
+    const pw = Math.ceil((3 - x0) / dx), ph = Math.ceil((3 - y0) / dy);
+    if (pw > 0 && ph > 0) for (let y = 0; y < ph; y++) raw.push(0, ...new Array(pw).fill(200));
+  }
+  const img = await decodePng(png(3, 3, raw, { colorType: 0, interlace: 1 }));
+  for (let y = 0; y < 3; y++) for (let x = 0; x < 3; x++) assert.deepEqual(rgba(img, x, y), [200, 200, 200, 255]);
+});
+
+test("png: data beyond the declared dimensions is refused (decompression bomb)", async () => {
+  await assert.rejects(decodePng(png(4, 2, new Uint8Array(1_000_000))), /larger than its dimensions/);
+});
+
+test("png: header limits", async () => {
+  assert.deepEqual(readPngHeader(png(3, 5, [])).width, 3);
+  await assert.rejects(decodePng(png(100, 100, []), { maxPixels: 5000 }), /out of range/);
+  await assert.rejects(decodePng(png(2, 2, [0, 0]), {}), /truncated/);
+});
+
+// ---------- JPEG ----------
+test("jpeg: encode → decode keeps size and colors", () => {
+  const bytes = encodeJpeg(solid(16, 8, [200, 40, 90]), 90);
+  assert.deepEqual(readJpegHeader(bytes), { width: 16, height: 8, components: 3, progressive: false, marker: 0xc0 });
+  const img = decodeJpeg(bytes);
+  assert.deepEqual([img.width, img.height], [16, 8]);
+  const [r, g, b, a] = rgba(img, 5, 5);
+  assert.ok(Math.abs(r - 200) <= 4 && Math.abs(g - 40) <= 4 && Math.abs(b - 90) <= 4, `${r},${g},${b}`);
+  assert.equal(a, 255);
+  assert.throws(() => decodeJpeg(bytes, { maxPixels: 100 }));
+});
+
+test("orient: 6 rotates a landscape image to portrait", () => {
+  const img = solid(4, 2, [0, 0, 0]);
+  img.data.set([255, 0, 0, 255], 0); // top-left red
+  const out = orient(img, 6);
+  assert.deepEqual([out.width, out.height], [2, 4]);
+  assert.deepEqual(rgba(out, 1, 0), [255, 0, 0, 255]); // ends up top-right
+});
+
+// ---------- photo checks ----------
+test("checkPhoto: sniffed format and Meta's limits", () => {
+  const code = (fn) => { try { fn(); } catch (e) { assert.ok(e instanceof ImageError); return [e.code, e.status]; } return null; };
+  assert.deepEqual(code(() => checkPhoto(new TextEncoder().encode("GIF89a....."))), ["unsupported_format", 415]);
+  assert.deepEqual(code(() => checkPhoto(png(100, 300, []))), ["too_small", 400]);
+  assert.deepEqual(code(() => checkPhoto(new Uint8Array(10), { maxBytes: 5, minSide: 1 })), ["too_large", 413]);
+  assert.deepEqual(checkPhoto(png(192, 192, [])), { mime: "image/png", width: 192, height: 192, byteLength: png(192, 192, []).length });
+  assert.equal(sniffMime(encodeJpeg(solid(8, 8, [0, 0, 0]))), "image/jpeg");
+});
+
+test("normalizePhoto: 640×640 JPEG, oversize images refused before decoding", async () => {
+  const w = 200, h = 300, raw = new Uint8Array(h * (1 + w * 3));
+  const out = await normalizePhoto(png(w, h, raw));
+  assert.deepEqual([out.mime, out.width, out.height], ["image/jpeg", 640, 640]);
+  assert.deepEqual([readJpegHeader(out.bytes).width, readJpegHeader(out.bytes).height], [640, 640]);
+
+  const huge = png(3000, 2000, []); // no image data: decoding it would fail with decode_failed instead
+  await assert.rejects(normalizePhoto(huge, inspectImage(huge)), (e) => e.code === "too_many_pixels" && e.status === 413);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportDocument, readDocument, otherPhoneId, planProfileDocument, toYaml, parseYaml } from "../lib/profile-doc.js";
+
+const LIVE = {
+  about: "Open 9–5",
+  description: "Line one\nLine \"two\"",
+  email: "hi@example.com",
+  websites: ["https://a.com", "https://b.com"],
+  vertical: "RETAIL",
+  profile_picture_url: "https://pps.whatsapp.net/v/a.jpg?oh=1",
+};
+
+test("toYaml → parseYaml round trips an exported document", () => {
+  const doc = exportDocument(LIVE, { phoneId: "1234567", now: 0 });
+  assert.deepEqual(parseYaml(toYaml(doc)), doc);
+  assert.deepEqual(parseYaml(toYaml(exportDocument({}, {}))).profile.websites, []);
+});
+
+test("parseYaml: hand-edited documents", () => {
+  const text = [
+    "---",
+    "# profile as code",
+    "version: 1",
+    "profile:",
+    "  about: 'It''s open'   # trailing comment",
+    "  address: Unit#1 Main St # a space before # starts a comment",
+    "  email: \"a@b.co\" # quoted, then a comment",
+    "  websites:",
+    "  - https://a.com",
+    "  - \"https://b.com\"",
+    "  description: |",
+    "    First line",
+    "",
+    "    Third line",
+    "  vertical: ~",
+    "flow: [a, \"b\", 3]",
+  ].join("\r\n");
+  assert.deepEqual(parseYaml(text), {
+    version: 1,
+    profile: {
+      about: "It's open",
+      address: "Unit#1 Main St",
+      email: "a@b.co",
+      websites: ["https://a.com", "https://b.com"],
+      description: "First line\n\nThird line\n",
+      vertical: null,
+    },
+    flow: ["a", "b", 3],
+  });
+  assert.equal(parseYaml("a: |-\n  x\n  y\n").a, "x\ny");
+});
+
+test("parseYaml: errors name the line", () => {
+  assert.throws(() => parseYaml("version: 1\nprofile:\n  about: x\n    bad: y"), /line 4: unexpected indentation/);
+  assert.throws(() => parseYaml("a: >\n  folded"), /line 2: folded text/);
+  assert.throws(() => parseYaml("a: 'open"), /unterminated single-quoted/);
+  assert.throws(() => parseYaml("just text"), /expected "key: value"/);
+});
+
+test("readDocument: JSON or YAML, with version, kind and field checks", () => {
+  assert.deepEqual(readDocument('{"version":1,"profile":{"about":"x"}}').profile, { about: "x" });
+  assert.deepEqual(readDocument("version: 1\nprofile:\n  about: x\n").profile, { about: "x" });
+  assert.match(readDocument('{"version":2,"profile":{}}').error, /Unsupported document version: 2/);
+  assert.match(readDocument('{"version":1,"kind":"other","profile":{}}').error, /Unsupported document kind/);
+  assert.match(readDocument('{"version":1,"profile":{"abuot":"x"}}').error, /Unknown profile field\(s\): abuot/);
+  assert.match(readDocument('{"version":1}').error, /no profile section/);
+  assert.match(readDocument("{nope").error, /Could not parse/);
+  assert.match(readDocument("[1]").error, /Could not parse|must be an object/);
+});
+
+test("otherPhoneId: only a different, named number counts", () => {
+  assert.equal(otherPhoneId({ phone_number_id: "111" }, "222"), "111");
+  assert.equal(otherPhoneId({ phone_number_id: 222 }, "222"), null);
+  assert.equal(otherPhoneId({ phone_number_id: null }, "222"), null);
+  assert.equal(otherPhoneId({}, "222"), null);
+});
+
+test("planProfileDocument: absent fields kept, blanks clear, photo by path", () => {
+  const plan = planProfileDocument(LIVE, {
+    about: "Open 9–5 ",
+    email: "",
+    websites: ["https://a.com"],
+    profile_picture_url: "https://pps.whatsapp.net/v/a.jpg?oh=2",
+  });
+  assert.deepEqual(plan.changes.map((c) => c.field), ["email", "websites"]);
+  assert.deepEqual(plan.body, { email: "", websites: ["https://a.com"] });
+  assert.equal(plan.photo, null);
+  assert.equal(plan.errors, null);
+
+  const photo = planProfileDocument(LIVE, { profile_picture_url: "https://cdn.example.com/new.png" });
+  assert.deepEqual(photo.changes, [{ field: "profile_picture", old: LIVE.profile_picture_url, new: "https://cdn.example.com/new.png" }]);
+
+  assert.equal(planProfileDocument(LIVE, { about: "" }).errors.about.code, "not_clearable");
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { safeFetch, checkUrl, isPrivateIp, SafeFetchError } from "../lib/safe-fetch.js";
+
+const PUBLIC = async () => ["93.184.216.34"];
+
+async function rejects(promise, code) {
+  await assert.rejects(promise, (e) => e instanceof SafeFetchError && e.code === code);
+}
+
+test("checkUrl: scheme, credentials, port and IP literals", async () => {
+  await rejects(checkUrl("not a url", PUBLIC), "invalid_url");
+  await rejects(checkUrl("http://example.com/a.jpg", PUBLIC), "protocol_not_allowed");
+  await rejects(checkUrl("https://u:p@example.com/a.jpg", PUBLIC), "credentials_not_allowed");
+  await rejects(checkUrl("https://example.com:8443/a.jpg", PUBLIC), "port_not_allowed");
+  await rejects(checkUrl("https://127.0.0.1/a.jpg", PUBLIC), "ip_literal_blocked");
+  await rejects(checkUrl("https://2130706433/a.jpg", PUBLIC), "ip_literal_blocked"); // decimal 127.0.0.1
+  await rejects(checkUrl("https://[::1]/a.jpg", PUBLIC), "ip_literal_blocked");
+  assert.equal((await checkUrl("https://example.com:443/a.jpg", PUBLIC)).hostname, "example.com");
+});
+
+test("checkUrl: internal hostnames are refused without a lookup", async () => {
+  const resolve = async () => assert.fail("should not resolve");
+  for (const host of ["localhost", "intranet", "db.internal", "printer.local", "metadata.google.internal", "x.home.arpa."]) {
+    await rejects(checkUrl(`https://${host}/a.jpg`, resolve), "internal_host_blocked");
+  }
+});
+
+test("checkUrl: any private address in the answer blocks the host", async () => {
+  await rejects(checkUrl("https://example.com/", async () => ["93.184.216.34", "10.0.0.5"]), "private_address_blocked");
+  await rejects(checkUrl("https://example.com/", async () => ["::ffff:169.254.169.254"]), "private_address_blocked");
+  await rejects(checkUrl("https://example.com/", async () => []), "dns_failed");
+  await rejects(checkUrl("https://example.com/", async () => { throw new Error("SERVFAIL"); }), "dns_failed");
+});
+
+test("checkUrl: a lookup cut off by the deadline is a timeout", async () => {
+  const controller = new AbortController();
+  const slow = (host, signal) => new Promise((_, reject) => signal.addEventListener("abort", () => reject(new Error("aborted"))));
+  const p = checkUrl("https://example.com/", slow, controller.signal);
+  controller.abort();
+  await assert.rejects(p, (e) => e.code === "timeout" && e.status === 504);
+});
+
+test("isPrivateIp", () => {
+  for (const ip of ["10.1.2.3", "127.0.0.1", "169.254.169.254", "172.16.0.1", "192.168.1.1", "100.64.0.1", "0.0.0.0", "224.0.0.1", "::1", "fd00::1", "fe80::1", "[::ffff:127.0.0.1]"]) {
+    assert.equal(isPrivateIp(ip), true, ip);
+  }
+  for (const ip of ["93.184.216.34", "172.32.0.1", "8.8.8.8", "2606:4700::1111"]) assert.equal(isPrivateIp(ip), false, ip);
+});
+
+test("safeFetch: every redirect hop is re-checked", async () => {
+  const fetchImpl = async (url) =>
+    url.startsWith("https://example.com/")
+      ? new Response(null, { status: 302, headers: { location: "https://169.254.169.254/latest/meta-data" } })
+      : assert.fail(`fetched ${url}`);
+  await rejects(safeFetch("https://example.com/a.jpg", { resolve: PUBLIC, fetchImpl }), "ip_literal_blocked");
+});
+
+test("safeFetch: redirects are capped", async () => {
+  let n = 0;
+  const fetchImpl = async () => new Response(null, { status: 301, headers: { location: `/hop${++n}` } });
+  await rejects(safeFetch("https://example.com/a.jpg", { resolve: PUBLIC, fetchImpl, maxRedirects: 2 }), "too_many_redirects");
+  assert.equal(n, 3);
+});
+
+test("safeFetch: the body is capped, declared or streamed", async () => {
+  const declared = async () => new Response("x", { headers: { "content-length": "100" } });
+  await rejects(safeFetch("https://example.com/a.jpg", { resolve: PUBLIC, fetchImpl: declared, maxBytes: 10 }), "too_large");
+  const streamed = async () => new Response(new Uint8Array(11));
+  await rejects(safeFetch("https://example.com/a.jpg", { resolve: PUBLIC, fetchImpl: streamed, maxBytes: 10 }), "too_large");
+  const ok = async () => new Response(new Uint8Array([1, 2, 3]), { headers: { "content-type": "Image/PNG" } });
+  const r = await safeFetch("https://example.com/a.png", { resolve: PUBLIC, fetchImpl: ok });
+  assert.deepEqual([...r.bytes], [1, 2, 3]);
+  assert.equal(r.contentType, "image/png");
+});
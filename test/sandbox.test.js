@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGraphClient, GraphError } from "../lib/graph.js";
+import { uploadResumable } from "../lib/upload.js";
+import {
+  sandboxEnv, graphOptions, wantsSandbox, createSandboxFetch, SANDBOX_WABA_ID, SANDBOX_PHONE_IDS, SANDBOX_APP_ID, SANDBOX_HEADER,
+} from "../lib/sandbox.js";
+
+const [P1, P2, P3] = SANDBOX_PHONE_IDS;
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10, 1, 2, 3, 4, 5]);
+
+// Graph client over the fake, no retries so error responses surface as they are
+const sandboxGraph = (fetchOpts) =>
+  createGraphClient({ GRAPH_RETRIES: "0" }, fetchOpts ? { fetchImpl: createSandboxFetch(fetchOpts) } : graphOptions(sandboxEnv({})));
+const failure = (promise) => promise.then(() => assert.fail("expected a Graph error"), (e) => {
+  assert.ok(e instanceof GraphError);
+  return e;
+});
+
+test("sandboxEnv keeps RATE_LIMIT_KV but swaps the storage bindings for memory", () => {
+  const env = sandboxEnv({ SNAPSHOTS_KV: {}, SCHEDULE_KV: {}, AUDIT_DB: {}, EVENTS_KV: {}, RATE_LIMIT_KV: "kv" });
+  assert.deepEqual([env.SANDBOX, env.APP_ID, env.SNAPSHOTS, env.SCHEDULE, env.RATE_LIMIT_KV], ["1", SANDBOX_APP_ID, "memory", "memory", "kv"]);
+  for (const k of ["SNAPSHOTS_KV", "SCHEDULE_KV", "AUDIT_DB", "EVENTS_KV"]) assert.equal(env[k], undefined, k);
+  assert.deepEqual(graphOptions({}), {});
+
+  const req = (h) => new Request("https://w.test/api/profile", { headers: h });
+  assert.equal(wantsSandbox(req({ [SANDBOX_HEADER]: "1" }), {}, false), true);
+  assert.equal(wantsSandbox(req({ [SANDBOX_HEADER]: "1" }), {}, true), false, "not per request in server mode");
+  assert.equal(wantsSandbox(req({}), { SANDBOX: "true" }, true), true);
+});
+
+test("phone numbers: one account with the three sandbox numbers", async () => {
+  const { data } = await sandboxGraph().get(`${SANDBOX_WABA_ID}/phone_numbers`, { token: "t" });
+  assert.deepEqual(data.data.map((n) => n.id), SANDBOX_PHONE_IDS);
+  assert.equal(data.data[0].verified_name, "Sandbox Store 1");
+  assert.equal((await failure(sandboxGraph().get("999/phone_numbers", { token: "t" }))).code, 100);
+});
+
+test("profile: read, update and read back", async () => {
+  const graph = sandboxGraph();
+  const read = async () => (await graph.get(`${P1}/whatsapp_business_profile`, { token: "t" })).data.data[0];
+  assert.equal((await read()).vertical, "RETAIL");
+  const r = await graph.post(`${P1}/whatsapp_business_profile`, { token: "t", json: { messaging_product: "whatsapp", about: "Changed", websites: [] } });
+  assert.deepEqual(r.data, { success: true });
+  const after = await read();
+  assert.equal(after.about, "Changed");
+  assert.deepEqual(after.websites, []);
+  const only = await graph.get(`${P1}/whatsapp_business_profile`, { token: "t", query: { fields: "about" } });
+  assert.deepEqual(only.data.data[0], { about: "Changed", messaging_product: "whatsapp" });
+});
+
+test("profile: values Meta would reject get 100 with the reason in error_user_msg", async () => {
+  const post = (json) => failure(sandboxGraph().post(`${P1}/whatsapp_business_profile`, { token: "t", json }));
+  const cases = [
+    [{ about: "x" }, /messaging_product/],
+    [{ messaging_product: "whatsapp", nickname: "x" }, /Unknown field\(s\): nickname/],
+    [{ messaging_product: "whatsapp", about: " " }, /about cannot be empty/],
+    [{ messaging_product: "whatsapp", vertical: "SPACESHIPS" }, /not supported/],
+    [{ messaging_product: "whatsapp", profile_picture_handle: "4::nope" }, /not a valid upload handle/],
+  ];
+  for (const [json, msg] of cases) {
+    const e = await post(json);
+    assert.deepEqual([e.status, e.code, e.retryable], [400, 100, false], JSON.stringify(json));
+    assert.match(e.userMessage, msg);
+    assert.match(e.fbtraceId, /^sandbox-/);
+  }
+});
+
+test("photo: resumable upload, then the handle sets a data: URL picture", async () => {
+  const graph = sandboxGraph();
+  const up = await uploadResumable({ graph, token: "t", appId: SANDBOX_APP_ID, bytes: PNG, mime: "image/png", chunkSize: 5 });
+  assert.match(up.handle, /^4::[0-9a-f]{32}$/);
+  await graph.post(`${P2}/whatsapp_business_profile`, { token: "t", json: { messaging_product: "whatsapp", profile_picture_handle: up.handle } });
+  const { data } = await graph.get(`${P2}/whatsapp_business_profile`, { token: "t" });
+  assert.equal(data.data[0].profile_picture_url, `data:image/png;base64,${Buffer.from(PNG).toString("base64")}`);
+
+  const bad = await failure(graph.post(`${SANDBOX_APP_ID}/uploads`, { token: "t", query: { file_length: 10, file_type: "image/gif" } }));
+  assert.match(bad.userMessage, /image\/gif is not supported/);
+  assert.equal((await failure(graph.get("upload:missing", { token: "t" }))).subcode, 33);
+});
+
+test("tokens: invalid and expired ones get 190, a missing one 2500", async () => {
+  const get = (token) => failure(sandboxGraph().get(`${P1}/whatsapp_business_profile`, { token }));
+  const expired = await get("my-expired-token");
+  assert.deepEqual([expired.status, expired.code, expired.subcode, expired.type], [401, 190, 463, "OAuthException"]);
+  const invalid = await get("INVALID");
+  assert.deepEqual([invalid.status, invalid.code], [401, 190]);
+  assert.equal((await get(undefined)).code, 2500);
+
+  const { data } = await sandboxGraph().get("debug_token", { token: `${SANDBOX_APP_ID}|s`, query: { input_token: "expired" } });
+  assert.equal(data.data.is_valid, false);
+  assert.equal(data.data.error.code, 190);
+});
+
+test("unknown phone numbers get Meta's 100/33", async () => {
+  const e = await failure(sandboxGraph().get("123/whatsapp_business_profile", { token: "t" }));
+  assert.deepEqual([e.status, e.code, e.subcode, e.type], [400, 100, 33, "GraphMethodException"]);
+  assert.match(e.message, new RegExp(P1));
+});
+
+test("more writes per minute than allowed get 80007, reads do not count", async () => {
+  let now = 1_000_000;
+  const graph = sandboxGraph({ writesPerMinute: 2, now: () => now });
+  const write = () => graph.post(`${P3}/whatsapp_business_profile`, { token: "t", json: { messaging_product: "whatsapp", about: `at ${now}` } });
+  await write();
+  await graph.get(`${P3}/whatsapp_business_profile`, { token: "t" });
+  await write();
+  const e = await failure(write());
+  assert.deepEqual([e.status, e.code, e.retryable], [400, 80007, true]);
+  assert.match(e.userMessage, /2 changes per minute/);
+  now += 60_001;
+  assert.equal((await write()).status, 200, "the window moved on");
+});
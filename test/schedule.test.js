@@ -0,0 +1,149 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseInterval, validateTiming, newJob, isDue, claimJob, advanceJob, revertBody, MemoryJobStore, KvJobStore, getJobStore,
+  addJob, cancelJob, hasPendingRevert, MAX_JOBS,
+} from "../lib/schedule.js";
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.parse("2026-06-01T12:00:00Z");
+const iso = (ms) => new Date(ms).toISOString();
+
+// In-memory stand-in for a KV namespace: list() returns keys in lexicographic order, as KV does
+function fakeKv() {
+  const m = new Map();
+  return {
+    async put(k, v) { m.set(k, v); },
+    async get(k, type) { const v = m.get(k); return v === undefined ? null : type === "json" ? JSON.parse(v) : v; },
+    async delete(k) { m.delete(k); },
+    async list({ prefix, limit }) { return { keys: [...m.keys()].filter((k) => k.startsWith(prefix)).sort().slice(0, limit).map((name) => ({ name })) }; },
+  };
+}
+
+function job(timing, payload = { about: "Closed" }) {
+  return newJob({ phoneId: "1234567", payload: { messaging_product: "whatsapp", ...payload }, timing, now: NOW });
+}
+
+test("parseInterval", () => {
+  assert.equal(parseInterval("P1W"), 7 * 24 * HOUR);
+  assert.equal(parseInterval("p1dt6h"), 30 * HOUR);
+  assert.equal(parseInterval("PT90M"), 1.5 * HOUR);
+  for (const bad of ["P", "PT", "1D", "P1M", "P1.5D", "", null]) assert.equal(parseInterval(bad), null, String(bad));
+});
+
+test("validateTiming: times, interval range and revert window", () => {
+  const t = (body) => validateTiming(body, NOW);
+  assert.deepEqual(t({ run_at: "2026-06-02T09:00:00+02:00", every: "p1d", revert_at: "2026-06-02T17:00:00+02:00" }), {
+    timing: { run_at: "2026-06-02T07:00:00.000Z", every: "P1D", revert_after: 8 * HOUR },
+  });
+  assert.equal(t({ run_at: "tomorrow" }).errors.run_at.code, "invalid_time");
+  assert.equal(t({ run_at: iso(NOW - 10 * 60 * 1000) }).errors.run_at.code, "in_past");
+  assert.ok(t({ run_at: iso(NOW - 60 * 1000) }).timing, "a few minutes late is still accepted");
+  assert.equal(t({ run_at: iso(NOW + HOUR), every: "PT30M" }).errors.every.code, "out_of_range");
+  assert.equal(t({ run_at: iso(NOW + HOUR), every: "daily" }).errors.every.code, "invalid_interval");
+  assert.equal(t({ run_at: iso(NOW + HOUR), revert_at: iso(NOW + HOUR) }).errors.revert_at.code, "before_run");
+  assert.equal(t({ run_at: iso(NOW + HOUR), every: "P1D", revert_at: iso(NOW + 25 * HOUR) }).errors.revert_at.code, "overlaps");
+});
+
+test("newJob drops messaging_product and waits for run_at", () => {
+  const j = job({ run_at: iso(NOW + HOUR), every: null, revert_after: null });
+  assert.deepEqual(j.payload, { about: "Closed" });
+  assert.deepEqual([j.status, j.next_action, j.next_at, j.lease], ["scheduled", "apply", iso(NOW + HOUR), null]);
+  assert.equal(isDue(j, NOW), false);
+  assert.equal(isDue(j, NOW + HOUR), true);
+  assert.equal(isDue({ ...j, status: "cancelled" }, NOW + HOUR), false);
+});
+
+test("advanceJob: apply → revert → next occurrence", () => {
+  let j = job({ run_at: iso(NOW), every: "P1D", revert_after: 8 * HOUR });
+  j = advanceJob(j, { at: iso(NOW), action: "apply", status: "ok" }, NOW);
+  assert.deepEqual([j.next_action, j.next_at], ["revert", iso(NOW + 8 * HOUR)]);
+  j = advanceJob({ ...j, revert: { about: "Open" } }, { at: iso(NOW + 8 * HOUR), action: "revert", status: "ok" }, NOW + 8 * HOUR);
+  assert.deepEqual([j.status, j.next_action, j.next_at, j.revert], ["scheduled", "apply", iso(NOW + 24 * HOUR), null]);
+  assert.deepEqual(j.runs.map((r) => r.action), ["revert", "apply"]);
+});
+
+test("advanceJob: a failed apply skips its revert; missed occurrences are skipped", () => {
+  const once = advanceJob(job({ run_at: iso(NOW), every: null, revert_after: HOUR }), { action: "apply", status: "error" }, NOW);
+  assert.deepEqual([once.status, once.next_at], ["failed", null]);
+
+  const daily = job({ run_at: iso(NOW), every: "P1D", revert_after: null });
+  const late = advanceJob(daily, { action: "apply", status: "ok" }, NOW + 3.5 * 24 * HOUR);
+  assert.equal(late.next_at, iso(NOW + 4 * 24 * HOUR));
+
+  const done = advanceJob(job({ run_at: iso(NOW), every: null, revert_after: null }), { action: "apply", status: "ok" }, NOW);
+  assert.equal(done.status, "done");
+});
+
+test("claimJob: one lease at a time, expired leases are taken over", async () => {
+  const store = new MemoryJobStore();
+  const j = job({ run_at: iso(NOW), every: null, revert_after: null });
+  await store.put(j);
+  const claimed = await claimJob(store, j.id, NOW);
+  assert.ok(claimed && claimed.lease);
+  assert.equal(await claimJob(store, j.id, NOW + 1000), null);
+  const retaken = await claimJob(store, j.id, NOW + 6 * 60 * 1000);
+  assert.ok(retaken && retaken.lease.id !== claimed.lease.id);
+  assert.equal(advanceJob(retaken, { action: "apply", status: "ok" }, NOW).lease, null);
+  assert.equal(await claimJob(store, "0000000000000-00000000", NOW), null);
+
+  await store.put({ ...j, id: "later", next_at: iso(NOW + HOUR) });
+  assert.equal(await claimJob(store, "later", NOW), null, "not due yet");
+});
+
+test("more than MAX_JOBS: finished jobs make room, new ones past the cap are refused", async () => {
+  const store = new KvJobStore(fakeKv());
+  const timing = { run_at: iso(NOW + HOUR), every: null, revert_after: null };
+  const jobs = [];
+  for (let i = 0; i < MAX_JOBS + 20; i++) {
+    const j = newJob({ phoneId: "1234567", payload: { about: `v${i}` }, timing, now: NOW + i });
+    if (i < 20) await store.put(advanceJob(j, { action: "apply", status: "ok" }, NOW)); // finished
+    else assert.ok((await addJob(store, j)).job, `job ${i}`);
+    jobs.push(j);
+  }
+  const scheduled = await store.list({ finished: false });
+  assert.equal(scheduled.length, MAX_JOBS);
+  assert.ok(scheduled.some((j) => j.id === jobs.at(-1).id), "the newest job is listed, not dropped");
+  assert.equal((await store.list()).length, MAX_JOBS + 20);
+
+  const extra = await addJob(store, newJob({ phoneId: "1234567", payload: { about: "one too many" }, timing, now: NOW + 9999 }));
+  assert.deepEqual([extra.error.code, extra.error.limit], ["too_many_jobs", MAX_JOBS]);
+
+  await store.put(cancelJob(jobs[20], NOW));
+  assert.equal((await store.get(jobs[20].id)).status, "cancelled");
+  assert.ok((await addJob(store, newJob({ phoneId: "1234567", payload: { about: "fits" }, timing, now: NOW + 10000 }))).job);
+});
+
+test("finished jobs saved under job: are moved out of the scheduled listing", async () => {
+  const kv = fakeKv();
+  const done = { ...job({ run_at: iso(NOW), every: null, revert_after: null }), status: "done", next_at: null };
+  await kv.put(`job:${done.id}`, JSON.stringify(done));
+  const store = new KvJobStore(kv);
+  assert.deepEqual(await store.list({ finished: false }), []);
+  assert.equal((await kv.list({ prefix: "job:" })).keys.length, 0);
+  assert.deepEqual((await store.list()).map((j) => j.id), [done.id]);
+  assert.equal((await store.get(done.id)).status, "done");
+});
+
+test("cancelling: a live change waiting for its revert must be reverted first", () => {
+  let j = job({ run_at: iso(NOW), every: "P1D", revert_after: 8 * HOUR });
+  assert.equal(hasPendingRevert(j), false);
+  j = { ...advanceJob(j, { at: iso(NOW), action: "apply", status: "ok" }, NOW), revert: { about: "Open" } };
+  assert.equal(hasPendingRevert(j), true);
+  assert.equal(hasPendingRevert({ ...j, revert: {} }), false, "nothing was replaced");
+  const cancelled = cancelJob(j, NOW + HOUR);
+  assert.deepEqual([cancelled.status, cancelled.next_at, cancelled.revert, cancelled.cancelled_at], ["cancelled", null, null, iso(NOW + HOUR)]);
+  assert.equal(hasPendingRevert(cancelled), false);
+});
+
+test("revertBody puts back what the payload replaces", () => {
+  const current = { about: "Open", description: "", websites: ["https://a.com"], vertical: "" };
+  assert.deepEqual(revertBody(current, { about: "Closed", description: "Holiday", websites: [], vertical: "RETAIL" }), {
+    about: "Open", description: null, websites: ["https://a.com"],
+  });
+});
+
+test("schedules are off unless a store is configured", () => {
+  assert.equal(getJobStore({}), null);
+  assert.ok(getJobStore({ SCHEDULE: "memory" }) instanceof MemoryJobStore);
+});
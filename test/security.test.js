@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { guardApiRequest, isOriginAllowed, checkCsrf, clientIp, cors } from "../lib/security.js";
+import { MemoryRateLimitStore, rateLimit } from "../lib/ratelimit.js";
+
+const SERVER = { WA_PHONE_NUMBER_ID: "1234567", WA_ACCESS_TOKEN: "srv" };
+const req = (headers = {}, method = "GET") => new Request("https://w.test/api/profile", { method, headers });
+
+test("origin: same origin and no Origin pass, others need ALLOWED_ORIGINS", () => {
+  assert.equal(isOriginAllowed(null, req(), {}), true);
+  assert.equal(isOriginAllowed("https://w.test", req(), {}), true);
+  assert.equal(isOriginAllowed("https://evil.test", req(), {}), false);
+  assert.equal(isOriginAllowed("https://app.test", req(), { ALLOWED_ORIGINS: "https://app.test/, https://b.test" }), true);
+  assert.equal(isOriginAllowed("https://evil.test", req(), { ALLOWED_ORIGINS: "*" }), true);
+});
+
+test("guard: a foreign Origin is rejected before anything else", async () => {
+  const r = await guardApiRequest(req({ Origin: "https://evil.test" }), {}, { store: new MemoryRateLimitStore() });
+  assert.equal(r.status, 403);
+  assert.equal((await r.json()).code, "origin_not_allowed");
+});
+
+test("cors: headers only for allowed origins", () => {
+  const allowed = cors(new Response("x"), req({ Origin: "https://app.test" }), { ALLOWED_ORIGINS: "https://app.test" });
+  assert.equal(allowed.headers.get("Access-Control-Allow-Origin"), "https://app.test");
+  assert.match(allowed.headers.get("Access-Control-Allow-Headers"), /x-upload-ticket/);
+  const denied = cors(new Response("x"), req({ Origin: "https://evil.test" }), {});
+  assert.equal(denied.headers.get("Access-Control-Allow-Origin"), null);
+  assert.equal(denied.headers.get("Vary"), "Origin");
+});
+
+test("csrf: cookie and header must both be present and equal", () => {
+  assert.equal(checkCsrf(req({ Cookie: "wa_csrf=abc", "x-csrf-token": "abc" })), true);
+  assert.equal(checkCsrf(req({ Cookie: "wa_csrf=abc", "x-csrf-token": "abd" })), false);
+  assert.equal(checkCsrf(req({ Cookie: "wa_csrf=abc" })), false);
+  assert.equal(checkCsrf(req({ "x-csrf-token": "abc" })), false);
+});
+
+test("guard: CSRF only applies to POSTs in server-held mode", async () => {
+  const store = new MemoryRateLimitStore();
+  const post = (h) => guardApiRequest(req(h, "POST"), SERVER, { store });
+  const r = await post({});
+  assert.equal(r.status, 403);
+  assert.equal((await r.json()).code, "csrf_failed");
+  assert.equal(await post({ Cookie: "wa_csrf=abc", "x-csrf-token": "abc" }), null);
+  assert.equal(await guardApiRequest(req({}, "GET"), SERVER, { store }), null);
+  assert.equal(await guardApiRequest(req({ "x-wa-access-token": "t" }, "POST"), {}, { store }), null);
+});
+
+test("client IP comes from CF-Connecting-IP, never X-Forwarded-For", () => {
+  assert.equal(clientIp(req({ "CF-Connecting-IP": "203.0.113.9", "X-Forwarded-For": "198.51.100.1" })), "203.0.113.9");
+  assert.equal(clientIp(req({ "X-Forwarded-For": "198.51.100.1" })), "unknown");
+});
+
+test("rate limit: per-IP writes beyond the limit get 429 with Retry-After", async () => {
+  const store = new MemoryRateLimitStore();
+  const env = { RATE_LIMIT_WRITES: "2" };
+  const now = 1_700_000_000_000;
+  const post = (ip, t = now) => guardApiRequest(req({ "CF-Connecting-IP": ip, "x-wa-access-token": ip }, "POST"), env, { store, now: t });
+  assert.equal(await post("203.0.113.1"), null);
+  assert.equal(await post("203.0.113.1"), null);
+  const r = await post("203.0.113.1", now + 15_000);
+  assert.equal(r.status, 429);
+  assert.equal(r.headers.get("Retry-After"), "45");
+  assert.equal(await post("203.0.113.2"), null, "other clients keep their own bucket");
+  assert.equal(await post("203.0.113.1", now + 61_000), null, "a new window starts over");
+});
+
+test("rate limit: the most restrictive key wins", async () => {
+  const store = new MemoryRateLimitStore();
+  await rateLimit(store, ["tok:a"], 1, 60, 0);
+  const r = await rateLimit(store, ["ip:x", "tok:a"], 1, 60, 10_000);
+  assert.deepEqual(r, { allowed: false, retryAfter: 50, remaining: 0 });
+});
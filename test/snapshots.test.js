@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeProfile, diffProfiles, changesBetween, photoUrlKey } from "../lib/profile.js";
+import {
+  MemorySnapshotStore, KvSnapshotStore, saveSnapshot, capturePhoto, diffSnapshots, snapshotId, isSnapshotId, getSnapshotStore,
+} from "../lib/snapshots.js";
+
+const PNG = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10, 0]);
+
+// In-memory stand-in for a KV namespace: list() returns keys in lexicographic order, as KV does
+function fakeKv() {
+  const m = new Map();
+  return {
+    async put(k, v) { m.set(k, v); },
+    async get(k, type) { const v = m.get(k); return v === undefined ? null : type === "json" ? JSON.parse(v) : v; },
+    async delete(k) { m.delete(k); },
+    async list({ prefix, limit }) { return { keys: [...m.keys()].filter((k) => k.startsWith(prefix)).sort().slice(0, limit).map((name) => ({ name })) }; },
+  };
+}
+
+test("normalizeProfile fills every field and keeps two websites", () => {
+  assert.deepEqual(normalizeProfile({ about: "Hi", websites: ["https://a.com", "", 3, "https://b.com", "https://c.com"], email: 5 }), {
+    about: "Hi", address: "", description: "", email: "", websites: ["https://a.com", "https://b.com"], vertical: "", profile_picture_url: "",
+  });
+  assert.deepEqual(normalizeProfile(null).websites, []);
+});
+
+test("diffProfiles and changesBetween: blank targets clear", () => {
+  const from = { about: "Open", description: "Long", websites: ["https://a.com"] };
+  const to = { about: "Closed", websites: [] };
+  assert.deepEqual(diffProfiles(from, to), [
+    { field: "about", old: "Open", new: "Closed" },
+    { field: "description", old: "Long", new: "" },
+    { field: "websites", old: ["https://a.com"], new: [] },
+  ]);
+  assert.deepEqual(changesBetween(from, to), { about: "Closed", description: null, websites: null });
+  assert.deepEqual(changesBetween(from, from), {});
+});
+
+test("photoUrlKey ignores the rotating CDN signature", () => {
+  assert.equal(photoUrlKey("https://pps.whatsapp.net/v/a.jpg?oh=1&oe=2"), photoUrlKey("https://pps.whatsapp.net/v/a.jpg?oh=3&oe=4"));
+  assert.equal(photoUrlKey(""), "");
+});
+
+test("snapshot ids sort newest first", () => {
+  const older = snapshotId(1_000), newer = snapshotId(2_000);
+  assert.ok(isSnapshotId(older) && isSnapshotId(newer));
+  assert.ok(newer < older);
+  assert.equal(isSnapshotId("../x"), false);
+});
+
+test("saveSnapshot keeps the newest `limit` per number and stores photos once", async () => {
+  const store = new MemorySnapshotStore();
+  for (let i = 0; i < 4; i++) {
+    await saveSnapshot(store, { phoneId: "1", profile: { about: `v${i}` }, photo: { key: "k", bytes: PNG }, reason: "profile", limit: 3, now: 1_000 + i });
+  }
+  await saveSnapshot(store, { phoneId: "2", profile: { about: "other" }, photo: null, reason: "profile" });
+  const list = await store.list("1");
+  assert.deepEqual(list.map((s) => s.profile.about), ["v3", "v2", "v1"]);
+  assert.equal(list[0].photo_key, "k");
+  assert.equal((await store.get("1", list[1].id)).profile.about, "v2");
+  assert.equal(await store.get("2", list[1].id), null);
+  assert.deepEqual(await store.getPhoto("k"), PNG);
+});
+
+test("capturePhoto reuses the stored copy when the CDN path is unchanged", async () => {
+  const store = new MemorySnapshotStore();
+  let fetched = 0;
+  const fetchImpl = async () => { fetched++; return { bytes: PNG }; };
+  const profile = { profile_picture_url: "https://pps.whatsapp.net/v/a.jpg?oh=1" };
+  const first = await capturePhoto(store, "1", profile, { fetchImpl });
+  assert.equal(first.key.length, 64);
+  await saveSnapshot(store, { phoneId: "1", profile, photo: first, reason: "photo" });
+  const again = await capturePhoto(store, "1", { profile_picture_url: "https://pps.whatsapp.net/v/a.jpg?oh=2" }, { fetchImpl });
+  assert.deepEqual(again, { key: first.key, bytes: null });
+  assert.equal(fetched, 1);
+  assert.equal(await capturePhoto(store, "1", {}, { fetchImpl }), null);
+  assert.equal(await capturePhoto(store, "1", { profile_picture_url: "https://x.test/b" }, { fetchImpl: async () => ({ bytes: new Uint8Array(3) }) }), null);
+});
+
+test("capturePhoto decodes the sandbox's data: URLs instead of fetching them", async () => {
+  const store = new MemorySnapshotStore();
+  const url = `data:image/png;base64,${Buffer.from(PNG).toString("base64")}`;
+  const photo = await capturePhoto(store, "1", { profile_picture_url: url }, { fetchImpl: async () => assert.fail("fetched") });
+  assert.deepEqual(photo.bytes, PNG);
+  assert.equal(await capturePhoto(store, "1", { profile_picture_url: "data:text/plain,hi" }), null);
+});
+
+test("pruning deletes a photo with the last snapshot that uses it", async () => {
+  const photo = (key) => ({ key, bytes: PNG });
+  const save = (store, phoneId, key, i) =>
+    saveSnapshot(store, { phoneId, profile: { about: `v${i}` }, photo: key && photo(key), reason: "photo", limit: 2, now: 1_000 + i });
+  for (const store of [new MemorySnapshotStore(), new KvSnapshotStore(fakeKv())]) {
+    const name = store.constructor.name;
+    await save(store, "1", "a", 0);
+    await save(store, "2", "a", 0); // the same image on another number
+    await save(store, "1", "b", 1);
+    await save(store, "1", "b", 2); // prunes number 1's "a" snapshot
+    assert.deepEqual(await store.getPhoto("a"), PNG, `${name}: still used by number 2`);
+    await save(store, "1", null, 3); // prunes one "b" snapshot, another still uses it
+    assert.deepEqual(await store.getPhoto("b"), PNG, name);
+    await save(store, "1", null, 4);
+    assert.equal(await store.getPhoto("b"), null, name);
+    await save(store, "2", null, 1);
+    await save(store, "2", null, 2);
+    assert.equal(await store.getPhoto("a"), null, name);
+  }
+});
+
+test("diffSnapshots reports a photo change by content, or by URL path without one", () => {
+  const a = { profile: { about: "A", profile_picture_url: "https://x.test/1.jpg?s=1" }, photo_key: "k1" };
+  assert.deepEqual(diffSnapshots(a, { ...a, profile: { ...a.profile, profile_picture_url: "https://x.test/1.jpg?s=2" } }), []);
+  assert.deepEqual(diffSnapshots(a, { ...a, photo_key: "k2" }).map((c) => c.field), ["profile_picture"]);
+  assert.deepEqual(diffSnapshots(a, { profile: { about: "B", profile_picture_url: "https://x.test/2.jpg" }, photo_key: null }).map((c) => c.field), ["about", "profile_picture"]);
+});
+
+test("history is off unless a store is configured", () => {
+  assert.equal(getSnapshotStore({}), null);
+  assert.ok(getSnapshotStore({ SNAPSHOTS: "memory" }) instanceof MemorySnapshotStore);
+});
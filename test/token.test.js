@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { inspectToken, grantedWabaIds, REQUIRED_SCOPE, MESSAGING_SCOPE } from "../lib/token.js";
+
+const NOW = Date.UTC(2026, 0, 1);
+const sec = (ms) => Math.floor(ms / 1000);
+const DAY = 86400000;
+const SCOPES = [REQUIRED_SCOPE, MESSAGING_SCOPE];
+
+// Graph stand-in: debug_token answers with `debug`, /{waba}/phone_numbers with `numbers[waba]`
+function fakeGraph(debug, numbers = { 555: [{ id: "111" }] }) {
+  return {
+    async get(path, { token, query }) {
+      if (path === "debug_token") {
+        assert.equal(token, "app|secret");
+        assert.equal(query.input_token, "tok");
+        return { data: { data: debug } };
+      }
+      const waba = path.split("/")[0];
+      if (!numbers[waba]) throw Object.assign(new Error("no access"), { toJSON: () => ({ message: "no access", code: 200 }) });
+      return { data: { data: numbers[waba] } };
+    },
+  };
+}
+
+const inspect = (debug, opts = {}) =>
+  inspectToken(fakeGraph(debug), { token: "tok", appId: "app", appSecret: "secret", now: NOW, ...opts });
+const valid = (extra = {}) => ({
+  is_valid: true, type: "SYSTEM_USER", app_id: "app", scopes: SCOPES, expires_at: 0,
+  granular_scopes: [{ scope: REQUIRED_SCOPE, target_ids: [555] }], ...extra,
+});
+const codes = (report) => report.issues.map((i) => i.code);
+
+test("a never-expiring System User token with the right scope has no issues", async () => {
+  const report = await inspect(valid(), { phoneId: "111" });
+  assert.equal(report.valid, true);
+  assert.equal(report.expires_at, null);
+  assert.deepEqual(report.issues, []);
+  assert.deepEqual(report.wabas.map((w) => [w.id, w.phone_numbers.map((n) => n.id)]), [["555", ["111"]]]);
+  assert.equal(report.phone_id_reachable, true);
+});
+
+test("an expired token is reported as expired, an unparseable one as invalid", async () => {
+  const expired = await inspect({ is_valid: false, expires_at: sec(NOW - DAY), error: { message: "Session has expired" } });
+  assert.equal(expired.valid, false);
+  assert.deepEqual(codes(expired), ["token_expired"]);
+  assert.match(expired.issues[0].message, /expired on 2025-12-31/);
+
+  const invalid = await inspect({ is_valid: false, error: { message: "Malformed access token" } });
+  assert.deepEqual(codes(invalid), ["token_invalid"]);
+  assert.match(invalid.issues[0].message, /Malformed access token/);
+  assert.deepEqual(invalid.wabas, []);
+});
+
+test("a token expiring within a week gets a warning; a later expiry does not", async () => {
+  const soon = await inspect(valid({ type: "USER", expires_at: sec(NOW + 2 * DAY) }));
+  assert.deepEqual(codes(soon), ["expires_soon"]);
+  assert.equal(soon.issues[0].level, "warning");
+  assert.match(soon.issues[0].message, /short-lived user token/);
+  assert.deepEqual(codes(await inspect(valid({ expires_at: sec(NOW + 30 * DAY) }))), []);
+});
+
+test("missing whatsapp_business_management is an error; missing messaging is only info", async () => {
+  const report = await inspect(valid({ scopes: ["business_management"], granular_scopes: [] }));
+  assert.deepEqual(codes(report), ["missing_scope", "missing_messaging_scope"]);
+  assert.deepEqual(report.issues.map((i) => i.level), ["error", "info"]);
+  assert.deepEqual(report.wabas, []);
+
+  const noWaba = await inspect(valid({ granular_scopes: [] }));
+  assert.deepEqual(codes(noWaba), ["no_waba"]);
+});
+
+test("app mismatch and unreachable phone numbers", async () => {
+  assert.deepEqual(codes(await inspect(valid({ app_id: "other" }))), ["app_mismatch"]);
+
+  const missing = await inspect(valid(), { phoneId: "999" });
+  assert.equal(missing.phone_id_reachable, false);
+  assert.deepEqual(codes(missing), ["phone_not_reachable"]);
+
+  // a WABA that could not be listed might hold the number: unknown, not false
+  const unknown = await inspect(valid({ granular_scopes: [{ scope: REQUIRED_SCOPE, target_ids: [555, 777] }] }), { phoneId: "999" });
+  assert.equal(unknown.phone_id_reachable, null);
+  assert.equal(unknown.wabas[1].error.message, "no access");
+});
+
+test("grantedWabaIds reads the granular whatsapp_business_management targets", () => {
+  assert.deepEqual(grantedWabaIds(valid()), ["555"]);
+  assert.deepEqual(grantedWabaIds({}), []);
+  assert.deepEqual(grantedWabaIds({ granular_scopes: [{ scope: MESSAGING_SCOPE, target_ids: [1] }] }), []);
+});
@@ -0,0 +1,87 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createGraphClient } from "../lib/graph.js";
+import {
+  isUploadId, uploadResumable, UploadError,
+  createUploadTicket, readUploadTicket, checkTicketChunk, TICKET_TTL_MS,
+} from "../lib/upload.js";
+
+const ID = "upload:MTphdHRhY2htZW50OjEyMw==?sig=ARZ_abc-1";
+
+test("isUploadId: only upload:<id>?sig=<sig>", () => {
+  assert.equal(isUploadId(ID), true);
+  for (const bad of [
+    "upload:abc", "upload:abc?sig=", "upload:abc?sig=x&x=y", "upload:../me?sig=x", "upload:a/b?sig=x",
+    "me/accounts", "upload:abc?sig=x#frag", 42, null,
+  ]) {
+    assert.equal(isUploadId(bad), false, String(bad));
+  }
+});
+
+test("tickets: round trip, tampering, other keys and expiry", async () => {
+  const bytes = new Uint8Array(10).map((_, i) => i);
+  const now = 1_700_000_000_000;
+  const ticket = await createUploadTicket("k1", { bytes, mime: "image/png", chunkSize: 4 }, now);
+  const t = await readUploadTicket("k1", ticket, now);
+  assert.deepEqual([t.length, t.mime, t.chunk, t.hashes.length], [10, "image/png", 4, 3]);
+
+  assert.equal(await readUploadTicket("k2", ticket, now), null);
+  assert.equal(await readUploadTicket("k1", ticket, now + TICKET_TTL_MS), null);
+  const [body, sig] = ticket.split(".");
+  const forged = btoa(JSON.stringify({ ...t, length: 1e9 })).replace(/=+$/, "");
+  assert.equal(await readUploadTicket("k1", `${forged}.${sig}`, now), null);
+  assert.equal(await readUploadTicket("k1", `${body}.${sig}.x`, now), null);
+  assert.equal(await readUploadTicket("k1", undefined, now), null);
+});
+
+test("tickets: only the signed chunks at their offsets pass", async () => {
+  const bytes = new Uint8Array(10).map((_, i) => i);
+  const t = await readUploadTicket("k", await createUploadTicket("k", { bytes, mime: "image/jpeg", chunkSize: 4 }));
+  assert.equal(await checkTicketChunk(t, 0, bytes.subarray(0, 4)), null);
+  assert.equal(await checkTicketChunk(t, 8, bytes.subarray(8)), null);
+  assert.match(await checkTicketChunk(t, 2, bytes.subarray(2, 6)), /chunk boundary/);
+  assert.match(await checkTicketChunk(t, 12, bytes.subarray(0, 4)), /past the end/);
+  assert.match(await checkTicketChunk(t, 4, bytes.subarray(4, 7)), /length/);
+  assert.match(await checkTicketChunk(t, 4, new Uint8Array(4)), /does not match/);
+});
+
+// Fake Graph upload endpoint: `fail` decides per chunk whether to answer with an error instead
+function fakeUploads(total, fail = () => null) {
+  const state = { offset: 0, posts: 0 };
+  const fetchImpl = async (url, init) => {
+    const json = (o, status = 200) => new Response(JSON.stringify(o), { status });
+    if (url.includes("/uploads?")) return json({ id: ID });
+    if (init.method === "GET") return json({ id: ID, file_offset: state.offset });
+    state.posts++;
+    const offset = Number(init.headers.file_offset);
+    const err = fail(state.posts, offset);
+    if (err) return json({ error: err.error }, err.status);
+    state.offset = offset + init.body.length;
+    return json(state.offset >= total ? { h: "4::handle" } : { file_offset: state.offset });
+  };
+  return { state, graph: createGraphClient({}, { fetchImpl, sleep: async () => {} }) };
+}
+
+test("uploadResumable: chunks, then the handle", async () => {
+  const { state, graph } = fakeUploads(10);
+  const seen = [];
+  const r = await uploadResumable({ graph, token: "t", appId: "1", bytes: new Uint8Array(10), mime: "image/png", chunkSize: 4, onProgress: (n) => seen.push(n) });
+  assert.deepEqual(r, { uploadId: ID, handle: "4::handle", offset: 10 });
+  assert.deepEqual(seen, [4, 8, 10]);
+  assert.equal(state.posts, 3);
+});
+
+test("uploadResumable: a failed chunk resumes from Meta's offset", async () => {
+  const { state, graph } = fakeUploads(10, (n) => (n === 2 ? { status: 503, error: { message: "down" } } : null));
+  const r = await uploadResumable({ graph, token: "t", appId: "1", bytes: new Uint8Array(10), mime: "image/png", chunkSize: 4 });
+  assert.equal(r.handle, "4::handle");
+  assert.equal(state.posts, 4);
+});
+
+test("uploadResumable: a rejected chunk is final", async () => {
+  const { graph } = fakeUploads(10, () => ({ status: 400, error: { message: "bad", code: 100 } }));
+  await assert.rejects(
+    uploadResumable({ graph, token: "t", appId: "1", bytes: new Uint8Array(10), mime: "image/png", chunkSize: 4 }),
+    (e) => e instanceof UploadError && e.step === "upload_bytes" && e.status === 400 && e.offset === 0
+  );
+});
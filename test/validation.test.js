@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateProfileUpdate, hasErrors, isBlank, ERR, LIMITS } from "../lib/validation.js";
+
+test("absent fields are left alone, values are trimmed", () => {
+  const { payload, cleared, errors } = validateProfileUpdate({ about: "  Open  ", email: "a@b.co" });
+  assert.deepEqual(payload, { messaging_product: "whatsapp", about: "Open", email: "a@b.co" });
+  assert.deepEqual(cleared, []);
+  assert.equal(hasErrors(errors), false);
+});
+
+test("null, blank strings and empty lists clear clearable fields", () => {
+  const { payload, cleared } = validateProfileUpdate({ description: null, address: "  ", websites: [" "] });
+  assert.deepEqual(payload, { messaging_product: "whatsapp", description: "", address: "", websites: [] });
+  assert.deepEqual(cleared, ["description", "address", "websites"]);
+});
+
+test("about and vertical cannot be cleared", () => {
+  const { errors } = validateProfileUpdate({ about: "", vertical: null });
+  assert.equal(errors.about.code, ERR.NOT_CLEARABLE);
+  assert.equal(errors.vertical.code, ERR.NOT_CLEARABLE);
+});
+
+test("per-field error codes", () => {
+  const { payload, errors } = validateProfileUpdate({
+    about: "x".repeat(LIMITS.about + 1),
+    email: "not-an-email",
+    vertical: "SPACESHIPS",
+    address: 42,
+  });
+  assert.equal(errors.about.code, ERR.TOO_LONG);
+  assert.equal(errors.about.limit, LIMITS.about);
+  assert.equal(errors.email.code, ERR.INVALID_EMAIL);
+  assert.equal(errors.vertical.code, ERR.INVALID_VERTICAL);
+  assert.equal(errors.address.code, ERR.INVALID_TYPE);
+  assert.deepEqual(payload, { messaging_product: "whatsapp" });
+});
+
+test("websites: https only, at most two, index of the bad one", () => {
+  assert.equal(validateProfileUpdate({ websites: "https://a.com" }).errors.websites.code, ERR.INVALID_TYPE);
+  assert.equal(validateProfileUpdate({ websites: ["https://a.com", "https://b.com", "https://c.com"] }).errors.websites.code, ERR.TOO_MANY);
+  const http = validateProfileUpdate({ websites: ["https://a.com", "http://b.com"] }).errors.websites;
+  assert.deepEqual([http.code, http.index], [ERR.URL_NOT_HTTPS, 1]);
+  assert.equal(validateProfileUpdate({ websites: ["nope"] }).errors.websites.code, ERR.INVALID_URL);
+  assert.deepEqual(validateProfileUpdate({ websites: [" https://a.com ", ""] }).payload.websites, ["https://a.com"]);
+});
+
+test("a photo handle is passed through; non-object bodies are empty updates", () => {
+  assert.equal(validateProfileUpdate({ profile_picture_handle: "4::abc" }).payload.profile_picture_handle, "4::abc");
+  assert.deepEqual(validateProfileUpdate("about=x"), { payload: { messaging_product: "whatsapp" }, cleared: [], errors: {} });
+});
+
+test("websites with non-string entries are invalid, not a clear", () => {
+  for (const websites of [[123], [null], ["", 5]]) {
+    const { payload, cleared, errors } = validateProfileUpdate({ websites });
+    assert.equal(errors.websites.code, ERR.INVALID_TYPE, JSON.stringify(websites));
+    assert.equal(payload.websites, undefined);
+    assert.deepEqual(cleared, []);
+  }
+});
+
+test("isBlank", () => {
+  for (const v of [null, undefined, "", "  ", [], ["", " "]]) assert.equal(isBlank(v), true, JSON.stringify(v));
+  for (const v of ["x", ["x"], [123], [null], 0, false]) assert.equal(isBlank(v), false, JSON.stringify(v));
+});
@@ -0,0 +1,80 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { verifyHandshake, verifySignature, parseWebhook, digitsOnly } from "../lib/webhooks.js";
+import { MemoryEventStore, KvEventStore, lastNameDecision } from "../lib/events.js";
+
+const body = (changes, id = "100000000000000") => ({ object: "whatsapp_business_account", entry: [{ id, changes }] });
+
+// In-memory stand-in for a KV namespace: list() returns keys in lexicographic order, as KV does
+function fakeKv() {
+  const m = new Map();
+  return {
+    async put(k, v) { m.set(k, v); },
+    async get(k, type) { const v = m.get(k); return v === undefined ? null : type === "json" ? JSON.parse(v) : v; },
+    async list({ prefix, limit }) { return { keys: [...m.keys()].filter((k) => k.startsWith(prefix)).sort().slice(0, limit).map((name) => ({ name })) }; },
+  };
+}
+
+test("handshake: subscribe with the right verify token echoes the challenge", () => {
+  const p = (q) => new URLSearchParams(q);
+  assert.equal(verifyHandshake(p("hub.mode=subscribe&hub.verify_token=vt&hub.challenge=42"), "vt"), "42");
+  assert.equal(verifyHandshake(p("hub.mode=subscribe&hub.verify_token=no&hub.challenge=42"), "vt"), null);
+  assert.equal(verifyHandshake(p("hub.mode=unsubscribe&hub.verify_token=vt&hub.challenge=42"), "vt"), null);
+  assert.equal(verifyHandshake(p("hub.mode=subscribe&hub.verify_token=&hub.challenge=42"), ""), null);
+});
+
+test("signature: HMAC-SHA256 of the raw body with the app secret", async () => {
+  const raw = new TextEncoder().encode(JSON.stringify(body([])));
+  const sig = "sha256=" + createHmac("sha256", "app-secret").update(raw).digest("hex");
+  assert.equal(await verifySignature(raw, sig, "app-secret"), true);
+  assert.equal(await verifySignature(raw, sig.toUpperCase().replace("SHA256=", "sha256="), "app-secret"), true);
+  assert.equal(await verifySignature(raw, sig, "other-secret"), false);
+  assert.equal(await verifySignature(new TextEncoder().encode("{}"), sig, "app-secret"), false);
+  assert.equal(await verifySignature(raw, sig.slice(7), "app-secret"), false);
+  assert.equal(await verifySignature(raw, sig, ""), false);
+});
+
+test("parseWebhook: subscribed fields only, with a readable summary", () => {
+  const events = parseWebhook(body([
+    { field: "phone_number_name_update", value: { display_phone_number: "+1 555 0100", decision: "REJECTED", requested_verified_name: "Acme", rejection_reason: "NAME_FORMAT" } },
+    { field: "phone_number_quality_update", value: { display_phone_number: "15550100", event: "FLAGGED", current_limit: "TIER_1K" } },
+    { field: "account_update", value: { event: "ACCOUNT_RESTRICTION", restriction_info: [{ restriction_type: "RESTRICTED_ADD_PHONE_NUMBER_ACTION" }] } },
+    { field: "messages", value: {} },
+  ]), 1_700_000_000_000);
+  assert.deepEqual(events.map((e) => e.summary), [
+    "+1 555 0100: display name “Acme” rejected (NAME_FORMAT)",
+    "15550100: quality flagged, messaging limit TIER_1K",
+    "Account: account restriction (RESTRICTED_ADD_PHONE_NUMBER_ACTION)",
+  ]);
+  assert.equal(events[0].waba_id, "100000000000000");
+  assert.equal(events[0].received_at, "2023-11-14T22:13:20.000Z");
+  assert.ok(events[0].id < events[1].id && events[1].id < events[2].id);
+  assert.deepEqual(parseWebhook({ object: "page", entry: [] }), []);
+  assert.equal(digitsOnly("+1 (555) 0100"), "15550100");
+});
+
+test("event stores list newest first", async () => {
+  const events = [
+    ...parseWebhook(body([{ field: "account_update", value: { event: "A" } }, { field: "account_update", value: { event: "B" } }]), 1_000),
+    ...parseWebhook(body([{ field: "account_update", value: { event: "C" } }]), 2_000),
+  ];
+  for (const store of [new MemoryEventStore(), new KvEventStore(fakeKv())]) {
+    await store.add(events.slice(0, 2));
+    await store.add(events.slice(2));
+    assert.deepEqual((await store.list(10)).map((e) => e.value.event), ["C", "B", "A"], store.constructor.name);
+    assert.equal((await store.list(1)).length, 1);
+  }
+  const small = new MemoryEventStore(2);
+  await small.add(events);
+  assert.deepEqual((await small.list()).map((e) => e.value.event), ["C", "B"]);
+});
+
+test("lastNameDecision matches the number by its digits", async () => {
+  const store = new MemoryEventStore();
+  await store.add(parseWebhook(body([{ field: "phone_number_name_update", value: { display_phone_number: "15550100", decision: "APPROVED", requested_verified_name: "Acme", rejection_reason: "NONE" } }]), 5_000));
+  assert.deepEqual(await lastNameDecision(store, "+1 555-0100"), {
+    decision: "APPROVED", requested_verified_name: "Acme", rejection_reason: null, received_at: new Date(5_000).toISOString(),
+  });
+  assert.equal(await lastNameDecision(store, "+44 20 0000"), null);
+});
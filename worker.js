@@ -1,196 +1,937 @@
 // WhatsApp Business Profile Manager (Cloudflare Worker)
 // - View & update WhatsApp Business Profile (Cloud API)
-// - PNG/JPG profile photo via Postman 3-step upload flow
-// - Only non-empty changed fields are sent on update
-// - UI: load-first, confirm modal, website pills editor
+// - PNG/JPG profile photo via Postman 3-step upload flow (sniffed, size-checked, optionally squared to 640×640)
+// - Chunked, resumable photo uploads (GET upload:<id> for the offset after a failure)
+// - All Graph calls go through lib/graph.js (timeouts, retries, one error envelope, GRAPH_VERSION from env)
+// - Only changed fields are sent on update; blank values clear a field
+// - Fields are validated against Meta's limits before anything reaches Graph
+// - UI: load-first, confirm modal, website pills editor, live WhatsApp-style preview (light/dark, Android/iOS)
+// - Optional server-held credentials (WA_* env vars) behind an admin login
+// - Optional profile history (KV / D1): snapshot before each change, diff, one-click restore
+// - Bulk apply of one profile template across many phone numbers, with a per-number dry run
+// - Phone number discovery and health overview from a WABA ID
+// - Access token diagnostics (debug_token) run before each load
+// - Display name change requests and their review status
+// - Conversational automation editor (welcome message, ice breakers, commands)
+// - Webhook receiver (/webhook) for account, display name and quality events, with a live SSE feed
+// - Profile documents (JSON/YAML export, plan, apply) so profiles can be kept in git
+// - Audit log of every profile/photo change (who, from where, old → new, Graph status) at /api/audit, with CSV export
+// - Scheduled profile changes (one-off or recurring, optional revert), applied by a Cron Trigger
+// - Offline sandbox (SANDBOX env or UI toggle): Graph calls go to a built-in fake with demo numbers
 
-const GRAPH_VERSION = "v23.0";
-const GRAPH = `https://graph.facebook.com/${GRAPH_VERSION}`;
+import { validateProfileUpdate, hasErrors } from "./lib/validation.js";
+import { VERTICALS } from "./lib/verticals.js";
+import {
+  isServerMode,
+  isAdminConfigured,
+  getCredentials,
+  verifyAdminPassword,
+  readSession,
+  createSessionCookie,
+  clearSessionCookie,
+} from "./lib/auth.js";
+import { cors, guardApiRequest, csrfCookie, clientIp, fingerprint } from "./lib/security.js";
+import { safeFetch, SafeFetchError } from "./lib/safe-fetch.js";
+import { checkPhoto, normalizePhoto, sniffMime, ImageError, PHOTO_LIMITS } from "./lib/image.js";
+import {
+  createUploadSession,
+  getUploadOffset,
+  uploadChunk,
+  uploadResumable,
+  isUploadId,
+  UploadError,
+  DEFAULT_CHUNK_BYTES,
+  ticketSecret,
+  createUploadTicket,
+  readUploadTicket,
+  checkTicketChunk,
+} from "./lib/upload.js";
+import { createGraphClient, GraphError } from "./lib/graph.js";
+import { fetchProfile, updateProfile, normalizeProfile, changesBetween, planProfile, DIFF_FIELDS } from "./lib/profile.js";
+import {
+  getSnapshotStore,
+  snapshotLimit,
+  capturePhoto,
+  saveSnapshot,
+  diffSnapshots,
+  isSnapshotId,
+} from "./lib/snapshots.js";
+import { parsePhoneIds, mapLimit, bulkConcurrency } from "./lib/bulk.js";
+import { listPhoneNumbers, isWabaId } from "./lib/numbers.js";
+import { inspectToken, isTokenInspectConfigured, debugToken, grantedWabaIds } from "./lib/token.js";
+import { fetchDisplayName, validateDisplayName, requestDisplayName } from "./lib/display-name.js";
+import { fetchAutomation, updateAutomation, validateAutomation, AUTOMATION_LIMITS } from "./lib/automation.js";
+import { verifyHandshake, verifySignature, parseWebhook } from "./lib/webhooks.js";
+import { getEventStore, eventStream, lastNameDecision } from "./lib/events.js";
+import { exportDocument, readDocument, planProfileDocument, otherPhoneId, toYaml } from "./lib/profile-doc.js";
+import { getAuditStore, auditId, parseAuditQuery, toCsv } from "./lib/audit.js";
+import {
+  getJobStore, validateTiming, newJob, addJob, isJobId, isDue, isLeased, claimJob, revertBody, advanceJob, hasPendingRevert, cancelJob,
+} from "./lib/schedule.js";
+import { isSandbox, wantsSandbox, sandboxEnv, graphOptions, SANDBOX_PHONE_IDS, SANDBOX_WABA_ID } from "./lib/sandbox.js";
 
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
-    const pathname = url.pathname;
+    if (wantsSandbox(request, env, isServerMode(env))) env = sandboxEnv(env);
 
     // CORS preflight
     if (request.method === "OPTIONS") {
-      return cors(new Response(null, { status: 204 }));
+      return cors(new Response(null, { status: 204 }), request, env);
     }
 
-    // Serve UI
-    if (request.method === "GET" && pathname === "/") {
-      const photoEnabled = !!(env.APP_ID && String(env.APP_ID).trim());
-      return new Response(htmlPage(photoEnabled), {
-        status: 200,
-        headers: { "Content-Type": "text/html; charset=utf-8" },
-      });
+    // Origin allowlist, rate limit and CSRF for every API call
+    if (url.pathname.startsWith("/api/")) {
+      const blocked = await guardApiRequest(request, env);
+      if (blocked) return cors(blocked, request, env);
     }
 
-    // ---- API: GET profile ----
-    if (pathname === "/api/profile" && request.method === "GET") {
-      const token = request.headers.get("x-wa-access-token");
-      const phoneId = request.headers.get("x-wa-phone-number-id");
-      if (!token || !phoneId) {
-        return cors(json({ error: "Missing x-wa-access-token or x-wa-phone-number-id" }, 400));
-      }
+    let resp;
+    try {
+      resp = await route(request, env, url);
+    } catch (e) {
+      if (!(e instanceof GraphError)) throw e;
+      resp = graphErrorResponse(e);
+    }
+    return cors(resp, request, env);
+  },
+
+  // Cron Trigger: applies scheduled profile changes that are due
+  async scheduled(event, env, ctx) {
+    if (isSandbox(env)) env = sandboxEnv(env); // the same memory stores as the sandboxed requests
+    ctx.waitUntil(runScheduledJobs(env, event.scheduledTime || Date.now()));
+  }
+};
+
+async function route(request, env, url) {
+  const pathname = url.pathname;
+  const graph = createGraphClient(env, graphOptions(env));
+
+  // Serve UI
+  if (request.method === "GET" && pathname === "/") {
+    const photoEnabled = !!(env.APP_ID && String(env.APP_ID).trim());
+    const headers = new Headers({ "Content-Type": "text/html; charset=utf-8" });
+    const csrf = csrfCookie(request);
+    if (csrf) headers.append("Set-Cookie", csrf);
+    const historyEnabled = !!getSnapshotStore(env);
+    const eventsEnabled = !!env.WEBHOOK_VERIFY_TOKEN;
+    const scheduleEnabled = !!getJobStore(env) && isServerMode(env);
+    return new Response(htmlPage({ photoEnabled, serverMode: isServerMode(env), historyEnabled, eventsEnabled, scheduleEnabled, sandbox: isSandbox(env) }), { status: 200, headers });
+  }
+
+  // ---- Webhook (called by Meta; outside /api, so no origin/CSRF/rate-limit guard) ----
+  if (pathname === "/webhook" && request.method === "GET") {
+    const challenge = verifyHandshake(url.searchParams, env.WEBHOOK_VERIFY_TOKEN);
+    if (challenge == null) return new Response("Forbidden", { status: 403 });
+    return new Response(challenge, { status: 200, headers: { "Content-Type": "text/plain" } });
+  }
 
-      const fields = [
-        "about",
-        "address",
-        "description",
-        "email",
-        "websites",
-        "vertical",
-        "profile_picture_url"
-      ].join(",");
-
-      const resp = await fetch(
-        `${GRAPH}/${encodeURIComponent(phoneId)}/whatsapp_business_profile?fields=${encodeURIComponent(fields)}`,
-        { headers: { Authorization: `Bearer ${token}` } }
-      );
-      const raw = await safeJson(resp);
-
-      // Normalize: {data:[{...}]}, {data:{...}}, or {...}
-      let data = raw;
-      if (raw && typeof raw === "object" && "data" in raw) data = raw.data;
-      if (Array.isArray(data)) data = data[0] || {};
-
-      return cors(json({ status: resp.status, data, raw }, resp.ok ? 200 : resp.status));
+  if (pathname === "/webhook" && request.method === "POST") {
+    if (!env.APP_SECRET) return json({ error: "APP_SECRET not configured in worker env" }, 503);
+    const raw = await request.arrayBuffer();
+    if (!(await verifySignature(raw, request.headers.get("x-hub-signature-256"), String(env.APP_SECRET).trim()))) {
+      return json({ error: "Invalid signature" }, 401);
     }
+    let body;
+    try { body = JSON.parse(new TextDecoder().decode(raw)); } catch { return json({ error: "Invalid JSON" }, 400); }
+    const events = parseWebhook(body);
+    if (events.length) await getEventStore(env).add(events);
+    return json({ ok: true, received: events.length });
+  }
 
-    // ---- API: POST profile (only non-empty keys) ----
-    if (pathname === "/api/profile" && request.method === "POST") {
-      const token = request.headers.get("x-wa-access-token");
-      const phoneId = request.headers.get("x-wa-phone-number-id");
-      if (!token || !phoneId) {
-        return cors(json({ error: "Missing x-wa-access-token or x-wa-phone-number-id" }, 400));
-      }
+  // ---- API: webhook events (recent list, or a live Server-Sent Events feed) ----
+  if ((pathname === "/api/events" || pathname === "/api/events/stream") && request.method === "GET") {
+    const creds = await getCredentials(request, env, { requirePhone: false });
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const scope = await eventScope(graph, env, creds);
+    if (scope.error) return scope.error;
+    const store = getEventStore(env);
+    if (pathname === "/api/events") return json({ data: (await store.list(100)).filter(scope.filter) });
+    const since = request.headers.get("last-event-id") || url.searchParams.get("since") || "";
+    const pollMs = parseInt(env.EVENTS_POLL_MS, 10) > 0 ? parseInt(env.EVENTS_POLL_MS, 10) : undefined;
+    return new Response(eventStream(store, { since, filter: scope.filter, pollMs }), {
+      status: 200,
+      headers: { "Content-Type": "text/event-stream", "Cache-Control": "no-store" },
+    });
+  }
 
-      const bodyIn = await safeBody(request);
-      const includeIfValue = (v) => {
-        if (v == null) return false;
-        if (Array.isArray(v)) return v.length > 0;
-        if (typeof v === "string") return v.trim().length > 0;
-        return true;
-      };
+  // ---- API: session (server-held credentials mode) ----
+  if (pathname === "/api/session" && request.method === "GET") {
+    const serverMode = isServerMode(env);
+    const session = serverMode ? await readSession(request, env) : null;
+    return json({
+      serverMode,
+      authenticated: serverMode ? !!session : true,
+      phoneId: serverMode && session ? String(env.WA_PHONE_NUMBER_ID).trim() : null,
+      wabaId: serverMode && session && env.WA_WABA_ID ? String(env.WA_WABA_ID).trim() : null,
+    });
+  }
+
+  if (pathname === "/api/login" && request.method === "POST") {
+    if (!isServerMode(env)) return json({ error: "Login is only used in server-held credentials mode" }, 400);
+    if (!isAdminConfigured(env)) return json({ error: "Admin login not configured (ADMIN_PASSWORD_HASH or ADMIN_SECRET, plus SESSION_SECRET)" }, 500);
+    const body = await safeBody(request);
+    if (!(await verifyAdminPassword(body.password, env))) return json({ error: "Invalid password" }, 401);
+    const resp = json({ ok: true });
+    resp.headers.append("Set-Cookie", await createSessionCookie(env));
+    return resp;
+  }
+
+  if (pathname === "/api/logout" && request.method === "POST") {
+    const resp = json({ ok: true });
+    resp.headers.append("Set-Cookie", clearSessionCookie());
+    return resp;
+  }
+
+  // ---- API: supported verticals (value + label) ----
+  if (pathname === "/api/verticals" && request.method === "GET") {
+    return json({ data: VERTICALS });
+  }
+
+  // ---- API: phone numbers of a WhatsApp Business Account (?waba_id=, or WA_WABA_ID) ----
+  if (pathname === "/api/phone-numbers" && request.method === "GET") {
+    const creds = await getCredentials(request, env, { requirePhone: false });
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const wabaId = (url.searchParams.get("waba_id") || String(env.WA_WABA_ID || "")).trim();
+    if (!isWabaId(wabaId)) return json({ error: "waba_id must be a WhatsApp Business Account ID" }, 400);
+    const data = await listPhoneNumbers(graph, { token: creds.token, wabaId });
+    return json({ waba_id: wabaId, data });
+  }
+
+  // ---- API: token diagnostics (type, expiry, scopes, reachable WABAs/numbers) ----
+  if (pathname === "/api/token/inspect" && request.method === "GET") {
+    const creds = await getCredentials(request, env, { requirePhone: false });
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    if (!isTokenInspectConfigured(env)) return json({ error: "Token inspection needs APP_ID and APP_SECRET in worker env" }, 501);
+    const report = await inspectToken(graph, {
+      token: creds.token,
+      appId: String(env.APP_ID).trim(),
+      appSecret: String(env.APP_SECRET).trim(),
+      phoneId: creds.phoneId,
+    });
+    return json(report);
+  }
+
+  // ---- API: display name (verified_name + review status; POST {name} requests a change) ----
+  if (pathname === "/api/display-name" && (request.method === "GET" || request.method === "POST")) {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    if (request.method === "POST") {
+      const { name } = await safeBody(request);
+      const err = validateDisplayName(name);
+      if (err) return json({ error: "Validation failed", errors: { display_name: err } }, 422);
+      const resp = await requestDisplayName(graph, creds, name);
+      return json({ status: resp.status, data: resp.data, display_name: await fetchDisplayName(graph, creds) });
+    }
+    const data = await fetchDisplayName(graph, creds);
+    // Graph doesn't return why a name was declined; the phone_number_name_update webhook does
+    data.last_decision = await lastNameDecision(getEventStore(env), data.display_phone_number);
+    return json({ data });
+  }
+
+  // ---- API: conversational automation (welcome message, ice breakers, commands) ----
+  if (pathname === "/api/automation" && request.method === "GET") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    return json({ data: await fetchAutomation(graph, creds), limits: AUTOMATION_LIMITS });
+  }
+
+  if (pathname === "/api/automation/validate" && request.method === "POST") {
+    const { payload, errors } = validateAutomation(await safeBody(request));
+    if (hasErrors(errors)) return json({ error: "Validation failed", errors }, 422);
+    return json({ ok: true, payload });
+  }
+
+  if (pathname === "/api/automation" && request.method === "POST") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const { payload, errors } = validateAutomation(await safeBody(request));
+    if (hasErrors(errors)) return json({ error: "Validation failed", errors }, 422);
+    if (!Object.keys(payload).length) return json({ error: "No fields to update." }, 400);
+    const resp = await updateAutomation(graph, creds, payload);
+    return json({ status: resp.status, data: resp.data, automation: payload });
+  }
+
+  // ---- API: GET profile ----
+  if (pathname === "/api/profile" && request.method === "GET") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+
+    // Normalized from {data:[{...}]}, {data:{...}}, or {...}
+    const { status, data, raw } = await fetchProfile(graph, creds);
+    return json({ status, data, raw });
+  }
 
-      const payload = { messaging_product: "whatsapp" };
-      for (const key of ["about", "description", "address", "email", "vertical", "profile_picture_handle"]) {
-        if (includeIfValue(bodyIn[key])) payload[key] = bodyIn[key];
+  // ---- API: profile document (?format=json|yaml) ----
+  if (pathname === "/api/profile/export" && request.method === "GET") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const doc = exportDocument((await fetchProfile(graph, creds)).data, { phoneId: creds.phoneId });
+    const yaml = url.searchParams.get("format") === "yaml";
+    return new Response(yaml ? toYaml(doc) : JSON.stringify(doc, null, 2) + "\n", {
+      status: 200,
+      headers: {
+        "Content-Type": yaml ? "application/yaml; charset=utf-8" : "application/json",
+        "Content-Disposition": `attachment; filename="whatsapp-profile-${creds.phoneId}.${yaml ? "yaml" : "json"}"`,
+      },
+    });
+  }
+
+  // ---- API: what a profile document would change on the live profile (nothing is sent) ----
+  if (pathname === "/api/profile/plan" && request.method === "POST") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const plan = await planDocument(graph, creds, request, url);
+    if (plan.error) return plan.error;
+    return json({ changes: plan.changes, body: plan.body });
+  }
+
+  // ---- API: apply a profile document (re-planned against the live profile first) ----
+  // A document exported from another number is refused unless ?allow_other_number=1
+  if (pathname === "/api/profile/apply" && request.method === "POST") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    return audited(request, env, creds, "profile.apply", async (entry) => {
+      const plan = await planDocument(graph, creds, request, url);
+      if (plan.error) return plan.error;
+      entry.changes = plan.changes;
+      if (!plan.changes.length) return json({ status: 200, applied: false, changes: [] });
+      const update = { ...plan.body };
+      if (plan.photo) {
+        if (!env.APP_ID) return json({ error: "Changing the photo needs APP_ID in worker env", changes: plan.changes }, 501);
+        let bytes;
+        try {
+          bytes = (await safeFetch(plan.photo.new)).bytes;
+        } catch (e) {
+          if (e instanceof SafeFetchError) return json({ error: e.message, code: e.code, step: "photo" }, e.status);
+          throw e;
+        }
+        const up = await uploadPhoto(graph, env, creds.token, { bytes, normalize: false });
+        if (up.error) return up.error;
+        update.profile_picture_handle = up.handle;
       }
-      if (Array.isArray(bodyIn.websites) && bodyIn.websites.length > 0) {
-        payload.websites = bodyIn.websites.slice(0, 2); // max 2 per Meta
+      const r = await applyProfileUpdate(graph, env, creds, update, plan.current);
+      return json({ ...r, applied: !r.error, changes: plan.changes }, r.status);
+    });
+  }
+
+  // ---- API: validate a profile update without sending it ----
+  if (pathname === "/api/profile/validate" && request.method === "POST") {
+    const { payload, cleared, errors } = validateProfileUpdate(await safeBody(request));
+    if (hasErrors(errors)) return json({ error: "Validation failed", errors }, 422);
+    return json({ ok: true, payload, cleared });
+  }
+
+  // ---- API: POST profile (set / clear / leave unchanged) ----
+  if (pathname === "/api/profile" && request.method === "POST") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const body = await safeBody(request);
+    return audited(request, env, creds, "profile.update", async (entry) => {
+      // validate before fetching: applyProfileUpdate answers a rejected body (422/400) without calling Graph,
+      // and its event lists the requested values with no old ones
+      const { payload, errors } = validateProfileUpdate(body);
+      if (hasErrors(errors) || Object.keys(payload).length === 1) {
+        entry.changes = requestedChanges(body);
+        const r = await applyProfileUpdate(graph, env, creds, body);
+        return json(r, r.status);
       }
+      const current = (await fetchProfile(graph, creds)).data;
+      entry.changes = auditChanges(current, body);
+      const r = await applyProfileUpdate(graph, env, creds, body, current);
+      return json(r, r.status);
+    });
+  }
+
+  // ---- API: POST photo preview (same checks/normalization as upload, nothing sent to Meta) ----
+  // X-Photo-Ticket signs the returned bytes for /api/photo/session and /api/photo/chunk
+  if (pathname === "/api/photo/preview" && request.method === "POST") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const input = await readPhotoInput(request);
+    if (input.error) return input.error;
+    const photo = await preparePhoto(input);
+    if (photo.error) return photo.error;
+    return new Response(photo.bytes, {
+      status: 200,
+      headers: {
+        "Content-Type": photo.mime,
+        "Cache-Control": "no-store",
+        "X-Photo-Width": String(photo.width),
+        "X-Photo-Height": String(photo.height),
+        "X-Photo-Normalized": photo.normalized ? "1" : "0",
+        "X-Photo-Ticket": await createUploadTicket(ticketSecret(env), { bytes: photo.bytes, mime: photo.mime, chunkSize: chunkBytes(env) }),
+      },
+    });
+  }
 
-      if (Object.keys(payload).length === 1) {
-        return cors(json({ error: "No non-empty fields to update." }, 400));
+  // ---- API: resumable upload session for browser-driven chunked uploads ----
+  // POST {ticket} (from /api/photo/preview) creates it for the checked photo; GET ?upload_id= reports Meta's current file_offset
+  if (pathname === "/api/photo/session" && (request.method === "POST" || request.method === "GET")) {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    if (!env.APP_ID) return json({ error: "APP_ID not configured in worker env" }, 400);
+    try {
+      if (request.method === "GET") {
+        const uploadId = url.searchParams.get("upload_id");
+        if (!isUploadId(uploadId)) return json({ error: "Invalid upload_id" }, 400);
+        const offset = await getUploadOffset({ graph, token: creds.token, uploadId });
+        return json({ upload_id: uploadId, file_offset: offset });
       }
+      const ticket = await readUploadTicket(ticketSecret(env), (await safeBody(request)).ticket);
+      if (!ticket) return invalidTicket();
+      const uploadId = await createUploadSession({ graph, token: creds.token, appId: env.APP_ID, fileLength: ticket.length, fileType: ticket.mime });
+      return json({ upload_id: uploadId, file_offset: 0, chunk_size: ticket.chunk });
+    } catch (e) {
+      if (e instanceof UploadError) return uploadErrorResponse(e);
+      throw e;
+    }
+  }
 
-      const resp = await fetch(`${GRAPH}/${encodeURIComponent(phoneId)}/whatsapp_business_profile`, {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${token}`,
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(payload),
-      });
-      const data = await safeJson(resp);
-      return cors(json({ status: resp.status, data }, resp.ok ? 200 : resp.status));
+  // ---- API: one chunk of a resumable upload (x-upload-id + x-file-offset + x-upload-ticket headers, raw bytes body) ----
+  // Only bytes matching the ticket's signed chunk hashes are passed on, so a handle always belongs to a checked photo
+  if (pathname === "/api/photo/chunk" && request.method === "POST") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const uploadId = request.headers.get("x-upload-id");
+    const offset = Number(request.headers.get("x-file-offset"));
+    if (!isUploadId(uploadId)) return json({ error: "Invalid x-upload-id" }, 400);
+    if (!Number.isInteger(offset) || offset < 0) return json({ error: "Invalid x-file-offset" }, 400);
+    const ticket = await readUploadTicket(ticketSecret(env), request.headers.get("x-upload-ticket"));
+    if (!ticket) return invalidTicket();
+    const bytes = new Uint8Array(await request.arrayBuffer());
+    if (!bytes.length || bytes.length > PHOTO_LIMITS.maxBytes) return json({ error: "Chunk is empty or too large" }, 413);
+    const mismatch = await checkTicketChunk(ticket, offset, bytes);
+    if (mismatch) return json({ error: mismatch, code: "chunk_mismatch" }, 422);
+    try {
+      const r = await uploadChunk({ graph, token: creds.token, uploadId, offset, bytes });
+      const resp = json({ upload_id: uploadId, file_offset: r.offset, handle: r.handle });
+      // the last chunk issues a handle that can set the photo of any number the token reaches, so it is logged here too
+      if (r.handle) await recordAudit(request, env, creds, { action: "photo.upload", changes: [{ field: "profile_picture", old: null, new: `(uploaded ${ticket.mime}, ${ticket.length} bytes)` }] }, resp);
+      return resp;
+    } catch (e) {
+      if (e instanceof UploadError) return uploadErrorResponse(e);
+      throw e;
     }
+  }
+
+  // ---- API: POST photo (Postman 3-step flow; JPG/PNG) ----
+  if (pathname === "/api/photo" && request.method === "POST") {
+    const creds = await getCredentials(request, env);
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const { token } = creds;
+    if (!env.APP_ID) return json({ error: "APP_ID not configured in worker env" }, 400);
+
+    return audited(request, env, creds, "photo.update", async (entry) => {
+      // 0) Accept file or image_url, then sniff/check (and optionally normalize) the bytes, before any Graph call
+      const input = await readPhotoInput(request);
+      if (input.error) return input.error;
+      if (input.uploadId && !isUploadId(input.uploadId)) return json({ error: "Invalid upload_id" }, 400);
+      const photo = await preparePhoto(input);
+      if (photo.error) return photo.error;
+
+      const current = (await fetchProfile(graph, creds)).data;
+      entry.changes = auditChanges(current, { profile_picture_handle: true });
+
+      // Steps 1–2 — upload session + chunked bytes
+      const upload = await uploadPhoto(graph, env, token, input, photo);
+      if (upload.error) return upload.error;
+      const { uploadId: rawId, handle, photo: photoInfo } = upload;
 
-    // ---- API: POST photo (Postman 3-step flow; JPG/PNG) ----
-    if (pathname === "/api/photo" && request.method === "POST") {
-      const token = request.headers.get("x-wa-access-token");
-      const phoneId = request.headers.get("x-wa-phone-number-id");
-      if (!token || !phoneId) return cors(json({ error: "Missing x-wa-access-token or x-wa-phone-number-id" }, 400));
-      if (!env.APP_ID) return cors(json({ error: "APP_ID not configured in worker env" }, 400));
-
-      const allowedTypes = ["image/jpeg", "image/jpg", "image/png"];
-      const ct = (request.headers.get("content-type") || "").toLowerCase();
-      let fileBytes, fileLength, mime;
-
-      // 0) Accept file or image_url
-      if (ct.includes("multipart/form-data")) {
-        const form = await request.formData();
-        const file = form.get("file");
-        if (!file || typeof file === "string") return cors(json({ error: "multipart/form-data must include a 'file' field" }, 400));
-        const t = (file.type || "").toLowerCase();
-        if (!allowedTypes.includes(t)) return cors(json({ error: "Please upload a JPG or PNG image" }, 415));
-        mime = t;
-        fileBytes = new Uint8Array(await file.arrayBuffer());
-        fileLength = fileBytes.length;
-      } else {
-        const body = await safeBody(request);
-        if (!body?.image_url) return cors(json({ error: "Send multipart 'file' OR JSON {image_url}" }, 400));
-        let u;
-        try { u = new URL(body.image_url); } catch { return cors(json({ error: "Invalid image_url" }, 400)); }
-        if (u.protocol !== "https:") return cors(json({ error: "image_url must be https" }, 400));
-        const r = await fetch(body.image_url);
-        if (!r.ok) return cors(json({ error: `Failed to fetch image_url: ${r.status}` }, 400));
-        const t = (r.headers.get("content-type") || "").toLowerCase();
-        if (!t.startsWith("image/") || !allowedTypes.includes(t)) return cors(json({ error: "Please use JPG or PNG" }, 415));
-        mime = t;
-        fileBytes = new Uint8Array(await r.arrayBuffer());
-        fileLength = fileBytes.length;
+      // Step 3 — unchanged
+      const history = await beforeChange(graph, env, creds, current);
+      let apply;
+      try {
+        apply = await updateProfile(graph, creds, { messaging_product: "whatsapp", profile_picture_handle: handle });
+      } catch (e) {
+        if (!(e instanceof GraphError)) throw e;
+        return json({ status: e.status, step: "apply", error: e, upload_id: rawId, handle, photo: photoInfo }, e.status);
       }
+      const snapshot = await history.commit("photo");
+      return json({ status: apply.status, upload_id: rawId, handle, photo: photoInfo, apply: apply.data, snapshot });
+    });
+  }
 
-      // Step 1 — unchanged above this point...
-      const create = await fetch(
-        `${GRAPH}/${encodeURIComponent(env.APP_ID)}/uploads?file_length=${fileLength}&file_type=${encodeURIComponent(mime)}`,
-        { method: "POST", headers: { Authorization: `Bearer ${token}` } }
-      );
-      const createJson = await safeJson(create);
-      if (!create.ok) return cors(json({ step: "create_upload", error: createJson }, create.status));
-
-      const rawId = createJson.id; // e.g. "upload:MTphdHRhY2htZW50...?...sig=ARZ..."
-      if (!rawId || typeof rawId !== "string") {
-        return cors(json({ step: "create_upload", error: "No id (UPLOAD_ID) in response", createJson }, 502));
+  // ---- API: bulk apply one template to many phone numbers ----
+  // { phone_ids, template, dry_run, photo } — template is a POST /api/profile body (profile_picture_handle included);
+  // photo: true marks a dry run whose photo will be uploaded once the plan is confirmed
+  if (pathname === "/api/profiles/bulk" && request.method === "POST") {
+    const creds = await getCredentials(request, env, { requirePhone: false });
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const body = await safeBody(request);
+    const parsed = parsePhoneIds(body.phone_ids);
+    if (parsed.error) return json({ error: parsed.error }, 400);
+    const template = body.template && typeof body.template === "object" ? body.template : {};
+    const { payload, errors } = validateProfileUpdate(template);
+    if (hasErrors(errors)) return json({ error: "Validation failed", errors }, 422);
+    const dryRun = isTruthy(body.dry_run);
+    const handle = payload.profile_picture_handle || null;
+    const withPhoto = !!handle || (dryRun && isTruthy(body.photo));
+    if (Object.keys(payload).length === 1 && !withPhoto) return json({ error: "Template has no fields to apply." }, 400);
+
+    const results = await mapLimit(parsed.ids, bulkConcurrency(env), async (phoneId) => {
+      const target = { token: creds.token, phoneId };
+      const entry = { action: "profile.bulk", changes: [] };
+      let result;
+      try {
+        const current = (await fetchProfile(graph, target)).data;
+        const { changes, body: update } = planProfile(current, payload);
+        if (withPhoto) changes.push({ field: "profile_picture", old: current.profile_picture_url || "", new: "(new photo)" });
+        entry.changes = changes;
+        if (!changes.length) return { phone_id: phoneId, result: "skipped", reason: "unchanged", changes };
+        if (dryRun) return { phone_id: phoneId, result: "planned", changes };
+        if (handle) update.profile_picture_handle = handle;
+        const r = await applyProfileUpdate(graph, env, target, update, current);
+        result = r.error
+          ? { phone_id: phoneId, result: "error", status: r.status, error: r.error, errors: r.errors, changes }
+          : { phone_id: phoneId, result: "updated", status: r.status, changes, snapshot: r.snapshot };
+      } catch (e) {
+        if (!(e instanceof GraphError)) throw e;
+        result = { phone_id: phoneId, result: "error", status: e.status, error: e };
+        if (dryRun) return result;
       }
+      // one audit event per number that was (or failed to be) changed
+      await recordAudit(request, env, target, entry, json(result, result.result === "updated" ? 200 : result.status));
+      return result;
+    });
+
+    const summary = { updated: 0, planned: 0, skipped: 0, error: 0 };
+    for (const r of results) summary[r.result]++;
+    return json({ dry_run: dryRun, summary, results });
+  }
 
-      // ✅ Step 2 — use the RAW id exactly as returned, no encoding of "upload:" or the "?sig=..."
-      const step2Url = `${GRAPH}/${rawId}`; // <-- IMPORTANT: no encodeURIComponent here
+  // ---- API: profile history (snapshots taken before each change) ----
+  if (pathname === "/api/snapshots" && request.method === "GET") {
+    const ctx = await historyContext(request, env);
+    if (ctx.error) return ctx.error;
+    const list = await ctx.store.list(ctx.creds.phoneId, snapshotLimit(env));
+    return json({ data: list });
+  }
 
-      const bytesResp = await fetch(step2Url, {
-        method: "POST",
+  // ?from=<id|live>&to=<id|live>
+  if (pathname === "/api/snapshots/diff" && request.method === "GET") {
+    const ctx = await historyContext(request, env);
+    if (ctx.error) return ctx.error;
+    let live = null;
+    const resolve = async (id) => {
+      if (id === "live") {
+        live ||= { id: "live", profile: normalizeProfile((await fetchProfile(graph, ctx.creds)).data), photo_key: null };
+        return live;
+      }
+      return isSnapshotId(id) ? ctx.store.get(ctx.creds.phoneId, id) : null;
+    };
+    const from = await resolve(url.searchParams.get("from") || "");
+    const to = await resolve(url.searchParams.get("to") || "live");
+    if (!from || !to) return json({ error: "Snapshot not found" }, 404);
+    return json({ from: from.id, to: to.id, changes: diffSnapshots(from, to) });
+  }
+
+  // Re-applies a snapshot's text fields and re-uploads its stored photo; the state it replaces is snapshotted too
+  if (pathname === "/api/snapshots/restore" && request.method === "POST") {
+    const ctx = await historyContext(request, env);
+    if (ctx.error) return ctx.error;
+    const { creds, store } = ctx;
+    const body = await safeBody(request);
+    const snap = isSnapshotId(body.id) ? await store.get(creds.phoneId, body.id) : null;
+    if (!snap) return json({ error: "Snapshot not found" }, 404);
+
+    return audited(request, env, creds, "profile.restore", async (entry) => {
+      const history = await beforeChange(graph, env, creds);
+      // values Meta no longer accepts (e.g. a retired vertical, an empty about) are reported, not sent
+      const { payload, errors } = validateProfileUpdate(changesBetween(history.profile, snap.profile));
+      const skipped = Object.entries(errors).map(([field, e]) => ({ field, ...e }));
+      const fields = Object.keys(payload).filter((k) => k !== "messaging_product");
+      entry.changes = auditChanges(history.profile, payload);
+      if (fields.length) await updateProfile(graph, creds, payload);
+      const photo = await restorePhoto(graph, env, creds, store, snap, history);
+      if (photo.restored) entry.changes = auditChanges(history.profile, { ...payload, profile_picture_handle: photo.handle });
+      const snapshot = fields.length || photo.restored ? await history.commit("restore") : null;
+      return json({ status: 200, restored: snap.id, fields, photo, skipped, snapshot });
+    });
+  }
+
+  // ---- API: audit log (?phone_id, action, result, field, token_fp, since, until, limit, cursor, format=csv) ----
+  // Server mode (admin) sees every number; a browser-supplied token only its own number, once Graph confirms access
+  if (pathname === "/api/audit" && request.method === "GET") {
+    const creds = await getCredentials(request, env, { requirePhone: !isServerMode(env) });
+    if (creds.error) return json({ error: creds.error }, creds.status);
+    const q = parseAuditQuery(url.searchParams);
+    if (q.error) return json({ error: q.error }, 400);
+    if (!isServerMode(env)) {
+      await fetchProfile(graph, creds); // throws (401/403/100) when the token cannot reach this number
+      q.filter.phone_id = creds.phoneId;
+    }
+    const { events, cursor } = await getAuditStore(env).query(q.filter, { limit: q.limit, cursor: q.cursor });
+    if (q.format === "csv") {
+      return new Response(toCsv(events), {
+        status: 200,
         headers: {
-          Authorization: `Bearer ${token}`, // OAuth2 Bearer, as in your Postman flow
-          "file_offset": "0",
-          "Content-Type": "application/octet-stream",
-          "Content-Length": String(fileBytes.length),
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="whatsapp-profile-audit-${new Date().toISOString().slice(0, 10)}.csv"`,
         },
-        body: fileBytes,
       });
-      const bytesJson = await safeJson(bytesResp);
-      if (!bytesResp.ok) return cors(json({ step: "upload_bytes", error: bytesJson, step2Url }, bytesResp.status));
-
-      // Extract handle (h)
-      const handle =
-        bytesJson.h ||
-        bytesJson.handle ||
-        (bytesJson.data && (bytesJson.data[0]?.h || bytesJson.data.handle)) ||
-        bytesJson.profile_picture_handle;
-
-      if (!handle) {
-        return cors(json({ step: "upload_bytes", error: "No handle (h) in response", bytesJson }, 502));
+    }
+    return json({ data: events, next_cursor: cursor });
+  }
+
+  // ---- API: scheduled profile changes (applied by the Cron Trigger) ----
+  if (pathname === "/api/schedules" && request.method === "GET") {
+    const ctx = await scheduleContext(request, env);
+    if (ctx.error) return ctx.error;
+    const phoneId = url.searchParams.get("phone_id");
+    const jobs = (await ctx.store.list())
+      .filter((j) => !phoneId || j.phone_id === phoneId)
+      .sort((a, b) => (a.status === "scheduled") !== (b.status === "scheduled")
+        ? (a.status === "scheduled" ? -1 : 1)
+        : String(a.next_at || a.created_at).localeCompare(String(b.next_at || b.created_at)));
+    return json({ data: jobs });
+  }
+
+  // { payload, run_at, every?, revert_at?, phone_id? } — payload is a POST /api/profile body without a photo
+  if (pathname === "/api/schedules" && request.method === "POST") {
+    const ctx = await scheduleContext(request, env);
+    if (ctx.error) return ctx.error;
+    const body = await safeBody(request);
+    let phoneId = ctx.creds.phoneId;
+    if (body.phone_id != null && body.phone_id !== "") {
+      const parsed = parsePhoneIds([body.phone_id]);
+      if (parsed.error) return json({ error: parsed.error }, 400);
+      phoneId = parsed.ids[0];
+    }
+    const update = body.payload && typeof body.payload === "object" ? body.payload : {};
+    if (update.profile_picture_handle) return json({ error: "Scheduled changes cannot include a photo (upload handles expire)." }, 400);
+    const { payload, errors } = validateProfileUpdate(update);
+    const timing = validateTiming(body);
+    if (hasErrors(errors) || timing.errors) return json({ error: "Validation failed", errors: { ...errors, ...timing.errors } }, 422);
+    if (Object.keys(payload).length === 1) return json({ error: "No fields to update." }, 400);
+    const added = await addJob(ctx.store, newJob({ phoneId, payload, timing: timing.timing }));
+    if (added.error) return json({ error: added.error.message, code: added.error.code, limit: added.error.limit }, 409);
+    return json({ data: added.job }, 201);
+  }
+
+  // { id } — keeps the job (and its runs) with status "cancelled". A change waiting for its revert is reverted
+  // right away; when that fails the job stays scheduled, so the cron still reverts it.
+  if (pathname === "/api/schedules/cancel" && request.method === "POST") {
+    const ctx = await scheduleContext(request, env);
+    if (ctx.error) return ctx.error;
+    const body = await safeBody(request);
+    const job = isJobId(body.id) ? await ctx.store.get(body.id) : null;
+    if (!job) return json({ error: "Scheduled change not found" }, 404);
+    if (job.status !== "scheduled") return json({ error: `This change is already ${job.status}` }, 409);
+    if (isLeased(job)) return json({ error: "This change is being applied right now. Try again in a few minutes." }, 409);
+    let runs = job.runs;
+    if (hasPendingRevert(job)) {
+      const reverted = await runJob(graph, env, job, Date.now());
+      const run = reverted.runs[0];
+      if (run.status !== "ok") {
+        await ctx.store.put({ ...job, runs: reverted.runs });
+        const why = (run.error && run.error.message) || run.error;
+        return json({ error: `Could not put the replaced values back (${why}), so the change was not cancelled. It still reverts at ${job.next_at}.`, run }, run.http_status || 502);
       }
+      runs = reverted.runs;
+    }
+    const cancelled = cancelJob({ ...job, runs });
+    await ctx.store.put(cancelled);
+    return json({ data: cancelled });
+  }
 
-      // Step 3 — unchanged
-      const apply = await fetch(`${GRAPH}/${encodeURIComponent(phoneId)}/whatsapp_business_profile`, {
-        method: "POST",
-        headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
-        body: JSON.stringify({ messaging_product: "whatsapp", profile_picture_handle: handle }),
-      });
-      const applyJson = await safeJson(apply);
+  return json({ error: "Not Found" }, 404);
+}
+
+// ---------- audit ----------
+// Runs a mutation route and records the outcome, success or failure. `fn(entry)` returns the Response and
+// sets entry.changes once it knows the old values; Graph errors thrown inside are recorded, then answered as usual.
+async function audited(request, env, creds, action, fn) {
+  const entry = { action, changes: [] };
+  let resp;
+  try {
+    resp = await fn(entry);
+  } catch (e) {
+    if (!(e instanceof GraphError)) throw e;
+    resp = graphErrorResponse(e);
+  }
+  await recordAudit(request, env, creds, entry, resp);
+  return resp;
+}
+
+// [{ field, old, new }] for an update body; a photo shows as profile_picture → "(new photo)"
+function auditChanges(current, body) {
+  const { changes } = planProfile(current, body);
+  if (body.profile_picture_handle) changes.push({ field: "profile_picture", old: (current && current.profile_picture_url) || "", new: "(new photo)" });
+  return changes;
+}
+
+function requestedChanges(body) {
+  return DIFF_FIELDS.filter((k) => body[k] !== undefined).map((field) => ({ field, old: null, new: body[field] }));
+}
+
+// `request` is null for changes made by the Cron Trigger
+async function recordAudit(request, env, creds, entry, resp) {
+  let body = {};
+  try { body = await resp.clone().json(); } catch {}
+  // our own rejections (validation, bad input) carry a string error and never reached Graph
+  const fromGraph = resp.ok || (body.error && typeof body.error === "object");
+  const err = body.error, fields = Object.keys(body.errors || {});
+  const event = {
+    id: auditId(),
+    at: new Date().toISOString(),
+    action: entry.action,
+    phone_id: creds.phoneId,
+    token_fp: await fingerprint(creds.token),
+    ip: request ? clientIp(request) : null,
+    user_agent: request ? request.headers.get("user-agent") || null : "cron",
+    changes: entry.changes,
+    result: resp.ok ? "ok" : "error",
+    status: resp.status,
+    graph_status: fromGraph ? (typeof body.status === "number" ? body.status : resp.status) : null,
+    error: resp.ok ? null : `${typeof err === "string" ? err : (err && err.message) || "Request failed"}${fields.length ? ` (${fields.join(", ")})` : ""}`,
+  };
+  try {
+    await getAuditStore(env).add(event);
+  } catch {
+    // the change already happened (or failed on its own): a storage failure must not change the answer
+  }
+}
+
+// ---------- scheduled changes ----------
+// The cron runs without a browser, so jobs use the server-held token; scheduling is a server mode feature.
+async function scheduleContext(request, env) {
+  const store = getJobStore(env);
+  if (!store) return { error: json({ error: "Scheduled changes are not configured (bind SCHEDULE_KV)" }, 501) };
+  if (!isServerMode(env)) return { error: json({ error: "Scheduled changes need server-held credentials (WA_PHONE_NUMBER_ID + WA_ACCESS_TOKEN)" }, 501) };
+  const creds = await getCredentials(request, env);
+  if (creds.error) return { error: json({ error: creds.error }, creds.status) };
+  return { creds, store };
+}
+
+async function runScheduledJobs(env, now = Date.now()) {
+  const store = getJobStore(env);
+  if (!store || !isServerMode(env)) return [];
+  const graph = createGraphClient(env, graphOptions(env));
+  const due = (await store.list({ finished: false })).filter((j) => isDue(j, now));
+  const done = [];
+  for (const { id } of due) { // one at a time: jobs for the same number must not interleave
+    let job = null;
+    try {
+      job = await claimJob(store, id, now);
+      if (!job) continue; // another run has it, or it changed since the list
+      const next = await runJob(graph, env, job, now);
+      await store.put(next);
+      done.push(next);
+    } catch (e) {
+      // a storage failure or bug in one job must not stop the others, and the job is marked so it isn't retried every tick
+      if (!job) continue;
+      const run = { at: new Date(now).toISOString(), action: job.next_action, due_at: job.next_at, status: "error", error: String((e && e.message) || e) };
+      const next = advanceJob(job, run, now);
+      try { await store.put(next); } catch { /* the lease keeps it off the next few ticks */ }
+      done.push(next);
+    }
+  }
+  return done;
+}
 
-      return cors(json({ status: apply.status, upload_id: rawId, handle, apply: applyJson }, apply.ok ? 200 : apply.status));
+// Applies (or reverts) one job through the same path as POST /api/profile and records the outcome
+async function runJob(graph, env, job, now) {
+  const creds = { token: String(env.WA_ACCESS_TOKEN).trim(), phoneId: job.phone_id };
+  const action = job.next_action;
+  const run = { at: new Date(now).toISOString(), action, due_at: job.next_at };
+  const entry = { action: "profile.scheduled", changes: [] };
+  let revert = job.revert;
+  try {
+    const body = action === "revert" ? job.revert || {} : job.payload;
+    run.fields = Object.keys(body);
+    if (!run.fields.length) {
+      run.status = "ok"; // nothing was replaced, so there is nothing to put back
+    } else {
+      const current = (await fetchProfile(graph, creds)).data;
+      if (action === "apply" && job.revert_after) revert = revertBody(current, job.payload);
+      entry.changes = auditChanges(current, body);
+      const r = await applyProfileUpdate(graph, env, creds, body, current);
+      run.http_status = r.status;
+      if (r.error) Object.assign(run, { status: "error", error: r.error, errors: r.errors });
+      else Object.assign(run, { status: "ok", snapshot: r.snapshot });
     }
+  } catch (e) {
+    if (!(e instanceof GraphError)) throw e;
+    Object.assign(run, { status: "error", http_status: e.status, error: e.toJSON() });
+  }
+  if (run.fields.length) {
+    const ok = run.status === "ok";
+    await recordAudit(null, env, creds, entry, json({ status: run.http_status, error: run.error, errors: run.errors }, ok ? 200 : run.http_status || 500));
+  }
+  return advanceJob({ ...job, revert }, run, now);
+}
 
-    return cors(json({ error: "Not Found" }, 404));
+// ---------- events ----------
+// Server mode (admin) sees every event; a browser-supplied token only sees the WABAs it was granted
+async function eventScope(graph, env, creds) {
+  if (isServerMode(env)) return { filter: () => true };
+  if (!isTokenInspectConfigured(env)) return { error: json({ error: "The event feed needs APP_ID and APP_SECRET in worker env" }, 501) };
+  const d = await debugToken(graph, { token: creds.token, appId: String(env.APP_ID).trim(), appSecret: String(env.APP_SECRET).trim() });
+  if (!d.is_valid) return { error: json({ error: "Access token is not valid" }, 401) };
+  const ids = new Set(grantedWabaIds(d));
+  return { filter: (e) => ids.has(e.waba_id) };
+}
+
+// ---------- profile updates ----------
+// The one update path (single number, bulk): validate, snapshot, send.
+// Returns the response body; `status` is the HTTP status to answer with.
+async function applyProfileUpdate(graph, env, creds, bodyIn, current = null) {
+  const { payload, cleared, errors } = validateProfileUpdate(bodyIn);
+  if (hasErrors(errors)) return { status: 422, error: "Validation failed", errors };
+  if (Object.keys(payload).length === 1) return { status: 400, error: "No fields to update." };
+
+  const history = await beforeChange(graph, env, creds, current);
+  const resp = await updateProfile(graph, creds, payload);
+  const snapshot = await history.commit(payload.profile_picture_handle ? "photo" : "profile");
+  return { status: resp.status, data: resp.data, cleared, snapshot };
+}
+
+// Reads a profile document (JSON or YAML body) and plans it against the live profile.
+// Returns { current, changes, body, photo } or { error: Response }
+async function planDocument(graph, creds, request, url) {
+  const read = readDocument(await request.text());
+  if (read.error) return { error: json({ error: read.error }, 400) };
+  const other = otherPhoneId(read.doc, creds.phoneId);
+  if (other && !isTruthy(url.searchParams.get("allow_other_number"))) {
+    return { error: json({
+      error: `This document belongs to phone number ${other}, not ${creds.phoneId}; add ?allow_other_number=1 to use it anyway`,
+      code: "phone_number_mismatch",
+      document_phone_number_id: other,
+      phone_number_id: creds.phoneId,
+    }, 409) };
   }
-};
+  const current = (await fetchProfile(graph, creds)).data;
+  const { changes, body, photo, errors } = planProfileDocument(current, read.profile);
+  if (errors) return { error: json({ error: "Validation failed", errors, changes }, 422) };
+  return { current, changes, body, photo };
+}
+
+// ---------- history ----------
+// Reads the profile (and its photo) before a change; commit(reason) stores it once the change went through.
+// A no-op when no snapshot store is configured. `known` skips the read when the caller just fetched it.
+async function beforeChange(graph, env, creds, known = null) {
+  const store = getSnapshotStore(env);
+  if (!store) return { profile: null, photo: null, commit: async () => null };
+  const profile = normalizeProfile(known || (await fetchProfile(graph, creds)).data);
+  const photo = await capturePhoto(store, creds.phoneId, profile);
+  return {
+    profile,
+    photo,
+    // the change already happened: a storage failure must not turn it into an error
+    commit: (reason) =>
+      saveSnapshot(store, { phoneId: creds.phoneId, profile, photo, reason, limit: snapshotLimit(env) })
+        .then((s) => s.id, () => null),
+  };
+}
+
+async function historyContext(request, env) {
+  const creds = await getCredentials(request, env);
+  if (creds.error) return { error: json({ error: creds.error }, creds.status) };
+  const store = getSnapshotStore(env);
+  if (!store) return { error: json({ error: "Profile history is not configured (bind SNAPSHOTS_KV or SNAPSHOTS_DB)" }, 501) };
+  return { creds, store };
+}
+
+// Returns { restored, reason?, step?, error? } — photo failures don't undo the text fields
+async function restorePhoto(graph, env, creds, store, snap, current) {
+  if (!snap.photo_key) return { restored: false, reason: snap.profile.profile_picture_url ? "photo_not_stored" : "no_photo" };
+  if (current.photo && current.photo.key === snap.photo_key) return { restored: false, reason: "unchanged" };
+  if (!env.APP_ID) return { restored: false, reason: "APP_ID not configured in worker env" };
+  const bytes = await store.getPhoto(snap.photo_key);
+  const mime = bytes && sniffMime(bytes);
+  if (!mime) return { restored: false, reason: "photo_not_stored" };
+  try {
+    const up = await uploadResumable({ graph, token: creds.token, appId: env.APP_ID, bytes, mime, chunkSize: chunkBytes(env) });
+    await updateProfile(graph, creds, { messaging_product: "whatsapp", profile_picture_handle: up.handle });
+    return { restored: true, handle: up.handle };
+  } catch (e) {
+    if (e instanceof UploadError) return { restored: false, step: e.step, error: e.data };
+    if (e instanceof GraphError) return { restored: false, step: "apply", error: e };
+    throw e;
+  }
+}
+
+// ---------- photo input ----------
+// multipart 'file' or JSON {image_url}; "normalize" (form field or JSON flag) asks for the 640×640 JPEG,
+// "upload_id" resumes an earlier session
+async function readPhotoInput(request) {
+  const ct = (request.headers.get("content-type") || "").toLowerCase();
+  if (ct.includes("multipart/form-data")) {
+    const form = await request.formData();
+    const file = form.get("file");
+    if (!file || typeof file === "string") return { error: json({ error: "multipart/form-data must include a 'file' field" }, 400) };
+    return {
+      bytes: new Uint8Array(await file.arrayBuffer()),
+      normalize: isTruthy(form.get("normalize")),
+      uploadId: form.get("upload_id") || null,
+    };
+  }
+  const body = await safeBody(request);
+  if (!body?.image_url) return { error: json({ error: "Send multipart 'file' OR JSON {image_url}" }, 400) };
+  try {
+    const remote = await safeFetch(String(body.image_url));
+    return { bytes: remote.bytes, normalize: isTruthy(body.normalize), uploadId: body.upload_id || null };
+  } catch (e) {
+    if (e instanceof SafeFetchError) return { error: json({ error: e.message, code: e.code }, e.status) };
+    throw e;
+  }
+}
+
+// Magic-byte sniffing + Meta's size/resolution limits; never trusts file.type or content-type
+async function preparePhoto({ bytes, normalize }) {
+  try {
+    const info = checkPhoto(bytes);
+    if (!normalize) return { bytes, mime: info.mime, width: info.width, height: info.height, normalized: false };
+    const out = await normalizePhoto(bytes, info);
+    return { ...out, normalized: true };
+  } catch (e) {
+    if (e instanceof ImageError) return { error: json({ error: e.message, code: e.code }, e.status) };
+    throw e;
+  }
+}
+
+// Steps 1–2 of the photo flow: check/normalize, then upload in chunks, resuming from Meta's offset after a failed chunk
+// (input.uploadId from a failed attempt continues that session instead of starting over).
+// `prepared` is preparePhoto(input) when the caller already checked the bytes.
+// Returns { uploadId, handle, photo } or { error: Response }
+async function uploadPhoto(graph, env, token, input, prepared = null) {
+  const photo = prepared || (await preparePhoto(input));
+  if (photo.error) return photo;
+  try {
+    const upload = await uploadResumable({
+      graph, token, appId: env.APP_ID, bytes: photo.bytes, mime: photo.mime,
+      uploadId: input.uploadId, chunkSize: chunkBytes(env),
+    });
+    const info = { mime: photo.mime, width: photo.width, height: photo.height, bytes: photo.bytes.length, normalized: photo.normalized };
+    return { uploadId: upload.uploadId, handle: upload.handle, photo: info };
+  } catch (e) {
+    if (e instanceof UploadError) return { error: uploadErrorResponse(e) };
+    throw e;
+  }
+}
+
+function chunkBytes(env) {
+  const n = parseInt(env.UPLOAD_CHUNK_BYTES, 10);
+  return n > 0 ? Math.min(n, PHOTO_LIMITS.maxBytes) : DEFAULT_CHUNK_BYTES;
+}
+
+// Graph failures share one envelope: { status, error: {message, code, error_subcode, fbtrace_id, ...}, data }
+function graphErrorResponse(e) {
+  return json({ status: e.status, error: e, data: e.data }, e.status);
+}
+
+function invalidTicket() {
+  return json({ error: "Missing, invalid or expired upload ticket; check the photo with /api/photo/preview first", code: "invalid_ticket" }, 400);
+}
+
+// Keeps upload_id/file_offset in the error so clients can resume
+function uploadErrorResponse(e) {
+  return json({ step: e.step, error: e.data, upload_id: e.uploadId, file_offset: e.offset }, e.status);
+}
 
 // ---------- helpers ----------
-async function safeJson(resp) { try { return await resp.json(); } catch { return {}; } }
+function isTruthy(v) { return v === true || ["1", "true", "on", "yes"].includes(String(v || "").toLowerCase()); }
 async function safeBody(req) { try { return await req.json(); } catch { return {}; } }
 function json(obj, status = 200) {
   return new Response(JSON.stringify(obj, null, 2), {
@@ -198,16 +939,9 @@ function json(obj, status = 200) {
     headers: { "Content-Type": "application/json" }
   });
 }
-function cors(resp) {
-  const h = new Headers(resp.headers);
-  h.set("Access-Control-Allow-Origin", "*");
-  h.set("Access-Control-Allow-Methods", "GET,POST,OPTIONS");
-  h.set("Access-Control-Allow-Headers", "Content-Type, x-wa-access-token, x-wa-phone-number-id");
-  return new Response(resp.body, { status: resp.status, headers: h });
-}
 
 // ---------- UI ----------
-function htmlPage(photoEnabled) {
+function htmlPage({ photoEnabled, serverMode, historyEnabled, eventsEnabled, scheduleEnabled, sandbox }) {
   return `<!doctype html>
 <html>
 <head>
@@ -222,12 +956,15 @@ function htmlPage(photoEnabled) {
     h1 { font-size:20px; margin:0 0 12px; }
     h2 { font-size:16px; margin:6px 0 10px; }
     label { display:block; margin:8px 0 6px; font-weight:600; color:#111827; }
-    input[type="text"], input[type="url"], input[type="email"], textarea {
+    input[type="text"], input[type="url"], input[type="email"], input[type="search"], input[type="datetime-local"], select, textarea {
       width:100%; padding:10px 12px; border-radius:10px; border:1px solid #d1d5db; background:#fff; color:#0f172a; outline:none;
     }
     input::placeholder, textarea::placeholder { color:#9ca3af; }
     textarea { min-height:96px; }
     input:focus, textarea:focus { border-color:#2563eb; box-shadow:0 0 0 3px rgba(37,99,235,.12); }
+    input.invalid, textarea.invalid { border-color:#b91c1c; }
+    .ferr { color:#b91c1c; font-size:12px; margin-top:4px; }
+    .ferr:empty { display:none; }
     .row { display:grid; grid-template-columns:1fr 1fr; gap:14px; }
     .btn { appearance:none; border:0; padding:10px 14px; border-radius:10px; cursor:pointer; font-weight:600; }
     .btn.primary { background:#2563eb; color:#fff; }
@@ -239,6 +976,8 @@ function htmlPage(photoEnabled) {
     .hidden { display:none; }
     .hr { height:1px; background:#e5e7eb; margin:10px 0; }
     .thumb { width:72px; height:72px; border-radius:10px; object-fit:cover; border:1px solid #e5e7eb; background:#f3f4f6; }
+    .thumb.preview { width:160px; height:160px; border-radius:50%; }
+    label.inline { display:inline-flex; align-items:center; gap:6px; margin:0; font-weight:500; }
     /* Modal */
     .overlay { position: fixed; inset: 0; background: rgba(0,0,0,.45); display:none; align-items:center; justify-content:center; }
     .overlay.open { display:flex; }
@@ -250,39 +989,122 @@ function htmlPage(photoEnabled) {
     .kv .k { font-weight:600; }
     .kv .v-old { color:#b91c1c; }
     .kv .v-new { color:#065f46; }
+    .kv .v-clear { color:#92400e; font-style:italic; }
+    .num { display:grid; grid-template-columns:1.4fr 1.2fr 1fr 1fr auto; gap:8px; align-items:center; }
+    .badge { display:inline-block; padding:1px 8px; border-radius:999px; font-size:12px; background:#f3f4f6; color:#374151; }
+    .badge.GREEN { background:#dcfce7; color:#166534; }
+    .badge.YELLOW { background:#fef9c3; color:#854d0e; }
+    .badge.RED { background:#fee2e2; color:#991b1b; }
+    .state { display:inline-block; padding:1px 8px; border-radius:999px; font-size:12px; font-weight:600; }
+    .state.approved { background:#dcfce7; color:#166534; }
+    .state.pending { background:#fef9c3; color:#854d0e; }
+    .state.declined, .state.expired { background:#fee2e2; color:#991b1b; }
+    .state.none { background:#f3f4f6; color:#374151; }
+    .issue { border-radius:10px; padding:8px 12px; margin-top:6px; }
+    .issue.error { background:#fef2f2; color:#991b1b; border:1px solid #fecaca; }
+    .issue.warning { background:#fffbeb; color:#92400e; border:1px solid #fde68a; }
+    .issue.info { background:#f8fafc; color:#475569; border:1px solid #e2e8f0; }
+    .snap { display:flex; gap:10px; align-items:flex-start; justify-content:space-between; }
+    .snap .btn { padding:6px 10px; }
+    .sched { margin-top:12px; padding-top:10px; border-top:1px solid #e5e7eb; }
+    /* Editor + WhatsApp-style preview */
+    .editor-grid { display:grid; grid-template-columns:minmax(0,1fr) 300px; gap:18px; align-items:start; }
+    @media (max-width: 840px) { .editor-grid { grid-template-columns:1fr; } }
+    .pv-tools { display:flex; gap:6px; justify-content:space-between; margin:8px 0; }
+    .pv-tools .btn { padding:4px 10px; font-size:12px; }
+    .wa { --fg:#111b21; --sub:#667781; --card:#fff; --page:#f0f2f5; --accent:#008069; --line:#e9edef; --link:#027eb5;
+      background:var(--page); color:var(--fg); border:1px solid #d1d5db; border-radius:22px; overflow:hidden; font:14px/1.4 Roboto, "Segoe UI", system-ui, sans-serif; }
+    .wa.dark { --fg:#e9edef; --sub:#8696a0; --card:#111b21; --page:#0b141a; --accent:#00a884; --line:#222d34; --link:#53bdeb; }
+    .wa.ios { --page:#f2f2f7; --line:#e5e5ea; font-family:-apple-system, "SF Pro Text", "Helvetica Neue", system-ui, sans-serif; }
+    .wa.ios.dark { --page:#000; --card:#1c1c1e; --line:#38383a; }
+    .wa-bar { display:flex; align-items:center; gap:12px; height:44px; padding:0 14px; background:var(--card); font-weight:600; }
+    .wa.ios .wa-bar { justify-content:center; position:relative; }
+    .wa.ios .wa-bar .back { position:absolute; left:12px; color:var(--accent); font-weight:400; }
+    .wa-head { text-align:center; padding:14px 14px 16px; background:var(--card); }
+    .wa.ios .wa-head { background:transparent; }
+    .wa-avatar { width:96px; height:96px; border-radius:50%; object-fit:cover; background:#cfd8dc; display:block; margin:0 auto 10px; }
+    .wa-name { font-size:20px; font-weight:500; overflow-wrap:anywhere; }
+    .wa-sub { color:var(--sub); }
+    .wa-card { background:var(--card); margin-top:8px; padding:8px 16px; }
+    .wa.ios .wa-card { margin:0 12px 14px; border-radius:10px; }
+    .wa-title { color:var(--sub); font-size:13px; padding:4px 0; }
+    .wa-desc { white-space:pre-wrap; overflow-wrap:anywhere; display:-webkit-box; -webkit-line-clamp:3; -webkit-box-orient:vertical; overflow:hidden; padding:4px 0; }
+    .wa-desc.open { display:block; }
+    .wa-more { color:var(--accent); cursor:pointer; font-weight:500; }
+    .wa-row { display:flex; gap:14px; padding:9px 0; border-top:1px solid var(--line); align-items:flex-start; }
+    .wa-row:first-child { border-top:0; }
+    .wa-row .ic { width:18px; flex:none; color:var(--sub); text-align:center; }
+    .wa-row .tx { min-width:0; flex:1; overflow-wrap:anywhere; }
+    .wa-clip { white-space:nowrap; overflow:hidden; text-overflow:ellipsis; }
+    .wa-link { color:var(--link); }
+    .wa-empty { color:var(--sub); font-style:italic; }
+    .wa-list { display:flex; gap:12px; align-items:center; }
+    .wa-list img, .wa-list .ph { width:44px; height:44px; border-radius:50%; object-fit:cover; background:#cfd8dc; flex:none; }
   </style>
 </head>
 <body>
   <div class="shell">
-    <div class="box">
+    <div id="loginBox" class="box hidden">
+      <h1>WhatsApp Business Profile Manager</h1>
+      <label>Admin password</label>
+      <div class="flex">
+        <input id="adminPassword" type="password" placeholder="Password" style="flex:1"/>
+        <button id="btnLogin" class="btn primary">Sign in</button>
+      </div>
+      <div id="loginMsg" class="muted" style="margin-top:6px"></div>
+    </div>
+
+    <div id="mainBox" class="box ${serverMode ? "hidden" : ""}">
       <h1>WhatsApp Business Profile Manager</h1>
       <div class="row">
         <div>
           <label>Phone Number ID</label>
-          <input id="phoneId" type="text" placeholder="e.g. 123456789012345"/>
+          <input id="phoneId" type="text" placeholder="e.g. 123456789012345" ${serverMode ? "readonly" : ""}/>
         </div>
-        <div>
+        <div class="${serverMode ? "hidden" : ""}">
           <label>Access Token</label>
           <input id="token" type="text" placeholder="EAAG..."/>
         </div>
       </div>
       <div class="flex" style="margin-top:10px">
         <button id="btnLoad" class="btn soft">Load Profile</button>
+        <button id="btnLogout" class="btn soft ${serverMode ? "" : "hidden"}">Sign out</button>
         <span id="status" class="muted"></span>
       </div>
-      <div class="muted" style="margin-top:6px">We don’t store anything. Token is used only in this session and proxied to Meta via this Worker.</div>
+      <div id="tokenInfo" class="hidden" style="margin-top:10px"></div>
+      <div class="muted" style="margin-top:6px">${serverMode
+        ? "The access token is held by this Worker and never sent to your browser."
+        : "We don’t store anything. Token is used only in this session and proxied to Meta via this Worker."}</div>
+      ${serverMode || sandbox ? "" : `<label class="inline" style="margin-top:8px"><input id="sandboxToggle" type="checkbox" autocomplete="off"/> Sandbox: try everything against a fake Graph API</label>`}
+      <div id="sandboxNote" class="issue warning ${sandbox ? "" : "hidden"}">Sandbox: every Graph API call is answered by a fake built into this Worker, so nothing here reaches WhatsApp.
+        Phone Number IDs ${SANDBOX_PHONE_IDS.join(", ")} (WABA ${SANDBOX_WABA_ID}) and any access token work; tokens containing “invalid” or “expired” are rejected.</div>
+
+      <details id="numbersBox" style="margin-top:12px">
+        <summary>Don’t know the Phone Number ID? Find it by WhatsApp Business Account ID</summary>
+        <div class="flex" style="margin-top:8px">
+          <input id="wabaId" type="text" placeholder="WhatsApp Business Account ID" style="flex:1"/>
+          <button id="btnNumbers" class="btn soft" type="button">Find numbers</button>
+          <span id="numbersMsg" class="muted"></span>
+        </div>
+        <div id="numbersList" style="margin-top:8px"></div>
+      </details>
     </div>
 
     <div id="editor" class="box hidden">
       <h2>Profile</h2>
+      <div class="editor-grid">
+      <div>
       <div class="row">
         <div>
           <label>About / Status</label>
           <input id="about" type="text" maxlength="139" placeholder="e.g. Usually replies in minutes" disabled/>
+          <div id="err_about" class="ferr"></div>
         </div>
         <div>
           <label>Vertical / Category</label>
-          <input id="vertical" type="text" placeholder="e.g. COMMUNICATIONS_TECHNOLOGY" disabled/>
+          <input id="verticalSearch" type="search" placeholder="Search categories…" style="margin-bottom:6px" disabled/>
+          <select id="vertical" disabled><option value="">— Select a category —</option></select>
+          <div id="err_vertical" class="ferr"></div>
         </div>
       </div>
 
@@ -290,16 +1112,19 @@ function htmlPage(photoEnabled) {
         <div>
           <label>Email</label>
           <input id="email" type="email" placeholder="hello@example.com" disabled/>
+          <div id="err_email" class="ferr"></div>
         </div>
         <div>
           <label>Address</label>
           <input id="address" type="text" placeholder="Company address" disabled/>
+          <div id="err_address" class="ferr"></div>
         </div>
       </div>
 
       <div style="margin-top:6px">
         <label>Description</label>
         <textarea id="description" placeholder="Short business description" disabled></textarea>
+        <div id="err_description" class="ferr"></div>
       </div>
 
       <div style="margin-top:6px">
@@ -309,14 +1134,34 @@ function htmlPage(photoEnabled) {
           <input id="wsNew" type="url" placeholder="https://example.com" style="flex:1" disabled/>
           <button id="wsAdd" class="btn soft" type="button" disabled>Add</button>
         </div>
+        <div id="err_websites" class="ferr"></div>
         <div class="muted" style="margin-top:6px">Tip: Click a website pill to edit. Shift-click or right-click a pill to remove.</div>
       </div>
+      </div>
+
+      <aside aria-label="Preview">
+        <div class="pv-tools">
+          <span class="flex" style="gap:4px"><button class="btn primary" type="button" data-pv="theme:light">Light</button><button class="btn soft" type="button" data-pv="theme:dark">Dark</button></span>
+          <span class="flex" style="gap:4px"><button class="btn primary" type="button" data-pv="os:android">Android</button><button class="btn soft" type="button" data-pv="os:ios">iOS</button></span>
+        </div>
+        <div id="waPreview" class="wa android"></div>
+        <div id="pvWarnings"></div>
+      </aside>
+      </div>
 
       <div class="hr"></div>
 
       <div class="flex">
         <button id="btnSave" class="btn primary" disabled>Save Changes</button>
         <span id="saveMsg" class="muted"></span>
+        <span style="flex:1"></span>
+        <select id="exportFormat" style="width:auto" aria-label="Download format">
+          <option value="yaml">YAML</option>
+          <option value="json">JSON</option>
+        </select>
+        <button id="btnExport" class="btn soft" type="button">Download</button>
+        <button id="btnImport" class="btn soft" type="button">Import file…</button>
+        <input id="importFile" type="file" accept=".json,.yaml,.yml,application/json,application/yaml" class="hidden"/>
       </div>
 
       <details style="margin-top:14px">
@@ -325,22 +1170,115 @@ function htmlPage(photoEnabled) {
       </details>
     </div>
 
+    <div id="automationCard" class="box hidden">
+      <h2>Chat entry points</h2>
+      <label class="inline"><input id="auWelcome" type="checkbox"/> Welcome message when a customer opens the chat for the first time</label>
+      <div id="err_enable_welcome_message" class="ferr"></div>
+      <label>Ice breakers (up to 4)</label>
+      <div class="row">
+        ${[0, 1, 2, 3].map((i) => `<input id="auPrompt${i}" type="text" maxlength="80" placeholder="e.g. ${["What are your opening hours?", "Track my order", "Talk to a person", "See today's offers"][i]}"/>`).join("\n        ")}
+      </div>
+      <div id="err_prompts" class="ferr"></div>
+      <label>Commands (up to 30)</label>
+      <div id="auCommands"></div>
+      <button id="auAdd" class="btn soft" type="button" style="margin-top:6px">Add command</button>
+      <div id="err_commands" class="ferr"></div>
+      <div class="hr"></div>
+      <div class="flex">
+        <button id="btnAutomation" class="btn primary" type="button">Save Chat Entry Points</button>
+        <span id="auMsg" class="muted"></span>
+      </div>
+    </div>
+
+    <div id="displayNameCard" class="box hidden">
+      <h2>Display name</h2>
+      <div class="flex">
+        <span id="dnCurrent" class="k"></span>
+        <span id="dnState" class="state none"></span>
+        <span id="dnPhone" class="muted mono"></span>
+      </div>
+      <div id="dnRequest" class="muted" style="margin-top:6px"></div>
+      <label>Request a new display name</label>
+      <div class="flex">
+        <input id="dnNew" type="text" maxlength="100" placeholder="New business display name" style="flex:1"/>
+        <button id="btnDisplayName" class="btn soft" type="button">Request change…</button>
+      </div>
+      <div id="err_display_name" class="ferr"></div>
+      <div class="flex" style="margin-top:6px"><span id="dnMsg" class="muted"></span></div>
+      <div class="muted" style="margin-top:6px">Meta reviews every change, usually within a few days. The status is refreshed on load and every minute while a review is pending.</div>
+    </div>
+
     <div id="photoCard" class="box ${photoEnabled ? "" : "hidden"}">
       <h2>Profile Photo</h2>
       <div class="flex">
         <img id="thumb" class="thumb" alt="Current" src="" onerror="this.style.visibility='hidden'"/>
-        <div class="muted">JPG or PNG. We’ll create an upload session, send bytes, then apply the handle.</div>
+        <div class="muted">JPG or PNG, up to 5 MB and at least 192×192. We’ll create an upload session, send bytes, then apply the handle.</div>
       </div>
       <div class="flex" style="margin-top:10px">
         <input id="file" type="file" accept="image/jpeg,image/jpg,image/png" disabled/>
         <span class="muted">or</span>
         <input id="imgUrl" type="url" placeholder="https://.../logo.png" style="flex:1" disabled/>
       </div>
+      <div class="flex" style="margin-top:10px">
+        <label class="inline"><input id="normalize" type="checkbox" checked disabled/> Square-crop &amp; resize to 640×640 JPEG (recommended)</label>
+      </div>
+      <div id="previewWrap" class="flex hidden" style="margin-top:10px">
+        <img id="photoPreview" class="thumb preview" alt="Preview"/>
+        <div id="previewInfo" class="muted"></div>
+      </div>
+      <div id="progressWrap" class="flex hidden" style="margin-top:10px">
+        <progress id="photoProgress" max="100" value="0" style="flex:1"></progress>
+        <span id="progressText" class="muted mono"></span>
+      </div>
       <div class="flex" style="margin-top:10px">
         <button id="btnPhoto" class="btn soft" disabled>Upload & Apply</button>
+        <button id="btnResume" class="btn soft hidden" type="button">Resume</button>
         <span id="photoMsg" class="muted"></span>
       </div>
     </div>
+
+    <div id="bulkCard" class="box hidden">
+      <h2>Bulk apply</h2>
+      <div class="muted">Apply the ticked fields from the editor${photoEnabled ? " (and the photo chosen above)" : ""} to other phone numbers. Each number’s changes are shown for confirmation first; numbers that already match are skipped.</div>
+      <label>Phone Number IDs (one per line)</label>
+      <textarea id="bulkIds" class="mono" placeholder="123456789012345&#10;234567890123456"></textarea>
+      <label>Fields to apply</label>
+      <div class="flex">
+        ${["about", "vertical", "email", "address", "description", "websites"].map((k) => `<label class="inline"><input id="bulk_${k}" type="checkbox"/> ${k}</label>`).join("\n        ")}
+        ${photoEnabled ? `<label class="inline"><input id="bulkPhoto" type="checkbox"/> photo</label>` : ""}
+      </div>
+      <div class="flex" style="margin-top:10px">
+        <button id="btnBulk" class="btn soft" type="button">Preview changes…</button>
+        <span id="bulkMsg" class="muted"></span>
+      </div>
+      <div id="bulkResults" style="margin-top:8px"></div>
+    </div>
+
+    <div id="eventsCard" class="box hidden">
+      <h2>Live events <span id="evState" class="muted" style="font-weight:400;font-size:13px"></span></h2>
+      <div class="muted">Account, display name and quality updates Meta sends to this Worker’s <span class="mono">/webhook</span>.</div>
+      <div id="evList" style="margin-top:8px"></div>
+    </div>
+
+    <div id="scheduleCard" class="box hidden">
+      <h2>Scheduled changes</h2>
+      <div class="muted">Applied by the Worker’s Cron Trigger, a few minutes after the chosen time at most. Use “Schedule instead of save now” when saving.</div>
+      <div id="scheduleList" style="margin-top:8px"></div>
+      <div class="flex" style="margin-top:10px">
+        <button id="btnSchedules" class="btn soft" type="button">Refresh</button>
+        <span id="scheduleMsg" class="muted"></span>
+      </div>
+    </div>
+
+    <div id="historyCard" class="box hidden">
+      <h2>History</h2>
+      <div class="muted">A snapshot is saved before every change. Restore re-applies its text fields and re-uploads its photo.</div>
+      <div id="historyList" style="margin-top:8px"></div>
+      <div class="flex" style="margin-top:10px">
+        <button id="btnHistory" class="btn soft" type="button">Refresh</button>
+        <span id="historyMsg" class="muted"></span>
+      </div>
+    </div>
   </div>
 
   <!-- Confirm modal -->
@@ -349,6 +1287,22 @@ function htmlPage(photoEnabled) {
       <header id="mTitle">Confirm updates</header>
       <div class="content">
         <div id="diffList"></div>
+        <div id="schedBox" class="sched hidden">
+          <label class="inline"><input id="schedOn" type="checkbox"/> Schedule instead of save now</label>
+          <div id="schedFields" class="hidden">
+            <label>Apply at</label>
+            <input id="schedAt" type="datetime-local"/>
+            <label>Repeat</label>
+            <select id="schedEvery">
+              <option value="">Once</option>
+              <option value="P1D">Every day</option>
+              <option value="P1W">Every week</option>
+            </select>
+            <label>Revert at <span class="muted" style="font-weight:400">(optional — puts the current values back)</span></label>
+            <input id="schedRevert" type="datetime-local"/>
+            <div class="muted" style="margin-top:6px">Times are in this browser’s time zone. A repeating change reverts the same time after each run.</div>
+          </div>
+        </div>
       </div>
       <footer>
         <button id="mCancel" class="btn soft" type="button">Cancel</button>
@@ -360,18 +1314,64 @@ function htmlPage(photoEnabled) {
 <script>
 (function(){
   var $ = function(id){ return document.getElementById(id); };
-  var state = { phoneId: "", token: "", websites: [], loaded: false, current: {} };
+  var SERVER_MODE = ${serverMode ? "true" : "false"};
+  var HISTORY_ENABLED = ${historyEnabled ? "true" : "false"};
+  var EVENTS_ENABLED = ${eventsEnabled ? "true" : "false"};
+  var SCHEDULE_ENABLED = ${scheduleEnabled ? "true" : "false"};
+  var PHOTO_ENABLED = ${photoEnabled ? "true" : "false"};
+  var state = { phoneId: "", token: "", websites: [], loaded: false, current: {}, sandbox: false };
 
   // Modal (closed by default)
-  var overlay = $("overlay"), diffList = $("diffList"), pendingPayload = null;
+  var overlay = $("overlay"), diffList = $("diffList"), pendingPayload = null, pendingAction = null;
   function esc(s){return String(s).replace(/[&<>\"']/g,function(m){return ({'&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',\"'\":'&#039;'}[m]);});}
-  function closeConfirm(){ overlay.classList.remove("open"); overlay.style.display="none"; overlay.setAttribute("aria-hidden","true"); diffList.innerHTML=""; pendingPayload=null; }
-  function openConfirm(list){ overlay.classList.add("open"); overlay.style.display="flex"; overlay.setAttribute("aria-hidden","false"); diffList.innerHTML=list.map(function(i){ return '<div class="kv"><div class="k">'+esc(i.key)+'</div><div class="v-old mono">Old: '+esc(i.old)+'</div><div class="v-new mono">New: '+esc(i.val)+'</div></div>'; }).join(""); }
+  function closeConfirm(){ overlay.classList.remove("open"); overlay.style.display="none"; overlay.setAttribute("aria-hidden","true"); diffList.innerHTML=""; pendingPayload=null; pendingAction=null; $("schedBox").classList.add("hidden"); $("schedOn").checked=false; $("schedFields").classList.add("hidden"); $("mConfirm").textContent="Confirm & Update"; }
+  function openConfirm(list, title){ $("mTitle").textContent = title || "Confirm updates"; overlay.classList.add("open"); overlay.style.display="flex"; overlay.setAttribute("aria-hidden","false"); diffList.innerHTML=list.map(function(i){ if (i.note) return '<div class="kv"><div class="k">'+esc(i.key)+'</div><div class="muted">'+esc(i.note)+'</div></div>'; var nv = i.cleared ? '<div class="v-clear">Will be cleared</div>' : '<div class="v-new mono">New: '+esc(i.val)+'</div>'; return '<div class="kv"><div class="k">'+esc(i.key)+'</div><div class="v-old mono">Old: '+esc(i.old)+'</div>'+nv+'</div>'; }).join(""); }
   window.addEventListener("pageshow", function(e){ if(e.persisted) closeConfirm(); });
   document.addEventListener("keydown", function(e){ if(e.key==="Escape") closeConfirm(); });
 
+  // API errors are a string, or the Graph envelope { message, code, error_subcode, fbtrace_id, ... }
+  function errText(o, fallback){
+    var e = o && o.error;
+    if (!e) return fallback;
+    if (typeof e === "string") return e;
+    if (!e.message) return JSON.stringify(e);
+    var codes = e.code != null ? " (code " + e.code + (e.error_subcode ? "/" + e.error_subcode : "") + ")" : "";
+    return e.message + codes + (e.fbtrace_id ? " · trace " + e.fbtrace_id : "");
+  }
   function toast(el, text, ok){ if(ok===void 0) ok=true; el.textContent = text; el.style.color = ok ? "#065f46" : "#b91c1c"; setTimeout(function(){ el.textContent=""; el.style.color="#6b7280"; }, 4000); }
-  function enableEditing(on){ ["about","vertical","email","address","description","wsNew","wsAdd","btnSave","file","imgUrl","btnPhoto"].forEach(function(id){ var el=$(id); if(el) el.disabled = !on; }); }
+  var FIELDS = ["about","vertical","email","address","description","websites"];
+  function clearFieldErrors(){ FIELDS.forEach(function(k){ $("err_"+k).textContent = ""; $(k).classList.remove("invalid"); }); }
+  function showFieldErrors(errors){
+    clearFieldErrors();
+    Object.keys(errors || {}).forEach(function(k){
+      if (!$("err_"+k)) return;
+      $("err_"+k).textContent = errors[k].message || errors[k].code;
+      $(k).classList.add("invalid");
+    });
+  }
+  FIELDS.forEach(function(k){ $(k).addEventListener("input", function(){ $("err_"+k).textContent = ""; $(k).classList.remove("invalid"); }); });
+  function enableEditing(on){ ["about","verticalSearch","vertical","email","address","description","wsNew","wsAdd","btnSave","file","imgUrl","normalize","btnPhoto"].forEach(function(id){ var el=$(id); if(el) el.disabled = !on; }); }
+
+  // Vertical picker: filtered by the search box, always keeps the selected (or legacy) value visible
+  var verticals = [];
+  function renderVerticals(selected){
+    var sel = $("vertical"), q = $("verticalSearch").value.trim().toLowerCase();
+    if (selected === void 0) selected = sel.value;
+    var known = verticals.some(function(v){ return v.value === selected; });
+    var opts = ['<option value="">— Select a category —</option>'];
+    if (selected && !known) opts.push('<option value="'+esc(selected)+'">'+esc(selected)+' (not in supported list)</option>');
+    verticals.forEach(function(v){
+      var hit = !q || v.label.toLowerCase().indexOf(q) !== -1 || v.value.toLowerCase().indexOf(q) !== -1;
+      if (hit || v.value === selected) opts.push('<option value="'+esc(v.value)+'">'+esc(v.label)+' ('+esc(v.value)+')</option>');
+    });
+    sel.innerHTML = opts.join("");
+    sel.value = selected || "";
+  }
+  $("verticalSearch").addEventListener("input", function(){ renderVerticals(); });
+  fetch("/api/verticals")
+    .then(function(r){ return r.json(); })
+    .then(function(o){ verticals = (o && o.data) || []; renderVerticals(); if (state.loaded) renderProfilePreview(); })
+    .catch(function(){});
 
   function renderWebsites(){
     var c = $("websites"); c.innerHTML = "";
@@ -392,6 +1392,7 @@ function htmlPage(photoEnabled) {
       pill.onmousedown = function(e){ if (e.shiftKey) { e.preventDefault(); state.websites.splice(idx,1); renderWebsites(); } };
       c.appendChild(pill);
     });
+    renderProfilePreview();
   }
 
   $("wsAdd").onclick = function(){
@@ -405,21 +1406,168 @@ function htmlPage(photoEnabled) {
     renderWebsites();
   };
 
+  // Live preview of the WhatsApp business info screen. Clipping follows the app roughly: three lines of description
+  // before "Read more", one line per email/website, and one line of about next to the name in contact lists.
+  var pv = { theme: "light", os: "android", localPhoto: null, descOpen: false };
+  function verticalLabel(v){
+    for (var i = 0; i < verticals.length; i++) if (verticals[i].value === v) return verticals[i].label;
+    return v;
+  }
+  function renderProfilePreview(){
+    var frame = $("waPreview");
+    frame.className = "wa " + pv.os + (pv.theme === "dark" ? " dark" : "");
+    var about = $("about").value.trim(), desc = $("description").value.trim(), address = $("address").value.trim();
+    var email = $("email").value.trim(), vertical = $("vertical").value.trim(), sites = state.websites || [];
+    var photo = previewUrl || pv.localPhoto || state.current.profile_picture_url || "";
+    var name = state.displayName || "Business name", phone = state.displayPhone || "";
+    var avatar = function(cls){ return photo ? '<img class="'+cls+'" alt="" src="'+esc(photo)+'"/>' : '<div class="'+cls+' ph"></div>'; };
+    var row = function(icon, html){ return '<div class="wa-row"><span class="ic">'+icon+'</span><div class="tx">'+html+'</div></div>'; };
+    var rows = [];
+    if (vertical) rows.push(row("🏷", esc(verticalLabel(vertical))));
+    if (address) rows.push(row("📍", esc(address)));
+    if (email) rows.push(row("✉", '<div class="wa-clip wa-link" data-clip="Email">'+esc(email)+'</div>'));
+    sites.forEach(function(u, i){ rows.push(row("🌐", '<div class="wa-clip wa-link" data-clip="Website '+(i + 1)+'">'+esc(u)+'</div>')); });
+    frame.innerHTML =
+      (pv.os === "ios"
+        ? '<div class="wa-bar"><span class="back">‹ Back</span>Business info</div>'
+        : '<div class="wa-bar"><span>←</span>Business info</div>') +
+      '<div class="wa-head">'+avatar("wa-avatar")+'<div class="wa-name">'+esc(name)+'</div>'+(phone ? '<div class="wa-sub">'+esc(phone)+'</div>' : '')+'</div>' +
+      '<div class="wa-card">'+(desc ? '<div id="pvDesc" class="wa-desc'+(pv.descOpen ? ' open' : '')+'">'+esc(desc)+'</div><div id="pvMore" class="wa-more hidden">Read more</div>' : '<div class="wa-desc wa-empty">No description</div>')+rows.join("")+'</div>' +
+      '<div class="wa-card"><div class="wa-title">About</div><div style="padding:4px 0;overflow-wrap:anywhere">'+(about ? esc(about) : '<span class="wa-empty">No about text</span>')+'</div></div>' +
+      '<div class="wa-card"><div class="wa-title">In a contact list</div><div class="wa-list" style="padding:6px 0">'+avatar("")+'<div style="min-width:0;flex:1"><div class="wa-clip">'+esc(name)+'</div><div class="wa-clip wa-sub" data-clip="About">'+esc(about)+'</div></div></div></div>';
+    var warnings = [];
+    var d = $("pvDesc");
+    if (d && !pv.descOpen && d.scrollHeight > d.clientHeight + 1) {
+      $("pvMore").classList.remove("hidden");
+      warnings.push("Description: only the first three lines show before “Read more”.");
+    } else if (d && pv.descOpen) { $("pvMore").textContent = "Show less"; $("pvMore").classList.remove("hidden"); }
+    Array.prototype.forEach.call(frame.querySelectorAll("[data-clip]"), function(el){
+      if (el.scrollWidth > el.clientWidth + 1) warnings.push(el.getAttribute("data-clip") + " is cut off at this width.");
+    });
+    $("pvWarnings").innerHTML = warnings.map(function(w){ return '<div class="issue warning">'+esc(w)+'</div>'; }).join("");
+  }
+  $("waPreview").addEventListener("click", function(e){
+    if (e.target.id !== "pvMore") return;
+    pv.descOpen = !pv.descOpen;
+    renderProfilePreview();
+  });
+  Array.prototype.forEach.call(document.querySelectorAll("[data-pv]"), function(b){
+    b.onclick = function(){
+      var kv = b.getAttribute("data-pv").split(":");
+      pv[kv[0]] = kv[1];
+      Array.prototype.forEach.call(document.querySelectorAll('[data-pv^="'+kv[0]+':"]'), function(o){ o.className = "btn " + (o === b ? "primary" : "soft"); });
+      renderProfilePreview();
+    };
+  });
+  ["about","description","address","email"].forEach(function(k){ $(k).addEventListener("input", renderProfilePreview); });
+  $("vertical").addEventListener("change", renderProfilePreview);
+
+  // In server mode the Worker holds the token and the session cookie authenticates us
+  function apiHeaders(extra){
+    var h = extra || {};
+    if (!SERVER_MODE) { h["x-wa-phone-number-id"] = state.phoneId; h["x-wa-access-token"] = state.token; }
+    if (state.sandbox) h["x-wa-sandbox"] = "1";
+    var m = document.cookie.match(/(?:^|; )wa_csrf=([^;]+)/);
+    if (m) h["x-csrf-token"] = m[1];
+    return h;
+  }
+
+  function showLogin(){ $("loginBox").classList.remove("hidden"); $("mainBox").classList.add("hidden"); $("editor").classList.add("hidden"); $("photoCard").classList.add("hidden"); $("historyCard").classList.add("hidden"); $("bulkCard").classList.add("hidden"); $("displayNameCard").classList.add("hidden"); $("automationCard").classList.add("hidden"); $("eventsCard").classList.add("hidden"); $("scheduleCard").classList.add("hidden"); }
+  if (SERVER_MODE) {
+    var photoVisible = !$("photoCard").classList.contains("hidden");
+    var showMain = function(phoneId, wabaId){
+      $("loginBox").classList.add("hidden"); $("mainBox").classList.remove("hidden");
+      if (photoVisible) $("photoCard").classList.remove("hidden");
+      $("phoneId").value = phoneId || "";
+      if (wabaId && !$("wabaId").value) $("wabaId").value = wabaId;
+      $("btnLoad").click();
+    };
+    fetch("/api/session")
+      .then(function(r){ return r.json(); })
+      .then(function(o){ if (o && o.authenticated) showMain(o.phoneId, o.wabaId); else showLogin(); })
+      .catch(function(){ showLogin(); });
+    $("btnLogin").onclick = function(){
+      fetch("/api/login", { method: "POST", headers: apiHeaders({ "Content-Type": "application/json" }), body: JSON.stringify({ password: $("adminPassword").value }) })
+        .then(function(r){ return r.json().then(function(o){ return {r:r,o:o}; }); })
+        .then(function(pair){
+          if (!pair.r.ok) { toast($("loginMsg"), errText(pair.o, "Sign in failed"), false); return; }
+          $("adminPassword").value = "";
+          return fetch("/api/session").then(function(r){ return r.json(); }).then(function(o){ showMain(o.phoneId, o.wabaId); });
+        })
+        .catch(function(e){ toast($("loginMsg"), "Error: " + e.message, false); });
+    };
+    $("adminPassword").addEventListener("keydown", function(e){ if (e.key === "Enter") $("btnLogin").click(); });
+    $("btnLogout").onclick = function(){
+      fetch("/api/logout", { method: "POST", headers: apiHeaders() }).then(function(){ state.loaded = false; enableEditing(false); showLogin(); });
+    };
+  }
+
+  // Token check before loading: errors stop the load (with "Load anyway"), warnings are shown alongside.
+  // Not configured (501) or unreachable → load as before.
+  function renderTokenInfo(o, blocked){
+    var box = $("tokenInfo");
+    if (!o) { box.classList.add("hidden"); box.innerHTML = ""; return; }
+    var facts = !o.type ? [] : [o.type.toLowerCase().replace(/_/g, " ") + " token",
+      o.expires_at ? "expires " + new Date(o.expires_at).toLocaleString() : "never expires"];
+    if (o.wabas && o.wabas.length) {
+      var numbers = 0; o.wabas.forEach(function(w){ numbers += w.phone_numbers.length; });
+      facts.push(o.wabas.length + " business account(s), " + numbers + " phone number(s)");
+    }
+    box.innerHTML = (facts.length ? '<div class="muted">'+esc(facts.join(" · "))+'</div>' : "") + (o.issues || []).map(function(i){
+      return '<div class="issue '+esc(i.level)+'">'+esc(i.message)+'</div>';
+    }).join("") + (blocked ? '<button id="btnLoadAnyway" class="btn soft" type="button" style="margin-top:8px">Load anyway</button>' : "");
+    box.classList.remove("hidden");
+    if (blocked) $("btnLoadAnyway").onclick = loadProfile;
+  }
+  function checkToken(){
+    return fetch("/api/token/inspect", { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        if (pair.r.status === 501) { renderTokenInfo(null); return true; }
+        if (!pair.r.ok) { renderTokenInfo({ issues: [{ level: "error", message: errText(pair.o, "Token check failed") }] }, true); return false; }
+        var ok = !(pair.o.issues || []).some(function(i){ return i.level === "error"; });
+        renderTokenInfo(pair.o, !ok);
+        return ok;
+      })
+      .catch(function(){ renderTokenInfo(null); return true; });
+  }
+
+  // Sandbox toggle (client mode): the Worker answers with its fake Graph API; empty fields get the demo ids.
+  // Switching back reloads the page so nothing loaded from the sandbox is mixed with real data.
+  if ($("sandboxToggle")) $("sandboxToggle").onchange = function(){
+    if (!this.checked) { location.reload(); return; }
+    state.sandbox = true;
+    if (!$("phoneId").value.trim()) $("phoneId").value = "${SANDBOX_PHONE_IDS[0]}";
+    if (!$("token").value.trim()) $("token").value = "sandbox";
+    if (!$("wabaId").value.trim()) $("wabaId").value = "${SANDBOX_WABA_ID}";
+    $("sandboxNote").classList.remove("hidden");
+    if (!PHOTO_ENABLED) $("photoCard").classList.remove("hidden"); // the sandbox has its own app id for uploads
+    if (!$("editor").classList.contains("hidden")) $("btnLoad").click();
+  };
+
   $("btnLoad").onclick = function(){
     state.phoneId = $("phoneId").value.trim();
-    state.token = $("token").value.trim();
-    if (!state.phoneId || !state.token) { toast($("status"), "Enter both Phone Number ID and Access Token", false); return; }
+    state.token = SERVER_MODE ? "" : $("token").value.trim();
+    if (!state.phoneId || (!SERVER_MODE && !state.token)) { toast($("status"), "Enter both Phone Number ID and Access Token", false); return; }
 
+    $("status").textContent = "Checking token...";
+    checkToken().then(function(ok){
+      if (!ok) { toast($("status"), "The access token has problems — see below", false); return; }
+      loadProfile();
+    });
+  };
+  function loadProfile(){
     $("status").textContent = "Loading...";
     fetch("/api/profile", {
       method: "GET",
-      headers: { "x-wa-phone-number-id": state.phoneId, "x-wa-access-token": state.token }
+      headers: apiHeaders()
     })
     .then(function(r){ return r.json().then(function(o){ return {r:r,o:o}; }); })
     .then(function(pair){
       var r = pair.r, o = pair.o;
       $("rawOut").textContent = JSON.stringify(o, null, 2);
-      if (!r.ok) { toast($("status"), (o && o.error) || "Failed to load profile", false); return; }
+      if (r.status === 401 && SERVER_MODE) { showLogin(); return; }
+      if (!r.ok) { toast($("status"), errText(o, "Failed to load profile"), false); return; }
 
       var p = (o && o.data) ? o.data : o;
       state.current = {
@@ -436,133 +1584,801 @@ function htmlPage(photoEnabled) {
       $("description").value = state.current.description;
       $("address").value = state.current.address;
       $("email").value = state.current.email;
-      $("vertical").value = state.current.vertical;
+      $("verticalSearch").value = "";
+      renderVerticals(state.current.vertical);
       state.websites = state.current.websites.slice(0);
       renderWebsites();
 
       if (state.current.profile_picture_url) {
         var img = $("thumb"); img.style.visibility = "visible"; img.src = state.current.profile_picture_url;
       }
+      pv.descOpen = false;
+      if (state.previewFor !== state.phoneId) { state.displayName = state.displayPhone = ""; state.previewFor = state.phoneId; }
+      renderProfilePreview();
 
       $("editor").classList.remove("hidden");
+      $("bulkCard").classList.remove("hidden");
       enableEditing(true);
       state.loaded = true;
 
       $("status").textContent = "Loaded.";
       setTimeout(function(){ $("status").textContent = ""; }, 1500);
+      loadHistory();
+      loadDisplayName();
+      loadAutomation();
+      startEvents();
+      loadSchedules();
     })
     .catch(function(e){ toast($("status"), "Error: " + e.message, false); });
+  }
+
+  // Phone number picker: lists the WABA's numbers with their health; "Open" loads one through btnLoad
+  function renderNumbers(list){
+    if (!list.length) { $("numbersList").innerHTML = '<div class="muted">No phone numbers found for this account.</div>'; return; }
+    $("numbersList").innerHTML = list.map(function(n){
+      var name = n.verified_name + (n.name_status && n.name_status !== "APPROVED" ? " (" + n.name_status.toLowerCase() + ")" : "");
+      var open = SERVER_MODE ? "" : '<button class="btn soft" type="button" data-phone="'+esc(n.id)+'">Open</button>';
+      return '<div class="kv num"><div><div class="k mono">'+esc(n.display_phone_number)+'</div><div class="muted mono">'+esc(n.id)+'</div></div>'+
+        '<div>'+esc(name)+'</div>'+
+        '<div><span class="badge '+esc(n.quality_rating || "")+'">quality '+esc((n.quality_rating || "unknown").toLowerCase())+'</span></div>'+
+        '<div class="muted">'+esc([n.throughput_tier, n.code_verification_status, n.messaging_limit_tier].filter(Boolean).join(" · ").toLowerCase())+'</div>'+
+        '<div>'+open+'</div></div>';
+    }).join("");
+  }
+  $("btnNumbers").onclick = function(){
+    var wabaId = $("wabaId").value.trim();
+    if (!SERVER_MODE) state.token = $("token").value.trim();
+    if (!SERVER_MODE && !state.token) { toast($("numbersMsg"), "Enter the Access Token first", false); return; }
+    $("numbersMsg").textContent = "Loading…";
+    fetch("/api/phone-numbers" + (wabaId ? "?waba_id=" + encodeURIComponent(wabaId) : ""), { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        $("numbersMsg").textContent = "";
+        if (!pair.r.ok) { toast($("numbersMsg"), errText(pair.o, "Could not list phone numbers"), false); return; }
+        renderNumbers(pair.o.data || []);
+      })
+      .catch(function(e){ toast($("numbersMsg"), "Error: " + e.message, false); });
   };
+  $("numbersList").addEventListener("click", function(e){
+    var id = e.target.getAttribute("data-phone");
+    if (!id) return;
+    $("phoneId").value = id;
+    $("btnLoad").click();
+  });
 
-  function include(v){ if(v==null) return false; if(Array.isArray(v)) return v.length>0; if(typeof v==="string") return v.trim().length>0; return true; }
-  function computeChanges(){
-    if (!state.loaded) return { changes:{}, list:[] };
-    var proposed = {
+  // The editor is planned like any profile document: the server diffs it against the live profile
+  // and returns the tri-state update body (changed fields only; null clears). It rejects clearing about/vertical.
+  function editorDocument(){
+    return { version: 1, profile: {
       about: $("about").value.trim(),
       description: $("description").value.trim(),
       address: $("address").value.trim(),
       email: $("email").value.trim(),
       vertical: $("vertical").value.trim(),
       websites: (state.websites || []).slice(0,2)
-    };
-    var changes = {}, list = [];
-    ["about","description","address","email","vertical"].forEach(function(k){
-      if (include(proposed[k]) && proposed[k] !== (state.current[k] || "")) {
-        changes[k] = proposed[k];
-        list.push({ key:k, old:(state.current[k] || "(empty)"), val: proposed[k] });
-      }
-    });
-    if (Array.isArray(proposed.websites) && proposed.websites.length > 0) {
-      var oldWs = (state.current.websites || []).join(", ");
-      var newWs = proposed.websites.join(", ");
-      if (newWs !== oldWs) {
-        changes.websites = proposed.websites;
-        list.push({ key:"websites", old: oldWs || "(empty)", val: newWs });
-      }
-    }
-    return { changes, list };
+    } };
+  }
+  function planDocument(text, type, allowOther){
+    var q = allowOther ? "?allow_other_number=1" : "";
+    return fetch("/api/profile/plan" + q, { method: "POST", headers: apiHeaders({ "Content-Type": type }), body: text }).then(jsonPair);
   }
 
   $("btnSave").onclick = function(){
     if (!state.loaded) { toast($("saveMsg"), "Load profile first", false); return; }
-    var res = computeChanges();
-    if (!res.list.length) { toast($("saveMsg"), "No changes to update.", false); return; }
-    pendingPayload = res.changes; openConfirm(res.list);
+    planDocument(JSON.stringify(editorDocument()), "application/json")
+    .then(function(pair){
+      if (!pair.r.ok) { showFieldErrors(pair.o && pair.o.errors); toast($("saveMsg"), errText(pair.o, "Validation failed"), false); return; }
+      clearFieldErrors();
+      if (!pair.o.changes.length) { toast($("saveMsg"), "No changes to update.", false); return; }
+      pendingPayload = pair.o.body; openConfirm(diffItems(pair.o.changes));
+      if (SCHEDULE_ENABLED) $("schedBox").classList.remove("hidden");
+    })
+    .catch(function(e){ toast($("saveMsg"), "Error: " + e.message, false); });
+  };
+
+  // Profile documents: Download exports the live profile, Import plans a file and applies it after confirmation
+  $("btnExport").onclick = function(){
+    if (!state.loaded) { toast($("saveMsg"), "Load profile first", false); return; }
+    var fmt = $("exportFormat").value;
+    fetch("/api/profile/export?format=" + fmt, { headers: apiHeaders() })
+      .then(function(r){
+        if (!r.ok) return r.json().then(function(o){ throw new Error(errText(o, "Export failed")); });
+        return r.blob();
+      })
+      .then(function(blob){
+        var a = document.createElement("a");
+        a.href = URL.createObjectURL(blob);
+        a.download = "whatsapp-profile-" + state.phoneId + "." + fmt;
+        document.body.appendChild(a); a.click(); a.remove();
+        setTimeout(function(){ URL.revokeObjectURL(a.href); }, 1000);
+      })
+      .catch(function(e){ toast($("saveMsg"), e.message, false); });
+  };
+  $("btnImport").onclick = function(){
+    if (!state.loaded) { toast($("saveMsg"), "Load profile first", false); return; }
+    $("importFile").value = "";
+    $("importFile").click();
+  };
+  $("importFile").onchange = function(){
+    var f = this.files[0];
+    if (!f) return;
+    var type = /\\.json$/i.test(f.name) ? "application/json" : "application/yaml";
+    f.text().then(function(text){
+      // a document from another number is planned anyway, and the confirmation says so first
+      var other = null, target = null;
+      return planDocument(text, type).then(function(pair){
+        if (pair.r.status !== 409 || !pair.o || pair.o.code !== "phone_number_mismatch") return pair;
+        other = pair.o.document_phone_number_id; target = pair.o.phone_number_id;
+        return planDocument(text, type, true);
+      }).then(function(pair){
+        if (!pair.r.ok) { showFieldErrors(pair.o && pair.o.errors); toast($("saveMsg"), f.name + ": " + errText(pair.o, "Invalid profile document"), false); return; }
+        if (!pair.o.changes.length) { toast($("saveMsg"), "The live profile already matches " + f.name, true); return; }
+        pendingAction = function(){ applyDocument(text, type, !!other); };
+        var items = diffItems(pair.o.changes);
+        if (other) items.unshift({ key: "Phone number", note: f.name + " was exported from " + other + "; it will be applied to " + target });
+        openConfirm(items, "Apply " + f.name);
+      });
+    })
+    .catch(function(e){ toast($("saveMsg"), "Error: " + e.message, false); });
   };
+  function applyDocument(text, type, allowOther){
+    $("saveMsg").textContent = "Applying…";
+    fetch("/api/profile/apply" + (allowOther ? "?allow_other_number=1" : ""), { method: "POST", headers: apiHeaders({ "Content-Type": type }), body: text })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) { toast($("saveMsg"), errText(pair.o, "Apply failed"), false); return; }
+        toast($("saveMsg"), "Applied ✓", true);
+        $("btnLoad").click();
+      })
+      .catch(function(e){ toast($("saveMsg"), "Error: " + e.message, false); });
+  }
   $("mCancel").onclick = function(){ pendingPayload = null; closeConfirm(); };
   $("mConfirm").onclick = function(){
+    // other confirmations (restore, bulk, display name) carry their own action
+    if (pendingAction) { var act = pendingAction; closeConfirm(); act(); return; }
     if (!pendingPayload) { closeConfirm(); return; }
+    var sent = pendingPayload;
+    if ($("schedOn").checked) { scheduleChange(sent); return; }
     fetch("/api/profile", {
       method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "x-wa-phone-number-id": state.phoneId,
-        "x-wa-access-token": state.token
-      },
-      body: JSON.stringify(pendingPayload)
+      headers: apiHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(sent)
     })
     .then(function(r){ return r.json().then(function(o){ return {r:r,o:o}; }); })
     .then(function(pair){
       closeConfirm();
       var r = pair.r, o = pair.o;
+      if (r.status === 422 && o && o.errors) { showFieldErrors(o.errors); return; }
       if (!r.ok) {
-        var msg = (o && o.data && o.data.error && o.data.error.message) || (o && o.error) || "Update failed";
-        toast($("saveMsg"), msg, false);
+        toast($("saveMsg"), errText(o, "Update failed"), false);
         return;
       }
       toast($("saveMsg"), "Updated ✓", true);
-      Object.assign(state.current, pendingPayload);
-      pendingPayload = null;
+      Object.keys(sent).forEach(function(k){
+        var v = sent[k];
+        state.current[k] = v === null ? (k === "websites" ? [] : "") : v;
+      });
+      loadHistory();
     })
     .catch(function(e){ closeConfirm(); toast($("saveMsg"), "Error: " + e.message, false); });
   };
 
-  // Photo upload
+  // Scheduling: the confirmed changes become a job instead of being saved now
+  $("schedOn").onchange = function(){
+    var on = this.checked;
+    $("schedFields").classList.toggle("hidden", !on);
+    $("mConfirm").textContent = on ? "Schedule" : "Confirm & Update";
+  };
+  function localIso(id){ var v = $(id).value; return v ? new Date(v).toISOString() : ""; }
+  function scheduleChange(payload){
+    if (!$("schedAt").value) { $("schedAt").focus(); return; }
+    fetch("/api/schedules", {
+      method: "POST",
+      headers: apiHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ payload: payload, run_at: localIso("schedAt"), every: $("schedEvery").value, revert_at: localIso("schedRevert") })
+    })
+    .then(jsonPair)
+    .then(function(pair){
+      var o = pair.o;
+      if (pair.r.status === 422 && o.errors && (o.errors.run_at || o.errors.every || o.errors.revert_at)) {
+        var e = o.errors.run_at || o.errors.every || o.errors.revert_at;
+        toast($("saveMsg"), e.message, false);
+        return;
+      }
+      closeConfirm();
+      if (pair.r.status === 422 && o.errors) { showFieldErrors(o.errors); return; }
+      if (!pair.r.ok) { toast($("saveMsg"), errText(o, "Could not schedule"), false); return; }
+      toast($("saveMsg"), "Scheduled for " + new Date(o.data.run_at).toLocaleString() + " ✓", true);
+      loadSchedules();
+    })
+    .catch(function(e){ closeConfirm(); toast($("saveMsg"), "Error: " + e.message, false); });
+  }
+  function renderSchedules(list){
+    if (!list.length) { $("scheduleList").innerHTML = '<div class="muted">Nothing scheduled.</div>'; return; }
+    $("scheduleList").innerHTML = list.map(function(j){
+      var when = j.next_at ? (j.next_action === "revert" ? "reverts " : "applies ") + new Date(j.next_at).toLocaleString() : j.status;
+      var repeat = j.every ? (j.every === "P1D" ? "every day" : j.every === "P1W" ? "every week" : "every " + j.every) : "";
+      var last = j.runs && j.runs[0];
+      var lastText = last ? "last " + last.action + " " + new Date(last.at).toLocaleString() + ": " + (last.status === "ok" ? "ok" : errText(last, "failed")) : "";
+      return '<div class="kv"><div class="snap"><div><div class="k">'+esc(when)+(repeat ? ' · '+esc(repeat) : '')+(j.revert_after ? ' · with revert' : '')+'</div>'+
+        '<div class="muted">'+esc(Object.keys(j.payload).join(", "))+(j.phone_id !== state.phoneId ? ' · <span class="mono">'+esc(j.phone_id)+'</span>' : '')+'</div>'+
+        (lastText ? '<div class="muted">'+esc(lastText)+'</div>' : '')+'</div>'+
+        (j.status === "scheduled" ? (j.next_action === "revert" && j.revert && Object.keys(j.revert).length
+          ? '<button class="btn soft" type="button" data-cancel="'+esc(j.id)+'" data-reverts="1" title="The change is live: this puts the replaced values back now">Revert now &amp; cancel</button>'
+          : '<button class="btn soft" type="button" data-cancel="'+esc(j.id)+'">Cancel</button>') : '')+'</div></div>';
+    }).join("");
+  }
+  function loadSchedules(){
+    if (!SCHEDULE_ENABLED || !state.loaded) return;
+    $("scheduleCard").classList.remove("hidden");
+    fetch("/api/schedules", { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) { toast($("scheduleMsg"), errText(pair.o, "Could not load scheduled changes"), false); return; }
+        renderSchedules(pair.o.data || []);
+      })
+      .catch(function(e){ toast($("scheduleMsg"), "Error: " + e.message, false); });
+  }
+  $("btnSchedules").onclick = loadSchedules;
+  $("scheduleList").addEventListener("click", function(e){
+    var id = e.target.getAttribute("data-cancel");
+    if (!id) return;
+    var reverts = e.target.getAttribute("data-reverts") === "1";
+    fetch("/api/schedules/cancel", { method: "POST", headers: apiHeaders({ "Content-Type": "application/json" }), body: JSON.stringify({ id: id }) })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) { toast($("scheduleMsg"), errText(pair.o, "Could not cancel"), false); return; }
+        toast($("scheduleMsg"), reverts ? "Reverted and cancelled ✓" : "Cancelled ✓", true);
+        loadSchedules();
+      })
+      .catch(function(err){ toast($("scheduleMsg"), "Error: " + err.message, false); });
+  });
+
+  // Photo: same request body for preview and upload (file wins over URL)
+  function photoRequest(path){
+    var f = $("file").files[0];
+    var url = $("imgUrl").value.trim();
+    var normalize = $("normalize").checked;
+    if (f) {
+      var form = new FormData();
+      form.append("file", f);
+      if (normalize) form.append("normalize", "1");
+      return fetch(path, { method: "POST", headers: apiHeaders(), body: form });
+    }
+    if (url) {
+      try { new URL(url); } catch(e) { toast($("photoMsg"), "Invalid image URL", false); return null; }
+      return fetch(path, {
+        method: "POST",
+        headers: apiHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ image_url: url, normalize: normalize })
+      });
+    }
+    return null;
+  }
+
+  // Preview shows exactly what would be uploaded (cropped/resized server-side when normalizing)
+  var previewUrl = null;
+  function refreshPreview(){
+    if (!state.loaded) return;
+    var req = photoRequest("/api/photo/preview");
+    if (!req) { $("previewWrap").classList.add("hidden"); return; }
+    $("previewInfo").textContent = "Preparing preview…";
+    $("previewWrap").classList.remove("hidden");
+    req.then(function(r){
+      if (!r.ok) return r.json().then(function(o){ $("previewWrap").classList.add("hidden"); toast($("photoMsg"), errText(o, "Preview failed"), false); });
+      return r.blob().then(function(b){
+        if (previewUrl) URL.revokeObjectURL(previewUrl);
+        previewUrl = URL.createObjectURL(b);
+        $("photoPreview").src = previewUrl;
+        renderProfilePreview();
+        $("previewInfo").textContent = r.headers.get("X-Photo-Width") + "×" + r.headers.get("X-Photo-Height") +
+          (r.headers.get("X-Photo-Normalized") === "1" ? " JPEG, center-cropped" : " (uploaded as-is; WhatsApp crops to a circle)");
+      });
+    })
+    .catch(function(e){ toast($("photoMsg"), "Error: " + e.message, false); });
+  }
+  // the profile preview shows the chosen photo right away, then the prepared one once it arrives
+  function localPhoto(){
+    var f = $("file").files[0], url = $("imgUrl").value.trim();
+    if (pv.localPhoto && pv.localPhoto.indexOf("blob:") === 0) URL.revokeObjectURL(pv.localPhoto);
+    pv.localPhoto = f ? URL.createObjectURL(f) : (url.indexOf("https://") === 0 ? url : null);
+    if (previewUrl) { URL.revokeObjectURL(previewUrl); previewUrl = null; }
+    renderProfilePreview();
+  }
+  $("file").addEventListener("change", localPhoto);
+  $("imgUrl").addEventListener("change", localPhoto);
+  $("file").addEventListener("change", refreshPreview);
+  $("imgUrl").addEventListener("change", refreshPreview);
+  $("normalize").addEventListener("change", refreshPreview);
+
+  // Photo upload: prepared bytes and their signed ticket come from the preview endpoint, then go to Meta in chunks.
+  // A failed chunk keeps { id, blob, offset, done } so "Resume" continues from Meta's reported offset;
+  // done(handle) applies the finished upload (this number, or every number of a bulk run).
+  var upload = null;
+  function jsonPair(r){ return r.json().then(function(o){ return {r:r,o:o}; }); }
+  function setProgress(done, total){
+    $("progressWrap").classList.remove("hidden");
+    $("photoProgress").value = total ? Math.round(done * 100 / total) : 0;
+    $("progressText").textContent = Math.round(done / 1024) + " / " + Math.round(total / 1024) + " KB";
+  }
+  function uploadFailed(text){
+    $("btnResume").classList.toggle("hidden", !upload);
+    toast($("photoMsg"), text, false);
+  }
+  function sendChunks(){
+    if (upload.offset >= upload.blob.size) return Promise.reject(new Error("Upload finished without a handle"));
+    var end = Math.min(upload.blob.size, upload.offset + upload.chunk);
+    return fetch("/api/photo/chunk", {
+      method: "POST",
+      headers: apiHeaders({ "Content-Type": "application/octet-stream", "x-upload-id": upload.id, "x-file-offset": String(upload.offset), "x-upload-ticket": upload.ticket }),
+      body: upload.blob.slice(upload.offset, end)
+    })
+    .then(jsonPair)
+    .then(function(pair){
+      if (!pair.r.ok) throw new Error(errText(pair.o, "Chunk upload failed"));
+      upload.offset = pair.o.file_offset;
+      setProgress(upload.offset, upload.blob.size);
+      return pair.o.handle || sendChunks();
+    });
+  }
+  function applyHandle(handle){
+    return fetch("/api/profile", {
+      method: "POST",
+      headers: apiHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ profile_picture_handle: handle })
+    })
+    .then(jsonPair)
+    .then(function(pair){
+      if (!pair.r.ok) throw new Error(errText(pair.o, "Applying the photo failed"));
+      toast($("photoMsg"), "Photo updated ✓", true);
+      if (previewUrl) { var img = $("thumb"); img.style.visibility = "visible"; img.src = previewUrl; }
+      loadHistory();
+    });
+  }
+  function runUpload(){
+    $("btnResume").classList.add("hidden");
+    return sendChunks()
+      .then(function(handle){ var done = upload.done; upload = null; return done(handle); }, function(e){ uploadFailed("Upload interrupted: " + e.message); })
+      .catch(function(e){ toast($("photoMsg"), e.message, false); });
+  }
+  function startUpload(done){
+    var req = photoRequest("/api/photo/preview");
+    if (!req) {
+      if (!$("file").files[0] && !$("imgUrl").value.trim()) toast($("photoMsg"), "Choose a file or paste an image URL", false);
+      return;
+    }
+    upload = null;
+    var ticket = null;
+    req.then(function(r){
+      if (!r.ok) return r.json().then(function(o){ throw new Error(errText(o, "Photo check failed")); });
+      ticket = r.headers.get("X-Photo-Ticket");
+      return r.blob();
+    })
+    .then(function(blob){
+      return fetch("/api/photo/session", {
+        method: "POST",
+        headers: apiHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ ticket: ticket })
+      })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) throw new Error(errText(pair.o, "Could not start upload"));
+        upload = { id: pair.o.upload_id, ticket: ticket, blob: blob, offset: 0, chunk: pair.o.chunk_size || 1048576, done: done };
+        setProgress(0, blob.size);
+        return runUpload();
+      });
+    })
+    .catch(function(e){ uploadFailed(e.message); });
+  }
+
   var btnPhoto = $("btnPhoto");
   if (btnPhoto) {
     btnPhoto.addEventListener("click", function(){
       if (!state.loaded) { toast($("photoMsg"), "Load profile first", false); return; }
-      var f = $("file").files[0];
-      var url = $("imgUrl").value.trim();
-      var req;
-
-      if (f) {
-        var form = new FormData();
-        form.append("file", f);
-        req = fetch("/api/photo", {
-          method: "POST",
-          headers: { "x-wa-phone-number-id": state.phoneId, "x-wa-access-token": state.token },
-          body: form
-        });
-      } else if (url) {
-        try { new URL(url); } catch(e) { toast($("photoMsg"), "Invalid image URL", false); return; }
-        req = fetch("/api/photo", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            "x-wa-phone-number-id": state.phoneId,
-            "x-wa-access-token": state.token
-          },
-          body: JSON.stringify({ image_url: url })
-        });
-      } else {
-        toast($("photoMsg"), "Choose a file or paste an image URL", false);
-        return;
-      }
+      startUpload(applyHandle);
+    });
+  }
 
-      req.then(function(r){ return r.json().then(function(o){ return {r:r,o:o}; }); })
-        .then(function(pair){
-          var r = pair.r, o = pair.o;
-          if (!r.ok) {
-            var emsg = (o && o.error) ? (typeof o.error === "string" ? o.error : JSON.stringify(o.error)) : "Photo update failed";
-            toast($("photoMsg"), emsg, false);
-            return;
-          }
-          toast($("photoMsg"), "Photo updated ✓", true);
+  $("btnResume").onclick = function(){
+    if (!upload) return;
+    fetch("/api/photo/session?upload_id=" + encodeURIComponent(upload.id), { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) throw new Error(errText(pair.o, "Could not read upload offset"));
+        upload.offset = pair.o.file_offset || 0;
+        setProgress(upload.offset, upload.blob.size);
+        return runUpload();
+      })
+      .catch(function(e){ uploadFailed(e.message); });
+  };
+
+  // Display name: refreshed on load, polled every minute while Meta's review is pending
+  var dnTimer = null;
+  var DN_LABELS = { approved: "Approved", pending: "Pending review", declined: "Declined", expired: "Expired", none: "No review" };
+  function renderDisplayName(d){
+    $("displayNameCard").classList.remove("hidden");
+    $("dnCurrent").textContent = d.verified_name || "(no display name)";
+    $("dnPhone").textContent = d.display_phone_number || "";
+    state.displayName = d.verified_name || ""; state.displayPhone = d.display_phone_number || "";
+    renderProfilePreview();
+    var requested = d.new_name_status && d.new_name_status !== "NONE";
+    $("dnState").className = "state " + d.state;
+    $("dnState").textContent = DN_LABELS[d.state] || d.state;
+    var text = "";
+    if (requested && d.state === "pending") text = "Requested: “" + (d.new_display_name || "new name") + "” is waiting for Meta’s review.";
+    else if (requested && d.state === "declined") {
+      var reason = d.last_decision && d.last_decision.rejection_reason;
+      text = "The request" + (d.new_display_name ? " for “" + d.new_display_name + "”" : "") + " was declined" +
+        (reason ? ": " + reason.toLowerCase().replace(/_/g, " ") + "." : ". WhatsApp Manager (Meta Business Suite) shows the reason.");
+    }
+    else if (requested && d.state === "approved") text = "The requested name was approved" + (d.new_display_name ? ": “" + d.new_display_name + "”" : "") + ".";
+    $("dnRequest").textContent = text;
+  }
+  function loadDisplayName(){
+    if (dnTimer) { clearTimeout(dnTimer); dnTimer = null; }
+    if (!state.loaded) return;
+    var phoneId = state.phoneId;
+    fetch("/api/display-name", { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        if (phoneId !== state.phoneId) return;
+        if (!pair.r.ok) { toast($("dnMsg"), errText(pair.o, "Could not read the display name"), false); return; }
+        renderDisplayName(pair.o.data);
+        if (pair.o.data.state === "pending") dnTimer = setTimeout(loadDisplayName, 60000);
+      })
+      .catch(function(e){ toast($("dnMsg"), "Error: " + e.message, false); });
+  }
+  $("dnNew").addEventListener("input", function(){ $("err_display_name").textContent = ""; $("dnNew").classList.remove("invalid"); });
+  $("btnDisplayName").onclick = function(){
+    var name = $("dnNew").value.trim();
+    if (!name) { toast($("dnMsg"), "Enter the new display name", false); return; }
+    pendingAction = function(){
+      $("dnMsg").textContent = "Submitting…";
+      fetch("/api/display-name", {
+        method: "POST",
+        headers: apiHeaders({ "Content-Type": "application/json" }),
+        body: JSON.stringify({ name: name })
+      })
+      .then(jsonPair)
+      .then(function(pair){
+        var o = pair.o;
+        if (!pair.r.ok) {
+          if (o && o.errors && o.errors.display_name) { $("err_display_name").textContent = o.errors.display_name.message; $("dnNew").classList.add("invalid"); }
+          toast($("dnMsg"), errText(o, "Request failed"), false);
+          return;
+        }
+        $("dnNew").value = "";
+        toast($("dnMsg"), "Submitted for review ✓", true);
+        if (o.display_name) renderDisplayName(o.display_name);
+        if (dnTimer) clearTimeout(dnTimer);
+        dnTimer = setTimeout(loadDisplayName, 60000);
+      })
+      .catch(function(e){ toast($("dnMsg"), "Error: " + e.message, false); });
+    };
+    openConfirm([{ key: "display name", old: $("dnCurrent").textContent, val: name }], "Request display name change");
+  };
+
+  // Live events: SSE read through fetch (EventSource can't send the x-wa headers); reconnects with the last id
+  var ev = { running: false, last: "" };
+  var EV_LABELS = { account_update: "account", phone_number_name_update: "display name", phone_number_quality_update: "quality" };
+  function addEvent(e){
+    var row = document.createElement("div");
+    row.className = "kv";
+    row.innerHTML = '<span class="badge">'+esc(EV_LABELS[e.field] || e.field)+'</span> '+esc(e.summary)+' <span class="muted">· '+esc(new Date(e.received_at).toLocaleString())+'</span>';
+    var list = $("evList");
+    list.insertBefore(row, list.firstChild);
+    while (list.children.length > 50) list.removeChild(list.lastChild);
+    if (e.field === "phone_number_name_update") loadDisplayName();
+  }
+  function startEvents(){
+    if (!EVENTS_ENABLED || ev.running || !window.ReadableStream) return;
+    ev.running = true;
+    $("eventsCard").classList.remove("hidden");
+    $("evState").textContent = "connecting…";
+    var buf = "", dec = new TextDecoder();
+    fetch("/api/events/stream" + (ev.last ? "?since=" + encodeURIComponent(ev.last) : ""), { headers: apiHeaders({ "Accept": "text/event-stream" }) })
+      .then(function(r){
+        if (!r.ok) return r.json().then(function(o){ throw new Error(errText(o, "Event feed unavailable")); });
+        $("evState").textContent = "● live";
+        var reader = r.body.getReader();
+        function pump(){
+          return reader.read().then(function(chunk){
+            if (chunk.done) return;
+            buf += dec.decode(chunk.value, { stream: true });
+            var parts = buf.split("\\n\\n");
+            buf = parts.pop();
+            parts.forEach(function(block){
+              var id = "", data = "";
+              block.split("\\n").forEach(function(line){
+                if (line.indexOf("id: ") === 0) id = line.slice(4);
+                else if (line.indexOf("data: ") === 0) data += line.slice(6);
+              });
+              if (!data) return;
+              if (id) ev.last = id;
+              try { addEvent(JSON.parse(data)); } catch (e) {}
+            });
+            return pump();
+          });
+        }
+        return pump();
+      })
+      .then(function(){ ev.running = false; if (state.loaded) setTimeout(startEvents, 1000); })
+      .catch(function(e){
+        ev.running = false;
+        $("evState").textContent = e.message;
+        if (state.loaded) setTimeout(startEvents, 15000);
+      });
+  }
+
+  // Chat entry points: same load-first → diff → validate → confirm flow as the profile editor
+  var AU_FIELDS = ["enable_welcome_message","prompts","commands"];
+  var auCmds = [];
+  function renderCommands(){
+    $("auCommands").innerHTML = auCmds.map(function(c, i){
+      return '<div class="flex" style="margin-top:6px">'+
+        '<input type="text" class="mono" maxlength="32" placeholder="/command" style="flex:1" data-i="'+i+'" data-f="command_name" value="'+esc(c.command_name)+'"/>'+
+        '<input type="text" maxlength="256" placeholder="What it does" style="flex:3" data-i="'+i+'" data-f="command_description" value="'+esc(c.command_description)+'"/>'+
+        '<button class="btn soft" type="button" data-remove="'+i+'" title="Remove">✕</button></div>';
+    }).join("");
+  }
+  $("auCommands").addEventListener("input", function(e){
+    var i = e.target.getAttribute("data-i");
+    if (i !== null) auCmds[+i][e.target.getAttribute("data-f")] = e.target.value;
+  });
+  $("auCommands").addEventListener("click", function(e){
+    var i = e.target.getAttribute("data-remove");
+    if (i !== null) { auCmds.splice(+i, 1); renderCommands(); }
+  });
+  $("auAdd").onclick = function(){
+    if (auCmds.length >= 30) { toast($("auMsg"), "Max 30 commands", false); return; }
+    auCmds.push({ command_name: "", command_description: "" });
+    renderCommands();
+  };
+  function clearAutomationErrors(){ AU_FIELDS.forEach(function(k){ $("err_"+k).textContent = ""; }); }
+  function showAutomationErrors(errors){
+    clearAutomationErrors();
+    Object.keys(errors || {}).forEach(function(k){ if ($("err_"+k)) $("err_"+k).textContent = errors[k].message || errors[k].code; });
+  }
+  function loadAutomation(){
+    if (!state.loaded) return;
+    fetch("/api/automation", { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) { toast($("auMsg"), errText(pair.o, "Could not load chat entry points"), false); return; }
+        var a = pair.o.data;
+        state.automation = a;
+        $("auWelcome").checked = !!a.enable_welcome_message;
+        for (var i = 0; i < 4; i++) $("auPrompt"+i).value = a.prompts[i] || "";
+        auCmds = a.commands.map(function(c){ return { command_name: c.command_name, command_description: c.command_description }; });
+        renderCommands();
+        clearAutomationErrors();
+        $("automationCard").classList.remove("hidden");
+      })
+      .catch(function(e){ toast($("auMsg"), "Error: " + e.message, false); });
+  }
+  function fmtCommands(list){ return list.map(function(c){ return "/" + c.command_name + " — " + c.command_description; }).join("; ") || "(none)"; }
+  function computeAutomationChanges(){
+    var cur = state.automation;
+    if (!cur) return { changes:{}, list:[] };
+    var proposed = {
+      enable_welcome_message: $("auWelcome").checked,
+      prompts: [0,1,2,3].map(function(i){ return $("auPrompt"+i).value.trim(); }).filter(Boolean),
+      commands: auCmds
+        .map(function(c){ return { command_name: c.command_name.trim().replace(/^\\//, ""), command_description: c.command_description.trim() }; })
+        .filter(function(c){ return c.command_name || c.command_description; })
+    };
+    var changes = {}, list = [];
+    if (proposed.enable_welcome_message !== cur.enable_welcome_message) {
+      changes.enable_welcome_message = proposed.enable_welcome_message;
+      list.push({ key:"welcome message", old: cur.enable_welcome_message ? "on" : "off", val: proposed.enable_welcome_message ? "on" : "off" });
+    }
+    if (proposed.prompts.join("\\n") !== cur.prompts.join("\\n")) {
+      changes.prompts = proposed.prompts;
+      list.push({ key:"ice breakers", old: cur.prompts.join(" | ") || "(none)", val: proposed.prompts.join(" | "), cleared: !proposed.prompts.length });
+    }
+    if (fmtCommands(proposed.commands) !== fmtCommands(cur.commands)) {
+      changes.commands = proposed.commands;
+      list.push({ key:"commands", old: fmtCommands(cur.commands), val: fmtCommands(proposed.commands), cleared: !proposed.commands.length });
+    }
+    return { changes: changes, list: list };
+  }
+  $("btnAutomation").onclick = function(){
+    var res = computeAutomationChanges();
+    if (!res.list.length) { toast($("auMsg"), "No changes to update.", false); return; }
+    fetch("/api/automation/validate", {
+      method: "POST",
+      headers: apiHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(res.changes)
+    })
+    .then(jsonPair)
+    .then(function(pair){
+      if (!pair.r.ok) { showAutomationErrors(pair.o && pair.o.errors); toast($("auMsg"), errText(pair.o, "Validation failed"), false); return; }
+      clearAutomationErrors();
+      pendingAction = function(){ saveAutomation(res.changes); };
+      openConfirm(res.list, "Confirm chat entry points");
+    })
+    .catch(function(e){ toast($("auMsg"), "Error: " + e.message, false); });
+  };
+  function saveAutomation(changes){
+    fetch("/api/automation", {
+      method: "POST",
+      headers: apiHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(changes)
+    })
+    .then(jsonPair)
+    .then(function(pair){
+      if (pair.r.status === 422) { showAutomationErrors(pair.o && pair.o.errors); return; }
+      if (!pair.r.ok) { toast($("auMsg"), errText(pair.o, "Update failed"), false); return; }
+      toast($("auMsg"), "Updated ✓", true);
+      Object.keys(pair.o.automation || {}).forEach(function(k){ state.automation[k] = pair.o.automation[k]; });
+    })
+    .catch(function(e){ toast($("auMsg"), "Error: " + e.message, false); });
+  }
+
+  // Bulk: editor values of the ticked fields form the template; a dry run feeds the confirm modal
+  var BULK_FIELDS = ["about","vertical","email","address","description","websites"];
+  function bulkRequest(){
+    var template = {};
+    BULK_FIELDS.forEach(function(k){
+      if (!$("bulk_"+k).checked) return;
+      if (k === "websites") template.websites = state.websites.length ? state.websites.slice(0,2) : null;
+      else template[k] = $(k).value.trim() || null;
+    });
+    return {
+      phone_ids: $("bulkIds").value.split(/[\\s,]+/).filter(Boolean),
+      template: template,
+      photo: !!($("bulkPhoto") && $("bulkPhoto").checked)
+    };
+  }
+  function postBulk(body){
+    return fetch("/api/profiles/bulk", {
+      method: "POST",
+      headers: apiHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify(body)
+    })
+    .then(jsonPair)
+    .then(function(pair){
+      if (!pair.r.ok) { showFieldErrors(pair.o && pair.o.errors); throw new Error(errText(pair.o, "Bulk request failed")); }
+      return pair.o;
+    });
+  }
+  function renderBulkResults(o){
+    $("bulkResults").innerHTML = o.results.map(function(r){
+      var detail = r.result === "error" ? errText(r, "Failed")
+        : r.result === "skipped" ? "already up to date"
+        : (r.changes || []).map(function(c){ return c.field; }).join(", ");
+      var color = r.result === "error" ? "#b91c1c" : r.result === "updated" ? "#065f46" : "#6b7280";
+      return '<div class="kv"><span class="k mono">'+esc(r.phone_id)+'</span> · <span style="color:'+color+'">'+esc(r.result)+'</span> <span class="muted">'+esc(detail)+'</span></div>';
+    }).join("");
+  }
+  $("btnBulk").onclick = function(){
+    if (!state.loaded) { toast($("bulkMsg"), "Load profile first", false); return; }
+    var req = bulkRequest();
+    if (!req.phone_ids.length) { toast($("bulkMsg"), "Enter at least one Phone Number ID", false); return; }
+    if (!Object.keys(req.template).length && !req.photo) { toast($("bulkMsg"), "Tick at least one field", false); return; }
+    if (req.photo && !$("file").files[0] && !$("imgUrl").value.trim()) { toast($("bulkMsg"), "Choose a photo in the Profile Photo card first", false); return; }
+    $("bulkMsg").textContent = "Planning…";
+    postBulk({ phone_ids: req.phone_ids, template: req.template, photo: req.photo, dry_run: true })
+      .then(function(o){
+        $("bulkMsg").textContent = "";
+        renderBulkResults(o);
+        if (!o.summary.planned) { toast($("bulkMsg"), "Nothing to apply", false); return; }
+        var items = [];
+        o.results.forEach(function(r){
+          if (r.result === "error") items.push({ key: r.phone_id, note: "Error: " + errText(r, "failed") + " (will be retried)" });
+          else if (r.result === "skipped") items.push({ key: r.phone_id, note: "No changes — skipped" });
+          else diffItems(r.changes).forEach(function(i){ i.key = r.phone_id + " · " + i.key; items.push(i); });
+        });
+        pendingAction = function(){ runBulk(req); };
+        openConfirm(items, "Apply to " + o.summary.planned + " number(s)");
+      })
+      .catch(function(e){ toast($("bulkMsg"), e.message, false); });
+  };
+  // The photo is uploaded once; its handle goes to every number
+  function runBulk(req){
+    var go = function(handle){
+      var template = {};
+      Object.keys(req.template).forEach(function(k){ template[k] = req.template[k]; });
+      if (handle) template.profile_picture_handle = handle;
+      $("bulkMsg").textContent = "Applying…";
+      return postBulk({ phone_ids: req.phone_ids, template: template })
+        .then(function(o){
+          renderBulkResults(o);
+          var s = o.summary;
+          toast($("bulkMsg"), s.updated + " updated, " + s.skipped + " skipped, " + s.error + " failed", !s.error);
+          if (req.phone_ids.indexOf(state.phoneId) !== -1) $("btnLoad").click();
         })
-        .catch(function(e){ toast($("photoMsg"), "Error: " + e.message, false); });
+        .catch(function(e){ toast($("bulkMsg"), e.message, false); });
+    };
+    if (req.photo) { $("bulkMsg").textContent = "Uploading photo…"; startUpload(go); }
+    else go(null);
+  }
+
+  // History: snapshots of the profile as it was before each change
+  function fmtVal(k, v){
+    if (k === "profile_picture") return v ? "photo" : "(none)";
+    if (Array.isArray(v)) v = v.join(", ");
+    return v || "(empty)";
+  }
+  function diffItems(changes){
+    return changes.map(function(c){
+      var blank = !c.new || (Array.isArray(c.new) && !c.new.length);
+      return { key: c.field, old: fmtVal(c.field, c.old), val: fmtVal(c.field, c.new), cleared: blank && c.field !== "profile_picture" };
     });
   }
+  function renderHistory(list){
+    if (!list.length) { $("historyList").innerHTML = '<div class="muted">No snapshots yet.</div>'; return; }
+    $("historyList").innerHTML = list.map(function(s){
+      var when = new Date(s.created_at).toLocaleString();
+      var about = (s.profile && s.profile.about) || "";
+      return '<div class="kv"><div class="snap"><div><div class="k">'+esc(when)+' · '+esc(s.reason || "change")+(s.photo_key ? ' · 📷' : '')+'</div>'+
+        '<div class="muted">'+esc(about.length > 80 ? about.slice(0, 80) + "…" : about)+'</div></div>'+
+        '<div class="flex"><button class="btn soft" type="button" data-diff="'+esc(s.id)+'">Compare</button>'+
+        '<button class="btn soft" type="button" data-restore="'+esc(s.id)+'">Restore…</button></div></div>'+
+        '<div id="diff_'+esc(s.id)+'"></div></div>';
+    }).join("");
+  }
+  function loadHistory(){
+    if (!HISTORY_ENABLED || !state.loaded) return;
+    $("historyCard").classList.remove("hidden");
+    fetch("/api/snapshots", { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) { toast($("historyMsg"), errText(pair.o, "Could not load history"), false); return; }
+        renderHistory(pair.o.data || []);
+      })
+      .catch(function(e){ toast($("historyMsg"), "Error: " + e.message, false); });
+  }
+  function snapshotDiff(from, to){
+    return fetch("/api/snapshots/diff?from=" + encodeURIComponent(from) + "&to=" + encodeURIComponent(to), { headers: apiHeaders() })
+      .then(jsonPair)
+      .then(function(pair){
+        if (!pair.r.ok) throw new Error(errText(pair.o, "Could not compare"));
+        return pair.o.changes || [];
+      });
+  }
+  function restoreSnapshot(id){
+    $("historyMsg").textContent = "Restoring…";
+    fetch("/api/snapshots/restore", {
+      method: "POST",
+      headers: apiHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({ id: id })
+    })
+    .then(jsonPair)
+    .then(function(pair){
+      var o = pair.o;
+      if (!pair.r.ok) { toast($("historyMsg"), errText(o, "Restore failed"), false); return; }
+      var notes = [];
+      if (o.skipped && o.skipped.length) notes.push("skipped " + o.skipped.map(function(x){ return x.field; }).join(", "));
+      if (o.photo && !o.photo.restored && o.photo.reason !== "unchanged" && o.photo.reason !== "no_photo") {
+        notes.push("photo not restored: " + (o.photo.reason || errText(o.photo, "upload failed")));
+      }
+      toast($("historyMsg"), "Restored ✓" + (notes.length ? " (" + notes.join("; ") + ")" : ""), !notes.length);
+      $("btnLoad").click();
+    })
+    .catch(function(e){ toast($("historyMsg"), "Error: " + e.message, false); });
+  }
+  $("btnHistory").onclick = loadHistory;
+  $("historyList").addEventListener("click", function(e){
+    var t = e.target, id;
+    if ((id = t.getAttribute("data-diff"))) {
+      var box = $("diff_" + id);
+      if (box.innerHTML) { box.innerHTML = ""; return; }
+      snapshotDiff(id, "live").then(function(changes){
+        box.innerHTML = changes.length
+          ? '<div class="muted" style="margin-top:6px">Since this snapshot:</div>' + diffItems(changes).map(function(i){
+              return '<div class="mono"><b>'+esc(i.key)+'</b>: <span class="v-old">'+esc(i.old)+'</span> → '+(i.cleared ? '<span class="v-clear">cleared</span>' : '<span class="v-new">'+esc(i.val)+'</span>')+'</div>';
+            }).join("")
+          : '<div class="muted" style="margin-top:6px">Same as the live profile.</div>';
+      }).catch(function(err){ toast($("historyMsg"), err.message, false); });
+    } else if ((id = t.getAttribute("data-restore"))) {
+      snapshotDiff("live", id).then(function(changes){
+        if (!changes.length) { toast($("historyMsg"), "The live profile already matches this snapshot.", false); return; }
+        pendingAction = function(){ restoreSnapshot(id); };
+        openConfirm(diffItems(changes), "Restore snapshot");
+      }).catch(function(err){ toast($("historyMsg"), err.message, false); });
+    }
+  });
 })();
 </script>
 </body>